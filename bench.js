@@ -0,0 +1,122 @@
+/**
+ * Orb Battle.io - Simulation Scale Check
+ * Steps the headless simulation with a crowded world (thousands of orbs, 50+
+ * bots and one steering player) and times every tick against the fixed tick
+ * budget. Exits non-zero when the average tick no longer fits, so the spatial
+ * index's scaling is measured rather than assumed. Rendering is not included:
+ * this is the cost the server (or the client's simulation) pays per tick.
+ *
+ *   node bench.js --orbs 3000 --bots 50
+ *
+ * Options are listed in USAGE below (`node bench.js --help`).
+ */
+
+import { Simulation } from './js/core/Simulation.js';
+import { TICK_MS } from './js/core/FixedTimestep.js';
+import { BotBrain } from './js/ai/BotBrain.js';
+import { CONFIG } from './js/config.js';
+
+const DEFAULTS = {
+    orbs: 3000,
+    bots: 50,
+    ticks: 1800,
+    seed: 1,
+    difficulty: CONFIG.DEFAULT_DIFFICULTY
+};
+
+const USAGE = `Usage: node bench.js [options]
+
+Options:
+  --orbs N             orbs in the world at the start (default 3000)
+  --bots N             bots in the match (default 50)
+  --ticks N            ticks to time (default 1800, 30s of play)
+  --seed N             match seed (default 1)
+  --difficulty ID      bot difficulty preset in CONFIG.DIFFICULTY (default CONFIG.DEFAULT_DIFFICULTY)
+  --help               show this message`;
+
+/**
+ * Parse `--name value` pairs over the defaults (numbers stay numbers)
+ * @returns {Object|null} options, or null when --help was asked for
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    if (argv.includes('--help') || argv.includes('-h')) return null;
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+
+        if (!(name in DEFAULTS) || value === undefined) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}\n\n${USAGE}`);
+        }
+        options[name] = typeof DEFAULTS[name] === 'number' ? Number(value) : value;
+        if (Number.isNaN(options[name])) {
+            throw new Error(`Option ${argv[i]} expects a number`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Time each tick of one crowded match
+ * @returns {number[]} milliseconds per tick, sorted ascending
+ */
+function timeTicks(options) {
+    const sim = new Simulation({
+        seed: options.seed,
+        brain: new BotBrain(),
+        difficulty: options.difficulty,
+        orbCount: options.orbs,
+        botCount: options.bots
+    });
+    sim.start();
+    sim.addPlayer({ id: 'bench', name: 'Bench' });
+
+    // The player circles so collisions, magnets and bot chases around it all run
+    const times = [];
+    for (let tick = 0; tick < options.ticks && sim.running; tick++) {
+        const angle = tick / 120;
+        const started = performance.now();
+        sim.step(TICK_MS, { bench: { x: Math.cos(angle), y: Math.sin(angle) } });
+        sim.drainEvents();
+        times.push(performance.now() - started);
+    }
+
+    return times.sort((a, b) => a - b);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+    if (!CONFIG.DIFFICULTY[options.difficulty]) {
+        throw new Error(`Unknown difficulty: ${options.difficulty} (${Object.keys(CONFIG.DIFFICULTY).join(', ')})`);
+    }
+
+    const times = timeTicks(options);
+    const average = times.reduce((sum, time) => sum + time, 0) / times.length;
+    const percentile = p => times[Math.min(times.length - 1, Math.floor(times.length * p))];
+
+    console.log(`${options.orbs} orbs, ${options.bots} bots, ${times.length} ticks (budget ${TICK_MS.toFixed(2)}ms/tick)`);
+    console.log(
+        `avg ${average.toFixed(2)}ms, median ${percentile(0.5).toFixed(2)}ms, ` +
+        `p99 ${percentile(0.99).toFixed(2)}ms, max ${times[times.length - 1].toFixed(2)}ms`
+    );
+
+    // The fixed timestep catches up after a slow tick, so only a slow average drops frames
+    if (average > TICK_MS) {
+        console.error(`Average tick ${average.toFixed(2)}ms is over the ${TICK_MS.toFixed(2)}ms budget`);
+        process.exit(1);
+    }
+    console.log('Within budget');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
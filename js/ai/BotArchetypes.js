@@ -0,0 +1,49 @@
+/**
+ * Orb Battle.io - Bot Archetypes
+ * Deals the personalities in CONFIG.BOT_ARCHETYPES out to a lobby of bots
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Archetype ids for `count` bots, in proportion to their weights (every archetype
+ * shows up once there are enough bots), shuffled so names don't map to personalities
+ * @param {Function} random - random source (the simulation's seeded PRNG)
+ * @returns {string[]}
+ */
+export function dealArchetypes(count, random = Math.random) {
+    const entries = Object.entries(CONFIG.BOT_ARCHETYPES);
+    const totalWeight = entries.reduce((sum, [, archetype]) => sum + archetype.weight, 0);
+    const dealt = Object.fromEntries(entries.map(([id]) => [id, 0]));
+    const ids = [];
+
+    for (let i = 0; i < count; i++) {
+        // Give the next bot to the archetype furthest behind its share
+        let bestId = entries[0][0];
+        let bestDeficit = -Infinity;
+        for (const [id, archetype] of entries) {
+            const deficit = (archetype.weight / totalWeight) * (i + 1) - dealt[id];
+            if (deficit > bestDeficit) {
+                bestDeficit = deficit;
+                bestId = id;
+            }
+        }
+        dealt[bestId]++;
+        ids.push(bestId);
+    }
+
+    // Fisher-Yates shuffle
+    for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+
+    return ids;
+}
+
+/**
+ * Display name of an archetype id (null for non-bots / unknown ids)
+ */
+export function getArchetypeName(id) {
+    return CONFIG.BOT_ARCHETYPES[id]?.name || null;
+}
@@ -5,7 +5,11 @@
 
 import { CONFIG } from '../config.js';
 
-// AI States
+// Saved brain format (bump when states/actions change and teach load() to migrate)
+// v1: dense table over the five BotStates. v2: sparse feature-keyed table plus per-BotState priors.
+export const BRAIN_FORMAT_VERSION = 2;
+
+// Coarse situations - lead every state key, pick valid actions and seed unseen states
 export const BotState = {
     SAFE_ALONE: 'SAFE_ALONE',           // No threats, no prey nearby
     NEAR_ORBS: 'NEAR_ORBS',             // Orbs nearby, focus on collection
@@ -23,30 +27,62 @@ export const BotAction = {
     AGGRESSIVE: 'AGGRESSIVE'    // Risk-taking chase on equal opponent
 };
 
+/**
+ * Build a state key from the coarse situation and discretised features
+ * e.g. "NEAR_THREAT|threat:near|threats:2+|prey:none|ratio:smaller|orbs:few|wall:0|hunter:1|time:late"
+ * @param {string} situation - a BotState
+ * @param {Object} features - feature name -> bucket label (insertion order is part of the key)
+ */
+export function encodeState(situation, features = {}) {
+    const parts = Object.entries(features).map(([name, value]) => `${name}:${value}`);
+    return [situation, ...parts].join('|');
+}
+
+/**
+ * The BotState a state key was built from (bare BotStates are their own situation)
+ */
+export function getSituation(state) {
+    const end = state.indexOf('|');
+    return end === -1 ? state : state.slice(0, end);
+}
+
 /**
  * BotBrain - Q-Learning based decision system
  */
 export class BotBrain {
     constructor() {
-        // Q-Table: state -> action -> expected reward value
-        this.qTable = this.initializeQTable();
+        // Sparse Q-Table: state key -> action -> expected reward value (rows appear on first visit)
+        this.qTable = {};
+
+        // Per-situation starting values copied into new rows
+        this.priors = this.initializeQTable();
 
         // Learning parameters
         this.learningRate = CONFIG.BOT_AI?.LEARNING_RATE || 0.1;
         this.discountFactor = CONFIG.BOT_AI?.DISCOUNT_FACTOR || 0.9;
         this.explorationRate = CONFIG.BOT_AI?.EXPLORATION_RATE || 0.2;
 
-        // Track last state/action for learning updates
-        this.lastState = null;
-        this.lastAction = null;
-        this.lastDecisionTime = 0;
-
         // Cumulative reward for this session
         this.totalReward = 0;
+
+        // Archetype id -> brain for archetypes that learn on their own (saved along with this one)
+        this.privateBrains = {};
     }
 
     /**
-     * Initialize Q-table with default values biased toward reasonable behavior
+     * Brain for an archetype that keeps its own Q-table, created on first use
+     */
+    getPrivateBrain(id) {
+        if (!this.privateBrains[id]) {
+            const brain = new BotBrain();
+            brain.explorationRate = this.explorationRate;
+            this.privateBrains[id] = brain;
+        }
+        return this.privateBrains[id];
+    }
+
+    /**
+     * Initial priors per situation, biased toward reasonable behavior
      */
     initializeQTable() {
         return {
@@ -88,24 +124,43 @@ export class BotBrain {
         };
     }
 
+    /**
+     * Q-values for a state, created from its situation's priors on first visit
+     */
+    getRow(state) {
+        let row = this.qTable[state];
+        if (!row) {
+            const prior = this.priors[getSituation(state)];
+            row = {};
+            for (const action of Object.values(BotAction)) {
+                row[action] = prior?.[action] ?? 0;
+            }
+            this.qTable[state] = row;
+        }
+        return row;
+    }
+
     /**
      * Select an action based on current state using epsilon-greedy strategy
+     * @param {Function} random - random source (the simulation's seeded PRNG)
+     * @param {number} explorationRate - chance of a random action (defaults to the brain's)
      */
-    selectAction(state) {
+    selectAction(state, random = Math.random, explorationRate = this.explorationRate) {
         const actions = this.getValidActions(state);
+        const row = this.getRow(state);
 
         // Exploration: random action
-        if (Math.random() < this.explorationRate) {
-            return actions[Math.floor(Math.random() * actions.length)];
+        if (random() < explorationRate) {
+            return actions[Math.floor(random() * actions.length)];
         }
 
         // Exploitation: best action based on Q-values
         let bestAction = actions[0];
-        let bestValue = this.qTable[state][actions[0]];
+        let bestValue = row[actions[0]];
 
         for (const action of actions) {
-            if (this.qTable[state][action] > bestValue) {
-                bestValue = this.qTable[state][action];
+            if (row[action] > bestValue) {
+                bestValue = row[action];
                 bestAction = action;
             }
         }
@@ -114,10 +169,10 @@ export class BotBrain {
     }
 
     /**
-     * Get valid actions for a given state
+     * Get valid actions for a state key (decided by its situation)
      */
     getValidActions(state) {
-        switch (state) {
+        switch (getSituation(state)) {
             case BotState.SAFE_ALONE:
                 return [BotAction.WANDER, BotAction.CHASE_ORB];
             case BotState.NEAR_ORBS:
@@ -138,81 +193,160 @@ export class BotBrain {
      * Q(s,a) = Q(s,a) + α * (r + γ * max(Q(s',a')) - Q(s,a))
      */
     updateQValue(state, action, reward, newState) {
-        if (!this.qTable[state] || !this.qTable[state][action]) return;
+        const row = this.getRow(state);
+        if (!(action in row)) return;
 
-        const currentQ = this.qTable[state][action];
+        const currentQ = row[action];
 
         // Find max Q-value for new state
         let maxFutureQ = 0;
-        if (this.qTable[newState]) {
-            const futureActions = Object.keys(this.qTable[newState]);
-            for (const futureAction of futureActions) {
-                if (this.qTable[newState][futureAction] > maxFutureQ) {
-                    maxFutureQ = this.qTable[newState][futureAction];
-                }
+        if (newState) {
+            for (const futureQ of Object.values(this.getRow(newState))) {
+                if (futureQ > maxFutureQ) maxFutureQ = futureQ;
             }
         }
 
         // Q-learning update
         const newQ = currentQ + this.learningRate * (reward + this.discountFactor * maxFutureQ - currentQ);
-        this.qTable[state][action] = newQ;
+        row[action] = newQ;
 
         this.totalReward += reward;
     }
 
     /**
-     * Process a reward and update learning
+     * Process a reward for one bot's last decision and update learning. Many bots
+     * share a brain, so each keeps its own last state/action and passes them in.
+     * @param {string|null} lastState - state the bot last decided in (null: nothing to credit)
+     * @param {string|null} lastAction - action it chose there
+     * @param {string|null} currentState - where that led (null when the bot died there)
      */
-    receiveReward(reward, currentState) {
-        if (this.lastState && this.lastAction) {
-            this.updateQValue(this.lastState, this.lastAction, reward, currentState);
+    receiveReward(reward, lastState, lastAction, currentState) {
+        if (lastState && lastAction) {
+            this.updateQValue(lastState, lastAction, reward, currentState);
         }
     }
 
     /**
-     * Make a decision (returns action, updates last state/action)
+     * Make a decision for a bot, crediting its previous one (returns the action)
+     * @param {string|null} lastState - the bot's previous state (null since it spawned)
+     * @param {string|null} lastAction - the action it chose there
+     * @param {number} reward - what the previous decision earned, surviving to this one included
+     * @param {{explorationScale?: number}} tuning - per-bot personality
      */
-    decide(state) {
-        const action = this.selectAction(state);
+    decide(state, lastState, lastAction, reward, random = Math.random, tuning = {}) {
+        const action = this.selectAction(state, random, this.explorationRate * (tuning.explorationScale ?? 1));
+        this.receiveReward(reward, lastState, lastAction, state);
+        return action;
+    }
 
-        // Give small survival reward for making it to next decision
-        if (this.lastState && this.lastAction) {
-            const survivalReward = CONFIG.BOT_AI?.SURVIVAL_REWARD || 1;
-            this.updateQValue(this.lastState, this.lastAction, survivalReward, state);
-        }
+    /**
+     * Decay exploration rate over time (optional training enhancement)
+     */
+    decayExploration(minRate = 0.05, factor = 0.999) {
+        this.explorationRate = Math.max(minRate, this.explorationRate * factor);
+        Object.values(this.privateBrains).forEach(brain => brain.decayExploration(minRate, factor));
+    }
 
-        this.lastState = state;
-        this.lastAction = action;
-        this.lastDecisionTime = Date.now();
+    /**
+     * Get current Q-table (for debugging/visualization)
+     */
+    getQTable() {
+        return this.qTable;
+    }
 
-        return action;
+    /**
+     * Learned state as plain versioned JSON data (for storage and export)
+     */
+    serialize() {
+        return {
+            version: BRAIN_FORMAT_VERSION,
+            qTable: this.qTable,
+            priors: this.priors,
+            explorationRate: this.explorationRate,
+            totalReward: this.totalReward,
+            privateBrains: Object.fromEntries(
+                Object.entries(this.privateBrains).map(([id, brain]) => [id, brain.serialize()])
+            )
+        };
     }
 
     /**
-     * Reset learning state (on respawn)
+     * Restore learned state from serialize() data. A v1 table becomes the priors, so
+     * what it learned per BotState seeds every feature state of that situation.
+     * Unknown situations/actions are ignored and missing ones keep their defaults.
+     * @throws {Error} if the data is not a brain of a supported version
      */
-    reset() {
-        this.lastState = null;
-        this.lastAction = null;
+    load(data) {
+        if (!data || typeof data !== 'object' || !data.qTable) {
+            throw new Error('Not a bot brain file');
+        }
+
+        // Read everything into a fresh brain first, so a bad file (or a bad private brain
+        // inside it) leaves this one untouched
+        const brain = new BotBrain();
+
+        if (data.version === 1) {
+            brain.priors = brain.mergePriors(data.qTable);
+        } else if (data.version === BRAIN_FORMAT_VERSION) {
+            brain.priors = brain.mergePriors(data.priors || {});
+            for (const [state, saved] of Object.entries(data.qTable)) {
+                if (!(getSituation(state) in BotState) || !saved) continue;
+
+                const row = brain.getRow(state);
+                for (const action of Object.keys(row)) {
+                    if (Number.isFinite(saved[action])) row[action] = saved[action];
+                }
+            }
+        } else {
+            throw new Error(`Unsupported bot brain version: ${data.version}`);
+        }
+
+        brain.explorationRate = Number.isFinite(data.explorationRate)
+            ? Math.min(1, Math.max(0, data.explorationRate))
+            : this.explorationRate;
+        brain.totalReward = Number.isFinite(data.totalReward) ? data.totalReward : 0;
+
+        for (const [id, saved] of Object.entries(data.privateBrains || {})) {
+            brain.getPrivateBrain(id).load(saved);
+        }
+
+        this.qTable = brain.qTable;
+        this.priors = brain.priors;
+        this.explorationRate = brain.explorationRate;
+        this.totalReward = brain.totalReward;
+        this.privateBrains = brain.privateBrains;
     }
 
     /**
-     * Decay exploration rate over time (optional training enhancement)
+     * Saved per-situation values over the defaults
      */
-    decayExploration(minRate = 0.05) {
-        this.explorationRate = Math.max(minRate, this.explorationRate * 0.999);
+    mergePriors(saved) {
+        const priors = this.initializeQTable();
+        for (const situation of Object.keys(priors)) {
+            if (!saved[situation]) continue;
+
+            for (const action of Object.keys(priors[situation])) {
+                if (Number.isFinite(saved[situation][action])) priors[situation][action] = saved[situation][action];
+            }
+        }
+        return priors;
     }
 
     /**
-     * Get current Q-table (for debugging/visualization)
+     * Forget everything learned (back to the hand-tuned starting priors)
      */
-    getQTable() {
-        return this.qTable;
+    resetLearning() {
+        this.qTable = {};
+        this.priors = this.initializeQTable();
+        this.explorationRate = CONFIG.BOT_AI?.EXPLORATION_RATE || 0.2;
+        this.totalReward = 0;
+        this.privateBrains = {};
     }
 }
 
 /**
  * Shared brain for all bots (they learn together)
- * This creates emergent behavior as bots collectively improve
+ * This creates emergent behavior as bots collectively improve.
+ * Archetypes with a private brain learn in one kept inside it.
  */
 export const sharedBotBrain = new BotBrain();
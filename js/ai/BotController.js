@@ -0,0 +1,754 @@
+/**
+ * Orb Battle.io - Bot Controller
+ * Renderer-independent bot perception, decision-making and steering.
+ * Drives any entity with x, y, playerSize and alive (a headless Entity).
+ */
+
+import { CONFIG } from '../config.js';
+import { clamp, getGravityPull, findTouchedCore, isBlockedByVirus, findVirusCover } from '../core/rules.js';
+import { sharedBotBrain, BotState, BotAction, encodeState, getSituation } from './BotBrain.js';
+import { TICK_MS } from '../core/FixedTimestep.js';
+
+export class BotController {
+    /**
+     * @param {string} archetype - personality id in CONFIG.BOT_ARCHETYPES
+     */
+    constructor(body, brain = sharedBotBrain, now = 0, random = Math.random, archetype = CONFIG.DEFAULT_BOT_ARCHETYPE) {
+        // Entity being driven
+        this.body = body;
+
+        // Personality (rewards, exploration, perception and behaviour overrides)
+        this.archetypeId = archetype;
+        this.archetype = CONFIG.BOT_ARCHETYPES[archetype];
+        this.baseDetectionRadius = this.archetype.detectionRadius || CONFIG.BOT_AI?.PLAYER_DETECTION_RADIUS || 250;
+        this.rewards = {
+            orb: CONFIG.BOT_AI?.ORB_REWARD || 5,
+            kill: CONFIG.BOT_AI?.KILL_REWARD || 100,
+            death: CONFIG.BOT_AI?.DEATH_PENALTY || -50,
+            survival: CONFIG.BOT_AI?.SURVIVAL_REWARD || 1,
+            virus: CONFIG.BOT_AI?.VIRUS_PENALTY || -20,
+            ...this.archetype.rewards
+        };
+
+        // Random source (the simulation's seeded PRNG)
+        this.random = random;
+
+        // AI state
+        this.targetX = this.random() * CONFIG.WORLD_WIDTH;
+        this.targetY = this.random() * CONFIG.WORLD_HEIGHT;
+        this.changeTargetTime = now + this.random() * 3000;
+        this.aiMode = 'wander'; // wander, chase_orb, chase_entity, flee
+
+        // Spatial indexes and walls of the space the bot is in (set by owner)
+        this.orbIndex = null;
+        this.entityIndex = null;
+        this.walls = [];
+        this.speedMult = 1;
+        this.navGrid = null;
+
+        // Waypoints around walls to the current target (empty = head straight for it),
+        // and the nav cell of the target they were planned for
+        this.path = [];
+        this.pathGoal = null;
+
+        // Live match state (dangerZone, predator, viruses, remainingTime), usually the simulation itself;
+        // a dimension instance stands in with its own (gravity wells) and a copy of the clock
+        this.hazards = null;
+
+        // Target entity for chase/flee behavior
+        this.targetEntity = null;
+        this.fleeUntilTime = 0;
+
+        // Whether to boost towards (or away from) the target, decided with the action
+        this.wantsBoost = false;
+
+        // AI brain reference (shared Q-learning, or the archetype's own table)
+        this.brain = this.archetype.privateBrain ? brain.getPrivateBrain(archetype) : brain;
+        this.lastDecisionTime = 0;
+
+        // This bot's pending transition: the state it last decided in and the brain's pick
+        // there, credited by the next reward (kept per bot since bots share a brain)
+        this.lastState = null;
+        this.lastAction = null;
+
+        // Rewards earned since the last decision, credited to it with the next one
+        this.pendingReward = 0;
+
+        this.currentState = BotState.SAFE_ALONE;
+        this.currentAction = BotAction.WANDER;
+
+        // Outcomes rewarded so far (for training reports)
+        this.stats = { orbs: 0, kills: 0, deaths: 0 };
+
+        this.setDifficulty(CONFIG.DIFFICULTY[CONFIG.DEFAULT_DIFFICULTY]);
+    }
+
+    /**
+     * Set the space the bot is in: orb and entity indexes and wall rects for perception,
+     * the nav grid for pathing around walls and the space's speed multiplier
+     */
+    setWorld({ orbIndex, entityIndex, walls = [], navGrid = null, speedMult = 1 }) {
+        this.orbIndex = orbIndex;
+        this.entityIndex = entityIndex;
+        this.walls = walls;
+        this.navGrid = navGrid;
+        this.speedMult = speedMult;
+        this.path = [];
+        this.pathGoal = null;
+    }
+
+    /**
+     * Set the object exposing hazards the bot should weigh
+     */
+    setHazards(hazards) {
+        this.hazards = hazards;
+    }
+
+    /**
+     * Apply a difficulty preset (perception, reaction time, exploration and speed)
+     */
+    setDifficulty(difficulty) {
+        this.difficulty = difficulty;
+        this.detectionRadius = this.baseDetectionRadius * difficulty.detectionScale;
+    }
+
+    /**
+     * Find nearest reachable orb (skipping danger zone orbs when the zone isn't worth
+     * the risk, gauntlet orbs once too big to enter, orbs walled off from the bot,
+     * orbs in a gravity well's grip and orbs up against a virus that would hit it).
+     * Power-ups are worth going a little further for.
+     */
+    findNearestOrb() {
+        const avoidZone = !this.willRiskDangerZone();
+        const tooBigForGauntlets = this.body.playerSize >= CONFIG.GAUNTLET.maxSizeToEnter;
+        const region = this.navGrid?.regionAt(this.body.x, this.body.y);
+        const canChase = orb =>
+            !(avoidZone && this.isInsideDangerZone(orb.x, orb.y)) &&
+            !(tooBigForGauntlets && orb.specialType === 'gauntlet') &&
+            !this.findGravityTrap(orb.x, orb.y) &&
+            !this.findVirusThreat(orb.x, orb.y) &&
+            (!this.navGrid || this.navGrid.regionAt(orb.x, orb.y) === region);
+
+        const powerUp = this.orbIndex.nearest(this.body.x, this.body.y,
+            orb => !!orb.powerUp && canChase(orb), CONFIG.POWER_UPS.botSeekRange);
+        return powerUp || this.orbIndex.nearest(this.body.x, this.body.y, canChase);
+    }
+
+    /**
+     * Whether the nav grid (if any) connects the bot to a point
+     */
+    canReach(x, y) {
+        return !this.navGrid || this.navGrid.regionAt(x, y) === this.navGrid.regionAt(this.body.x, this.body.y);
+    }
+
+    /**
+     * Whether a point lies within the announced or active danger zone
+     */
+    isInsideDangerZone(x, y, margin = 0) {
+        const zone = this.hazards?.dangerZone;
+        if (!zone) return false;
+
+        const dx = x - zone.x;
+        const dy = y - zone.y;
+        const reach = zone.radius + margin;
+        return dx * dx + dy * dy < reach * reach;
+    }
+
+    /**
+     * Small bots lose little to the shrink and gain a lot from 4x orbs; big bots lose more than they gain
+     * (how small is small enough depends on the archetype)
+     */
+    willRiskDangerZone() {
+        const zone = this.hazards?.dangerZone;
+        return !!zone && zone.phase === 'active' && this.body.playerSize <= this.archetype.dangerZoneMaxSize;
+    }
+
+    /**
+     * Retarget to the nearest point outside the danger zone if standing in it unwillingly
+     * @returns {boolean} whether the bot is escaping
+     */
+    avoidDangerZone(worldWidth, worldHeight) {
+        const body = this.body;
+        if (this.willRiskDangerZone() || !this.isInsideDangerZone(body.x, body.y, body.playerSize)) return false;
+
+        const zone = this.hazards.dangerZone;
+        const dx = body.x - zone.x;
+        const dy = body.y - zone.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        const exitDist = zone.radius + body.playerSize + 50;
+
+        this.targetX = clamp(zone.x + (dx / dist) * exitDist, 50, worldWidth - 50);
+        this.targetY = clamp(zone.y + (dy / dist) * exitDist, 50, worldHeight - 50);
+        return true;
+    }
+
+    /**
+     * Travel speed in px per tick (drifting bots thrust with a twentieth of it)
+     */
+    getSpeed() {
+        return Math.max(1.5, 6 - this.body.playerSize * 0.04) * this.difficulty.speedFactor * this.speedMult;
+    }
+
+    /**
+     * Gravity well that has the bot in its grip at a point, if any: its core is within a
+     * safety margin, or its pull there is more than the bot can comfortably thrust against
+     * (bigger bots are slower, so the wells reach further for them)
+     */
+    findGravityTrap(x, y) {
+        const wells = this.hazards?.wells;
+        if (!wells?.length) return null;
+
+        const config = CONFIG.VOID;
+        const thrust = this.getSpeed() * 0.05;
+        return wells.find(well => {
+            if (findTouchedCore([well], x, y, this.body.playerSize + config.botCoreMargin)) return true;
+            const pull = getGravityPull([well], x, y);
+            return Math.sqrt(pull.x * pull.x + pull.y * pull.y) > thrust * config.botPullLimit;
+        }) || null;
+    }
+
+    /**
+     * Project the drift (current velocity plus the wells' pull) a moment ahead and
+     * retarget straight out of any well that has, or is about to have, the bot in its grip
+     * @returns {boolean} whether the bot is escaping
+     */
+    avoidGravityWells(worldWidth, worldHeight) {
+        const wells = this.hazards?.wells;
+        if (!wells?.length) return false;
+
+        const body = this.body;
+        const ticks = CONFIG.VOID.botLookahead;
+        const pull = getGravityPull(wells, body.x, body.y);
+        const aheadX = body.x + (body.velocity.x + pull.x * ticks / 2) * ticks;
+        const aheadY = body.y + (body.velocity.y + pull.y * ticks / 2) * ticks;
+
+        const well = this.findGravityTrap(body.x, body.y) || this.findGravityTrap(aheadX, aheadY);
+        if (!well) return false;
+
+        const dx = body.x - well.x;
+        const dy = body.y - well.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        this.targetX = clamp(well.x + (dx / dist) * well.range, 50, worldWidth - 50);
+        this.targetY = clamp(well.y + (dy / dist) * well.range, 50, worldHeight - 50);
+        return true;
+    }
+
+    /**
+     * Virus the bot is too big to pass with a point inside its reach (plus a margin), if any
+     */
+    findVirusThreat(x, y, margin = 0) {
+        const viruses = this.hazards?.viruses;
+        if (!viruses?.length) return null;
+
+        const size = this.body.playerSize;
+        return viruses.find(virus => {
+            if (!isBlockedByVirus(size, virus)) return false;
+            const dx = x - virus.x;
+            const dy = y - virus.y;
+            const reach = virus.size + size + margin;
+            return dx * dx + dy * dy < reach * reach;
+        }) || null;
+    }
+
+    /**
+     * Nearest virus within cover range the bot can hide under but a threat can't pass,
+     * and that the bot is closer to than the threat is
+     */
+    findCover(threat) {
+        const viruses = this.hazards?.viruses;
+        if (!viruses?.length) return null;
+
+        const body = this.body;
+        let best = null;
+        let bestDist = CONFIG.VIRUS.botCoverRange;
+        viruses.forEach(virus => {
+            if (isBlockedByVirus(body.playerSize, virus) || !isBlockedByVirus(threat.playerSize, virus)) return;
+
+            const dist = Math.hypot(virus.x - body.x, virus.y - body.y);
+            if (dist < bestDist && dist < Math.hypot(virus.x - threat.x, virus.y - threat.y)) {
+                best = virus;
+                bestDist = dist;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Whether an entity is hiding under a virus the bot can't pass
+     */
+    isUnderCover(entity) {
+        const cover = findVirusCover(this.hazards?.viruses || [], entity.x, entity.y);
+        return !!cover && isBlockedByVirus(this.body.playerSize, cover);
+    }
+
+    /**
+     * Retarget to the side of the nearest virus on the way to the target that the bot
+     * would be hit by (not for ghosts, which pass through)
+     * @returns {boolean} whether the bot is steering around one
+     */
+    avoidViruses(worldWidth, worldHeight) {
+        const viruses = this.hazards?.viruses;
+        const body = this.body;
+        if (!viruses?.length || body.hasPowerUp('GHOST')) return false;
+
+        const toX = this.targetX - body.x;
+        const toY = this.targetY - body.y;
+        const length = Math.sqrt(toX * toX + toY * toY);
+        if (length < 1) return false;
+        const ux = toX / length;
+        const uy = toY / length;
+
+        let nearest = null;
+        let nearestAlong = Infinity;
+        let side = 1;
+        viruses.forEach(virus => {
+            if (!isBlockedByVirus(body.playerSize, virus)) return;
+
+            // Closest approach of the straight line to the target
+            const wx = virus.x - body.x;
+            const wy = virus.y - body.y;
+            const along = wx * ux + wy * uy;
+            const across = wx * uy - wy * ux;
+            const clearance = virus.size + body.playerSize + CONFIG.VIRUS.botAvoidMargin;
+            if (along < 0 || along > length + virus.size || Math.abs(across) >= clearance) return;
+
+            if (along < nearestAlong) {
+                nearest = virus;
+                nearestAlong = along;
+                side = across >= 0 ? 1 : -1;
+            }
+        });
+        if (!nearest) return false;
+
+        // Pass on the side of the virus away from it
+        const clearance = nearest.size + body.playerSize + CONFIG.VIRUS.botAvoidMargin;
+        this.targetX = clamp(nearest.x - side * uy * clearance, 50, worldWidth - 50);
+        this.targetY = clamp(nearest.y + side * ux * clearance, 50, worldHeight - 50);
+        return true;
+    }
+
+    /**
+     * Find nearby entities (players and bots) within detection radius; ghosts can't
+     * touch or be touched, so they see nobody and nobody sees them
+     */
+    findNearbyEntities() {
+        const body = this.body;
+        if (body.hasPowerUp('GHOST')) return [];
+
+        const nearby = this.entityIndex
+            .queryRadius(body.x, body.y, this.detectionRadius,
+                entity => entity !== body && entity.alive && !entity.hasPowerUp('GHOST'))
+            .map(entity => ({
+                entity: entity,
+                distance: body.distanceTo(entity),
+                sizeRatio: body.playerSize / entity.playerSize
+            }));
+
+        // Sort by distance
+        nearby.sort((a, b) => a.distance - b.distance);
+        return nearby;
+    }
+
+    /**
+     * Count nearby orbs
+     */
+    findNearbyOrbs() {
+        return this.orbIndex.queryRadius(this.body.x, this.body.y, this.detectionRadius).length;
+    }
+
+    /**
+     * Determine current AI state: the coarse situation (from the nearest entity)
+     * followed by discretised features of the surroundings
+     * @returns {string} state key for the brain
+     */
+    evaluateState(worldWidth = CONFIG.WORLD_WIDTH, worldHeight = CONFIG.WORLD_HEIGHT) {
+        const nearby = this.findNearbyEntities();
+        const nearbyOrbCount = this.findNearbyOrbs();
+        const advantageRatio = CONFIG.BOT_AI?.SIZE_ADVANTAGE_RATIO || 1.15;
+        const disadvantageRatio = CONFIG.BOT_AI?.SIZE_DISADVANTAGE_RATIO || 0.85;
+
+        const threats = nearby.filter(n => n.sizeRatio <= disadvantageRatio);
+        const prey = nearby.filter(n => n.sizeRatio >= advantageRatio);
+
+        let situation;
+        if (nearby.length === 0) {
+            // No entities nearby
+            situation = nearbyOrbCount >= 3 ? BotState.NEAR_ORBS : BotState.SAFE_ALONE;
+        } else {
+            // Check nearest entity
+            const nearest = nearby[0];
+            this.targetEntity = nearest.entity;
+
+            if (nearest.sizeRatio >= advantageRatio) {
+                // We're significantly larger - this is prey
+                situation = BotState.NEAR_PREY;
+            } else if (nearest.sizeRatio <= disadvantageRatio) {
+                // We're significantly smaller - this is a threat
+                situation = BotState.NEAR_THREAT;
+            } else {
+                // Similar size - evenly matched
+                situation = BotState.EVENLY_MATCHED;
+            }
+        }
+
+        return encodeState(situation, {
+            threat: this.getDistanceBucket(threats[0]?.distance),
+            threats: threats.length >= 2 ? '2+' : threats.length,
+            prey: this.getDistanceBucket(prey[0]?.distance),
+            ratio: this.getSizeRatioBand(nearby[0]?.sizeRatio),
+            orbs: this.getOrbDensityBucket(nearbyOrbCount),
+            wall: this.isNearWall(worldWidth, worldHeight) ? 1 : 0,
+            hunter: this.hazards?.predator ? 1 : 0,
+            time: this.getTimeBucket(this.hazards?.remainingTime)
+        });
+    }
+
+    /**
+     * Index of the first edge a value is below (edges.length if past them all)
+     */
+    bucketIndex(value, edges) {
+        const index = edges.findIndex(edge => value < edge);
+        return index === -1 ? edges.length : index;
+    }
+
+    getDistanceBucket(distance) {
+        if (distance === undefined) return 'none';
+        return ['near', 'mid', 'far'][this.bucketIndex(distance, CONFIG.BOT_AI.STATE_FEATURES.distanceBuckets)];
+    }
+
+    getSizeRatioBand(sizeRatio) {
+        if (sizeRatio === undefined) return 'none';
+        return ['dwarfed', 'smaller', 'even', 'bigger', 'dominant'][
+            this.bucketIndex(sizeRatio, CONFIG.BOT_AI.STATE_FEATURES.sizeRatioBands)
+        ];
+    }
+
+    getOrbDensityBucket(count) {
+        return ['none', 'few', 'some', 'many'][this.bucketIndex(count, CONFIG.BOT_AI.STATE_FEATURES.orbDensityBuckets)];
+    }
+
+    /**
+     * Match phase from the time left (same thresholds as the HUD timer); 'early' without a clock
+     */
+    getTimeBucket(remainingTime) {
+        if (remainingTime === undefined) return 'early';
+        if (remainingTime <= (CONFIG.TIMED_MODE?.criticalThreshold || 10000)) return 'final';
+        if (remainingTime <= (CONFIG.TIMED_MODE?.warningThreshold || 30000)) return 'late';
+        return 'early';
+    }
+
+    /**
+     * Whether the body's edge is within wallProximity of a world edge or wall rect
+     */
+    isNearWall(worldWidth, worldHeight) {
+        const body = this.body;
+        const reach = body.playerSize + CONFIG.BOT_AI.STATE_FEATURES.wallProximity;
+
+        if (body.x < reach || body.y < reach || body.x > worldWidth - reach || body.y > worldHeight - reach) {
+            return true;
+        }
+
+        return this.walls.some(wall => {
+            const dx = body.x - clamp(body.x, wall.x, wall.x + wall.width);
+            const dy = body.y - clamp(body.y, wall.y, wall.y + wall.height);
+            return dx * dx + dy * dy < reach * reach;
+        });
+    }
+
+    /**
+     * Edge-to-edge distance to another entity
+     */
+    getGap(entity) {
+        return this.body.distanceTo(entity) - this.body.playerSize - entity.playerSize;
+    }
+
+    /**
+     * Execute the selected action
+     */
+    executeAction(action, worldWidth, worldHeight, now) {
+        const body = this.body;
+        this.wantsBoost = false;
+
+        switch (action) {
+            case BotAction.WANDER:
+                this.aiMode = 'wander';
+                if (now > this.changeTargetTime) {
+                    const rifts = this.hazards?.rifts;
+                    if (this.archetype.seeksRifts && rifts?.length) {
+                        // Loiter around a rift mouth
+                        const rift = rifts[Math.floor(this.random() * rifts.length)];
+                        this.targetX = clamp(rift.x + (this.random() - 0.5) * 200, 50, worldWidth - 50);
+                        this.targetY = clamp(rift.y + (this.random() - 0.5) * 200, 50, worldHeight - 50);
+                    } else {
+                        // A few tries for a spot the bot isn't walled off from
+                        for (let attempt = 0; attempt < 5; attempt++) {
+                            this.targetX = this.random() * worldWidth;
+                            this.targetY = this.random() * worldHeight;
+                            if (this.canReach(this.targetX, this.targetY)) break;
+                        }
+                    }
+                    this.changeTargetTime = now + 2000 + this.random() * 3000;
+                }
+                break;
+
+            case BotAction.CHASE_ORB: {
+                this.aiMode = 'chase_orb';
+                const nearestOrb = this.findNearestOrb();
+                if (nearestOrb) {
+                    this.targetX = nearestOrb.x;
+                    this.targetY = nearestOrb.y;
+                }
+                break;
+            }
+
+            case BotAction.CHASE_ENTITY:
+            case BotAction.AGGRESSIVE:
+                this.aiMode = 'chase_entity';
+                if (this.targetEntity && this.targetEntity.alive) {
+                    this.targetX = this.targetEntity.x;
+                    this.targetY = this.targetEntity.y;
+
+                    // Close in on prey in reach, keeping some stamina back for getting away
+                    this.wantsBoost = this.getGap(this.targetEntity) < CONFIG.BOOST.botChaseRange &&
+                        body.stamina > CONFIG.BOOST.botChaseReserve;
+                } else {
+                    // No valid target, fall back to orb
+                    this.executeAction(BotAction.CHASE_ORB, worldWidth, worldHeight, now);
+                }
+                break;
+
+            case BotAction.FLEE:
+                this.aiMode = 'flee';
+                if (this.targetEntity && this.targetEntity.alive) {
+                    // Move away from threat
+                    const dx = body.x - this.targetEntity.x;
+                    const dy = body.y - this.targetEntity.y;
+                    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+                    // Run in opposite direction, clamped to world bounds...
+                    this.targetX = clamp(body.x + (dx / dist) * 300, 50, worldWidth - 50);
+                    this.targetY = clamp(body.y + (dy / dist) * 300, 50, worldHeight - 50);
+
+                    // ...or hide under a virus the threat can't follow through
+                    const cover = this.findCover(this.targetEntity);
+                    if (cover) {
+                        this.targetX = cover.x;
+                        this.targetY = cover.y;
+                    }
+
+                    this.fleeUntilTime = now + (CONFIG.BOT_AI?.FLEE_DURATION || 3000);
+
+                    // Boost away from a close threat, burning mass if it comes to that
+                    this.wantsBoost = this.getGap(this.targetEntity) < CONFIG.BOOST.botFleeRange;
+                }
+                break;
+        }
+    }
+
+    /**
+     * Update AI behavior with Q-learning and steer the body towards the target
+     */
+    update(worldWidth = CONFIG.WORLD_WIDTH, worldHeight = CONFIG.WORLD_HEIGHT, now = Date.now()) {
+        const body = this.body;
+        if (!body.alive) return;
+
+        const decisionInterval = this.difficulty.decisionInterval;
+
+        // Make new decision at intervals
+        if (now - this.lastDecisionTime > decisionInterval) {
+            // Evaluate current state
+            const newState = this.evaluateState(worldWidth, worldHeight);
+            const situation = getSituation(newState);
+
+            // If still fleeing from recent threat, keep fleeing
+            if (this.aiMode === 'flee' && now < this.fleeUntilTime) {
+                // Continue fleeing, but update target position
+                if (this.targetEntity && this.targetEntity.alive) {
+                    this.executeAction(BotAction.FLEE, worldWidth, worldHeight, now);
+                }
+            } else {
+                // Get action from brain or override with heuristic
+                // Credit the last decision with surviving to this one and what it earned meanwhile
+                const reward = this.rewards.survival + this.pendingReward;
+                let action = this.brain.decide(newState, this.lastState, this.lastAction, reward, this.random, {
+                    explorationScale: this.archetype.exploration * this.difficulty.explorationScale
+                });
+                this.lastState = newState;
+                this.lastAction = action;
+                this.pendingReward = 0;
+
+                // Override: Aggressive chasing if we have size advantage
+                if (situation === BotState.NEAR_PREY && this.random() < this.archetype.preyChaseChance) {
+                    action = BotAction.CHASE_ENTITY;
+                }
+
+                // Override: a shield takes one hit, so keep feeding instead of running...
+                if (action === BotAction.FLEE && body.hasPowerUp('SHIELD')) {
+                    action = BotAction.CHASE_ORB;
+                }
+
+                // ...and a shielded target (or one hiding under a virus) isn't worth the chase
+                const chasing = action === BotAction.CHASE_ENTITY || action === BotAction.AGGRESSIVE;
+                const target = this.targetEntity;
+                if (chasing && target && (target.hasPowerUp('SHIELD') || this.isUnderCover(target))) {
+                    action = BotAction.CHASE_ORB;
+                }
+
+                // Override: Dynamic wandering if safe
+                if (situation === BotState.SAFE_ALONE && this.random() < this.archetype.safeWanderChance) {
+                    this.targetX = body.x + (this.random() - 0.5) * 500;
+                    this.targetY = body.y + (this.random() - 0.5) * 500;
+                }
+
+                // Execute selected action
+                this.executeAction(action, worldWidth, worldHeight, now);
+
+                // Override: get out of a danger zone that isn't worth the shrink
+                this.avoidDangerZone(worldWidth, worldHeight);
+
+                this.currentState = newState;
+                this.currentAction = action;
+            }
+
+            // Override: never drift into a gravity well's core, not even while fleeing
+            this.avoidGravityWells(worldWidth, worldHeight);
+
+            // Override: steer around viruses the bot is too big to pass
+            this.avoidViruses(worldWidth, worldHeight);
+
+            this.planPath();
+            this.lastDecisionTime = now;
+        }
+
+        // Move towards target (via the next waypoint if walls are in the way)
+        const waypoint = this.getNextWaypoint();
+        const speed = this.getSpeed();
+        const dx = waypoint.x - body.x;
+        const dy = waypoint.y - body.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        // Boost as executeAction decided, while the target is still around
+        const boosting = body.updateBoost(dist > 5 && this.wantsBoost && !!this.targetEntity?.alive, TICK_MS);
+
+        if (dist > 5) {
+            const speedMult = boosting ? CONFIG.BOOST.speedMult : 1;
+
+            // Add organic sine wave movement to make it look less robotic
+            const wobble = Math.sin(now / 200) * 0.5;
+            const dirX = dx / dist + wobble * 0.1;
+            const dirY = dy / dist - wobble * 0.1;
+
+            if (body.physicsMode === 'drift') {
+                // Thrust like a drifting player; updatePhysics() carries the body
+                let thrustX = dirX * speed * speedMult * 0.05;
+                let thrustY = dirY * speed * speedMult * 0.05;
+
+                // In gravity wells, aim the same thrust so it also cancels the pull
+                const wells = this.hazards?.wells;
+                if (wells?.length) {
+                    const pull = getGravityPull(wells, body.x, body.y);
+                    const thrust = Math.sqrt(thrustX * thrustX + thrustY * thrustY);
+                    const aimX = thrustX - pull.x;
+                    const aimY = thrustY - pull.y;
+                    const aim = Math.sqrt(aimX * aimX + aimY * aimY) || 1;
+                    thrustX = (aimX / aim) * thrust;
+                    thrustY = (aimY / aim) * thrust;
+                }
+
+                body.velocity.x += thrustX;
+                body.velocity.y += thrustY;
+            } else {
+                body.x += dirX * speed * speedMult;
+                body.y += dirY * speed * speedMult;
+            }
+
+            // Clamp to world bounds
+            body.clampToWorld(worldWidth, worldHeight);
+        }
+    }
+
+    /**
+     * Route to the target around walls (chasing, fleeing and wandering all follow the waypoints).
+     * A* only runs again once the target moves to another nav cell or the bot loses sight
+     * of its next waypoint (knocked off the path).
+     */
+    planPath() {
+        const grid = this.navGrid;
+        if (!grid) return;
+
+        const goal = grid.cellAt(this.targetX, this.targetY);
+        const next = this.path[0] || { x: this.targetX, y: this.targetY };
+        if (goal === this.pathGoal && grid.hasLineOfSight(this.body.x, this.body.y, next.x, next.y)) return;
+
+        this.path = grid.findPath(this.body.x, this.body.y, this.targetX, this.targetY) || [];
+        this.pathGoal = goal;
+    }
+
+    /**
+     * Current waypoint, dropping the ones already reached; the target itself once the path is done
+     */
+    getNextWaypoint() {
+        const reach = CONFIG.NAV.waypointReach;
+        while (this.path.length > 0) {
+            const dx = this.path[0].x - this.body.x;
+            const dy = this.path[0].y - this.body.y;
+            if (dx * dx + dy * dy > reach * reach) return this.path[0];
+            this.path.shift();
+        }
+        return { x: this.targetX, y: this.targetY };
+    }
+
+    /**
+     * Called when bot collects an orb (for reward)
+     */
+    onOrbCollected() {
+        this.stats.orbs++;
+        this.pendingReward += this.rewards.orb;
+    }
+
+    /**
+     * Called when bot kills another entity (for reward)
+     */
+    onKill() {
+        this.stats.kills++;
+        this.pendingReward += this.rewards.kill;
+    }
+
+    /**
+     * Called when bot runs into a virus (for penalty)
+     */
+    onVirusHit() {
+        this.pendingReward += this.rewards.virus;
+    }
+
+    /**
+     * Called when bot dies (for penalty)
+     */
+    onDeath() {
+        this.stats.deaths++;
+        this.brain.receiveReward(this.pendingReward + this.rewards.death, this.lastState, this.lastAction, null);
+
+        // Only this bot's transition ends here
+        this.lastState = null;
+        this.lastAction = null;
+        this.pendingReward = 0;
+    }
+
+    /**
+     * Reset AI after respawn
+     */
+    reset(worldWidth, worldHeight, now) {
+        this.targetX = this.random() * worldWidth;
+        this.targetY = this.random() * worldHeight;
+        this.changeTargetTime = now + this.random() * 2000;
+        this.aiMode = 'wander';
+        this.targetEntity = null;
+        this.fleeUntilTime = 0;
+        this.wantsBoost = false;
+        this.path = [];
+        this.pathGoal = null;
+        this.currentState = BotState.SAFE_ALONE;
+        this.currentAction = BotAction.WANDER;
+    }
+}
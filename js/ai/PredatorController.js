@@ -0,0 +1,275 @@
+/**
+ * Orb Battle.io - Predator Controller
+ * Behaviour of the Hunter NPC: stalks the biggest prey it can eat, lunges at
+ * where the prey is heading, and gives up on prey that escapes.
+ * Drives a headless Entity; the simulation clamps it and resolves walls.
+ */
+
+import { CONFIG } from '../config.js';
+import { clamp, isInsideRect, isBlockedByVirus, findVirusCover } from '../core/rules.js';
+import { TICK_MS } from '../core/FixedTimestep.js';
+
+export const PredatorState = {
+    STALK: 'stalk',       // Shadowing a target, closing in
+    LUNGE: 'lunge',       // Burst towards the predicted intercept point
+    RECOVER: 'recover',   // Winded after a missed lunge
+    GIVE_UP: 'give_up'    // Prowling after abandoning a target
+};
+
+export class PredatorController {
+    /**
+     * @param {Function} random - random source (the simulation's seeded PRNG)
+     */
+    constructor(body, now = 0, random = Math.random) {
+        this.body = body;
+        this.random = random;
+
+        this.state = PredatorState.STALK;
+        this.stateTime = now;
+
+        // Current prey and its estimated velocity (px per tick)
+        this.target = null;
+        this.targetSince = now;
+        this.targetVelocity = { x: 0, y: 0 };
+        this.lastTargetPos = null;
+        this.closestDistance = Infinity;
+
+        // Where the current lunge is aimed
+        this.interceptX = body.x;
+        this.interceptY = body.y;
+
+        // Prowl destination while giving up
+        this.prowlX = body.x;
+        this.prowlY = body.y;
+
+        // Abandoned target id -> time it may be picked again
+        this.ignored = new Map();
+
+        // Areas the predator can't follow prey into (gauntlets) and viruses prey can hide under, set by owner
+        this.refuges = [];
+        this.covers = [];
+
+        this.stats = { kills: 0, lunges: 0, giveUps: 0 };
+        this.lastUpdateTime = now;
+    }
+
+    setRefuges(refuges) {
+        this.refuges = refuges;
+    }
+
+    setCovers(covers) {
+        this.covers = covers;
+    }
+
+    setState(state, now) {
+        this.state = state;
+        this.stateTime = now;
+    }
+
+    /**
+     * Chase speed in px per tick (slower as the predator grows)
+     */
+    getBaseSpeed() {
+        return Math.max(1.5, 6 - this.body.playerSize * 0.02) * CONFIG.PREDATOR.speedMultiplier;
+    }
+
+    /**
+     * Prey the predator can eat and reach: bigger is better (ghosts slip right through it)
+     */
+    canHunt(entity, now) {
+        if (!entity.alive || entity.dimension || entity.isInvulnerable || entity.hasPowerUp('GHOST')) return false;
+        if (this.body.playerSize <= entity.playerSize * 1.1) return false;
+        if ((this.ignored.get(entity.id) || 0) > now) return false;
+        return !this.isSheltered(entity);
+    }
+
+    isSheltered(entity) {
+        if (this.refuges.some(refuge => isInsideRect(entity, refuge))) return true;
+
+        const cover = findVirusCover(this.covers, entity.x, entity.y);
+        return !!cover && isBlockedByVirus(this.body.playerSize, cover);
+    }
+
+    pickTarget(candidates, now) {
+        let best = null;
+        for (const entity of candidates) {
+            if (!this.canHunt(entity, now)) continue;
+            if (!best || entity.playerSize > best.playerSize) best = entity;
+        }
+
+        this.target = best;
+        this.targetSince = now;
+        this.targetVelocity = { x: 0, y: 0 };
+        this.lastTargetPos = best ? { x: best.x, y: best.y } : null;
+        this.closestDistance = Infinity;
+        return best;
+    }
+
+    /**
+     * Smoothed per-tick velocity of the target from its last position
+     */
+    trackTarget() {
+        const target = this.target;
+        if (this.lastTargetPos) {
+            const vx = target.x - this.lastTargetPos.x;
+            const vy = target.y - this.lastTargetPos.y;
+            this.targetVelocity.x += (vx - this.targetVelocity.x) * 0.3;
+            this.targetVelocity.y += (vy - this.targetVelocity.y) * 0.3;
+        }
+        this.lastTargetPos = { x: target.x, y: target.y };
+    }
+
+    /**
+     * Point where a body moving at `speed` px per tick meets the target if it keeps
+     * its current velocity, looking no further ahead than maxLeadTime
+     */
+    predictIntercept(speed) {
+        const body = this.body;
+        const target = this.target;
+        const v = this.targetVelocity;
+        const rx = target.x - body.x;
+        const ry = target.y - body.y;
+        const maxTicks = CONFIG.PREDATOR.maxLeadTime / TICK_MS;
+
+        // |r + v t| = speed * t  =>  (v.v - s^2) t^2 + 2 (r.v) t + r.r = 0
+        const a = v.x * v.x + v.y * v.y - speed * speed;
+        const b = 2 * (rx * v.x + ry * v.y);
+        const c = rx * rx + ry * ry;
+
+        let ticks = maxTicks;
+        if (Math.abs(a) < 1e-6) {
+            if (b < 0) ticks = -c / b;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant >= 0) {
+                const root = Math.sqrt(discriminant);
+                const t1 = (-b - root) / (2 * a);
+                const t2 = (-b + root) / (2 * a);
+                const hits = [t1, t2].filter(t => t > 0);
+                if (hits.length > 0) ticks = Math.min(...hits);
+            }
+        }
+        ticks = Math.min(ticks, maxTicks);
+
+        return { x: target.x + v.x * ticks, y: target.y + v.y * ticks };
+    }
+
+    /**
+     * Whether the current target should be abandoned: gone, out of reach, too big,
+     * chased for too long or pulling away
+     */
+    shouldGiveUp(dist, now) {
+        const target = this.target;
+        if (!target.alive || target.dimension || target.isInvulnerable || this.isSheltered(target)) return true;
+        if (target.hasPowerUp('GHOST')) return true;
+        if (this.body.playerSize <= target.playerSize * 1.1) return true;
+        if (now - this.targetSince > CONFIG.PREDATOR.giveUpTime) return true;
+
+        this.closestDistance = Math.min(this.closestDistance, dist);
+        return dist - this.closestDistance > CONFIG.PREDATOR.giveUpDistance;
+    }
+
+    giveUp(worldWidth, worldHeight, now) {
+        if (this.target) {
+            this.ignored.set(this.target.id, now + CONFIG.PREDATOR.ignoreTime);
+            this.stats.giveUps++;
+        }
+        this.target = null;
+
+        // Prowl off somewhere nearby
+        this.prowlX = clamp(this.body.x + (this.random() - 0.5) * 600, 100, worldWidth - 100);
+        this.prowlY = clamp(this.body.y + (this.random() - 0.5) * 600, 100, worldHeight - 100);
+        this.setState(PredatorState.GIVE_UP, now);
+    }
+
+    /**
+     * Run the behaviour states and move the body
+     * @param {Array<Entity>} candidates - entities that may be hunted (the main world)
+     */
+    update(candidates, worldWidth, worldHeight, now) {
+        const config = CONFIG.PREDATOR;
+        const body = this.body;
+        const baseSpeed = this.getBaseSpeed();
+        this.lastUpdateTime = now;
+
+        if (this.state === PredatorState.GIVE_UP) {
+            if (now - this.stateTime < config.giveUpDuration) {
+                this.moveTowards(this.prowlX, this.prowlY, baseSpeed * 0.6);
+                return;
+            }
+            this.setState(PredatorState.STALK, now);
+        }
+
+        if (!this.target && !this.pickTarget(candidates, now)) {
+            this.moveTowards(this.prowlX, this.prowlY, baseSpeed * 0.6);
+            return;
+        }
+
+        const target = this.target;
+        const dx = target.x - body.x;
+        const dy = target.y - body.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        if (this.shouldGiveUp(dist, now)) {
+            this.giveUp(worldWidth, worldHeight, now);
+            return;
+        }
+
+        this.trackTarget();
+
+        switch (this.state) {
+            case PredatorState.STALK:
+                if (dist < config.lungeRange && now - this.stateTime >= config.stalkTime) {
+                    const intercept = this.predictIntercept(baseSpeed * config.lungeSpeed);
+                    this.interceptX = intercept.x;
+                    this.interceptY = intercept.y;
+                    this.stats.lunges++;
+                    this.setState(PredatorState.LUNGE, now);
+                } else {
+                    this.moveTowards(target.x, target.y, baseSpeed);
+                }
+                break;
+
+            case PredatorState.LUNGE: {
+                if (now - this.stateTime > config.lungeDuration) {
+                    this.setState(PredatorState.RECOVER, now);
+                    break;
+                }
+                // Keep re-aiming at the intercept as the prey dodges
+                const intercept = this.predictIntercept(baseSpeed * config.lungeSpeed);
+                this.interceptX = intercept.x;
+                this.interceptY = intercept.y;
+                this.moveTowards(this.interceptX, this.interceptY, baseSpeed * config.lungeSpeed);
+                break;
+            }
+
+            case PredatorState.RECOVER:
+                if (now - this.stateTime > config.recoverDuration) {
+                    this.setState(PredatorState.STALK, now);
+                }
+                this.moveTowards(target.x, target.y, baseSpeed * config.recoverSpeed);
+                break;
+        }
+    }
+
+    moveTowards(x, y, speed) {
+        const body = this.body;
+        const dx = x - body.x;
+        const dy = y - body.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist <= 5) return;
+
+        const step = Math.min(speed, dist);
+        body.x += (dx / dist) * step;
+        body.y += (dy / dist) * step;
+    }
+
+    /**
+     * Called when the predator absorbs prey: start stalking the next one
+     */
+    onKill() {
+        this.stats.kills++;
+        this.target = null;
+        this.setState(PredatorState.STALK, this.lastUpdateTime);
+    }
+}
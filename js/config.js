@@ -8,11 +8,21 @@ export const CONFIG = {
     GAME_DURATION: 5 * 60 * 1000, // 5 minutes
     BREAK_REMINDER_1: 15 * 60 * 1000, // 15 minutes
     BREAK_REMINDER_2: 30 * 60 * 1000, // 30 minutes
+    TICK_RATE: 60, // Fixed simulation ticks per second
+    MAX_TICKS_PER_FRAME: 5, // Drop time beyond this to avoid a catch-up spiral
 
     // World
     WORLD_WIDTH: 2000,
     WORLD_HEIGHT: 2000,
     GRID_SIZE: 50,
+    SPATIAL_CELL_SIZE: 100, // Spatial hash cell size for collision and perception queries
+
+    // Bot navigation grid (A* around walls)
+    NAV: {
+        cellSize: 20,          // Grid resolution
+        clearance: 10,         // Cells this close to a wall are blocked
+        waypointReach: 15      // Distance at which a bot moves on to its next waypoint
+    },
 
     // Player
     INITIAL_SIZE: 20,
@@ -21,6 +31,58 @@ export const CONFIG = {
     BASE_SPEED: 8,
     SIZE_SPEED_FACTOR: 0.05,
 
+    // Keyboard bindings (Phaser key code names); the actions sit next to WASD
+    CONTROLS: {
+        up: ['W', 'UP'],
+        down: ['S', 'DOWN'],
+        left: ['A', 'LEFT'],
+        right: ['D', 'RIGHT'],
+        eject: ['E'],
+        split: ['SPACE'],
+        boost: ['SHIFT']
+    },
+
+    // Boost: held down, speeds you up while stamina lasts, then burns mass instead
+    BOOST: {
+        speedMult: 1.7,
+        maxStamina: 100,
+        drainRate: 50,            // Stamina per second while boosting (2s from full)...
+        regenRate: 20,            // ...and recovered per second...
+        regenDelay: 800,          // ...once this long has passed since the last boost
+        sizeCost: 3,              // Size burned per second while boosting on an empty meter...
+        minSize: 20,              // ...down to this size, where boosting stops
+        botFleeRange: 250,        // Bots boost away from threats this close (edge to edge)...
+        botChaseRange: 200,       // ...and at prey this close...
+        botChaseReserve: 30,      // ...if they have this much stamina to spare
+        trailParticles: 3,        // Extra trail particles while boosting
+        trailSize: 3
+    },
+
+    // Mass ejection (main world only): held down, every big enough cell fires a pellet
+    EJECT: {
+        minSize: 30,              // Cells smaller than this can't eject
+        sizeCost: 2,
+        sizeGain: 1.5,            // What eating a pellet gives back (less than it cost)
+        value: 5,                 // Score for eating a pellet
+        pelletSize: 9,
+        speed: 14,                // Launch speed in px per tick...
+        friction: 0.9,            // ...slowing down every tick until it settles
+        cooldown: 120,
+        ownerDuration: 800        // How long the shooter's own cells can't eat the pellet
+    },
+
+    // Splitting (main world only): every cell big enough halves its mass and fires off the other half
+    SPLIT: {
+        minSize: 36,
+        maxCells: 4,
+        launchSpeed: 18,          // px per tick, fading by launchFriction every tick
+        launchFriction: 0.88,
+        cohesion: 0.02,           // Share of the gap to the main cell closed every tick
+        mergeDelay: 8000,         // Time before a cell can merge back...
+        mergeDelayPerSize: 50,    // ...plus this much per unit of its size
+        cooldown: 400
+    },
+
     // Orbs
     INITIAL_ORB_COUNT: 100,
     ORB_MIN_SIZE: 8,
@@ -28,11 +90,10 @@ export const CONFIG = {
     ORB_VALUE: 25,
 
 
-    // Bots
-    BOT_COUNT: 8,
+    // Bots (how many is set by the difficulty preset)
     BOT_MIN_SIZE: 15,
     BOT_MAX_SIZE: 30,
-    BOT_NAMES: ['Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta', 'Eta', 'Theta'],
+    BOT_NAMES: ['Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta', 'Eta', 'Theta', 'Iota', 'Kappa', 'Lambda', 'Mu'],
 
     // Colors
     PLAYER_COLORS: ['#6c8eef', '#86efac', '#fdba74', '#a78bfa', '#f472b6', '#67e8f9', '#fca5a5'],
@@ -63,7 +124,7 @@ export const CONFIG = {
         maxDimensionTime: 30000
     },
 
-    // Dimension Configs
+    // Dimension Configs (tuning; behaviour is registered in js/core/dimensions)
     DIMENSIONS: {
         FEAST: {
             name: 'Feast',
@@ -99,7 +160,6 @@ export const CONFIG = {
             color: 0xf472b6,
             colorHex: '#f472b6',
             bots: 2,
-            hasWalls: true,
             description: 'Confined labyrinth'
         },
         SPEED: {
@@ -113,9 +173,59 @@ export const CONFIG = {
             colorHex: '#fbbf24',
             bots: 3,
             description: 'Everything 2x faster'
+        },
+        VOID: {
+            name: 'Void',
+            worldSize: 1400,
+            orbCount: 90,
+            speedMult: 0.6,
+            orbBonus: 2.25,
+            decayMult: 0.8,
+            color: 0x22d3ee,
+            colorHex: '#22d3ee',
+            bots: 3,
+            description: 'Gravity wells & a singularity'
         }
     },
 
+    // Mirror Maze layout (js/core/MazeGenerator.js)
+    MAZE: {
+        wallThickness: 15,
+        minCellSize: 100,         // Cells grow past this when the player needs wider corridors
+        openingMargin: 20         // Room to spare around the player's diameter in every corridor
+    },
+
+    // Mirror Maze mechanics (js/core/dimensions/mirrorMaze.js)
+    MIRROR: {
+        phantomAxes: ['x', 'y', 'xy'], // Player reflections across the vertical, horizontal and both centre lines
+        phantomValue: 0.5,        // Share of an orb's points (and growth) a phantom collects for its player
+        phantomAlpha: 0.35,
+        calmDuration: 10000,      // Time between control inversions
+        warningDuration: 2000,    // HUD countdown before controls flip
+        inversionDuration: 4000,
+        mirrorWallChance: 0.3,    // Share of maze walls that are mirrors
+        reflectDuration: 600,     // How long moving into a mirror wall sends you the other way
+        wallColor: 0xe0f2fe
+    },
+
+    // Void mechanics (js/core/dimensions/void.js). Strengths are the pull (px per tick, per tick)
+    // at a well's core, fading to nothing at its range; drifting thrust is about 0.1-0.2 and
+    // drops as you grow, so big orbs can't climb out of a core until it has shrunk them
+    VOID: {
+        singularity: { strength: 0.14, range: 450, coreRadius: 45 }, // At the centre of the space
+        wellCount: 3,
+        well: { strength: 0.08, range: 260, coreRadius: 22 },
+        wellSpacing: 300,         // Minimum distance between wells (and from the singularity)
+        shrinkRate: 0.25,         // Size lost per tick while touching a core
+        spawnDistance: 280,       // Where the player arrives, from the singularity
+        orbitShare: 0.6,          // Share of orbs circling a well (the rest float still)
+        orbitMargin: 30,          // Closest an orbit passes to a core
+        orbitSpeed: 60,           // px per second
+        botLookahead: 30,         // Ticks ahead bots project their drift to stay clear of cores
+        botCoreMargin: 40,        // Bots steer away when projected this close to a core...
+        botPullLimit: 0.7         // ...or into a pull stronger than this share of their thrust
+    },
+
     // Predator NPC
     PREDATOR: {
         spawnThreshold: 50,
@@ -123,7 +233,20 @@ export const CONFIG = {
         speedMultiplier: 1.4,
         duration: 30000,
         cooldown: 45000,
-        warningDuration: 3000
+        warningDuration: 3000,
+
+        // Behaviour (PredatorController): stalk -> lunge -> recover, giving up on prey it can't catch
+        stalkTime: 1500,          // Minimum time shadowing a target before it may lunge
+        lungeRange: 260,          // Lunges at prey closer than this
+        lungeSpeed: 1.7,          // Speed multiplier while lunging
+        lungeDuration: 900,
+        maxLeadTime: 1200,        // Cap (ms) on how far ahead a lunge predicts the target
+        recoverSpeed: 0.5,        // Speed multiplier while winded after a missed lunge
+        recoverDuration: 1200,
+        giveUpTime: 10000,        // Abandons a target it hasn't caught in this long
+        giveUpDistance: 400,      // ...or one that has pulled this far away from its closest approach
+        giveUpDuration: 1500,     // Time spent prowling before picking a new target
+        ignoreTime: 8000          // An abandoned target isn't picked again for this long
     },
 
     // Danger Zones
@@ -133,16 +256,21 @@ export const CONFIG = {
         activeDuration: 20000,
         radius: 180,
         orbMultiplier: 4,
-        shrinkRate: 0.002
+        orbCount: 20,             // 4x orbs spawned when the zone activates
+        shrinkRate: 0.002         // Fraction of size lost per tick inside an active zone
     },
 
     // Gauntlet Passages
     GAUNTLET: {
         count: 3,
-        width: 40,
+        width: 90,                // Clear corridor width (fits anything under maxSizeToEnter)
         length: 300,
-        orbValue: 25,
-        maxSizeToEnter: 35
+        wallThickness: 15,
+        orbValue: 75,             // 3x a normal orb
+        orbSpacing: 50,
+        maxSizeToEnter: 35,
+        color: 0x67e8f9,
+        colorHex: '#67e8f9'
     },
 
     // Meteor Showers
@@ -152,7 +280,28 @@ export const CONFIG = {
         warningDuration: 2000,
         damageRadius: 60,
         damagePercent: 0.35,
-        dodgeDistance: 100
+        dodgeDistance: 100,
+        closeCallBonus: 75,       // Score for a threatened player who gets clear in time
+        maxSpillOrbs: 15          // Cap on orbs scattered from one hit
+    },
+
+    // Viruses: spiky main-world obstacles. Anything too big to pass one is knocked back off it
+    // and loses mass (a player's body that hits one also bursts in two); anything smaller slips underneath to hide
+    VIRUS: {
+        count: 10,
+        maxCount: 20,             // Feeding stops spawning new ones past this many
+        size: 45,
+        popRatio: 1.1,            // Entities bigger than size x this can't pass
+        damagePercent: 0.25,      // Share of size lost on a hit, spilled as orbs
+        hitCooldown: 1000,        // A body isn't hit again this soon (just pushed back)
+        feedGrowth: 2,            // Size gained per ejected pellet swallowed...
+        feedCount: 7,             // ...until this many make it fire off a new virus
+        launchSpeed: 16,          // px per tick, slowing by CONFIG.EJECT.friction
+        botAvoidMargin: 40,       // Bots that would be hit steer this far around one...
+        botCoverRange: 300,       // ...and bots small enough to hide run for one this close when fleeing
+        spikes: 18,
+        color: 0x22c55e,
+        colorHex: '#22c55e'
     },
 
     // Milestones
@@ -194,11 +343,128 @@ export const CONFIG = {
         KILL_REWARD: 100,
         DEATH_PENALTY: -50,
         SURVIVAL_REWARD: 1,
+        VIRUS_PENALTY: -20,              // Running into a virus
+
+        // Timing (decision interval is per difficulty preset)
+        FLEE_DURATION: 3000,             // How long to flee after spotting threat
+
+        // State features (bucket edges; anything past the last edge falls in the last bucket)
+        STATE_FEATURES: {
+            distanceBuckets: [100, 175],            // near / mid / far (up to detection radius)
+            sizeRatioBands: [0.6, 0.85, 1.1, 1.6],  // dwarfed / smaller / even / bigger / dominant
+            orbDensityBuckets: [1, 3, 8],           // none / few / some / many orbs in range
+            wallProximity: 60                       // Gap to a wall or world edge that counts as cornered
+        }
+    },
+
+    // Bot personalities (main-world bots are dealt a mix by weight)
+    // rewards / detectionRadius override BOT_AI (left out = BOT_AI values), exploration scales
+    // the brain's exploration rate, privateBrain gives the archetype its own Q-table
+    BOT_ARCHETYPES: {
+        farmer: {
+            name: 'Farmer',
+            weight: 3,
+            rewards: { orb: 8, kill: 40, death: -80, survival: 1 },
+            exploration: 0.5,
+            detectionRadius: 300,            // Spots threats early
+            preyChaseChance: 0.2,            // Chance to force a chase when prey is nearest
+            safeWanderChance: 0.3,           // Chance of a random hop when nothing is around
+            dangerZoneMaxSize: 0,            // Largest size that dives into an active danger zone for its orbs
+            seeksRifts: false,
+            privateBrain: true
+        },
+        hunter: {
+            name: 'Hunter',
+            weight: 2,
+            rewards: { orb: 3, kill: 150, death: -40, survival: 0.5 },
+            exploration: 1,
+            detectionRadius: 350,
+            preyChaseChance: 0.95,
+            safeWanderChance: 0.5,
+            dangerZoneMaxSize: 40,
+            seeksRifts: false,
+            privateBrain: true
+        },
+        opportunist: {
+            name: 'Opportunist',
+            weight: 3,
+            exploration: 1.5,
+            preyChaseChance: 0.8,
+            safeWanderChance: 0.3,
+            dangerZoneMaxSize: 40,
+            seeksRifts: false,
+            privateBrain: false
+        },
+        riftLurker: {
+            name: 'Rift Lurker',
+            weight: 2,
+            rewards: { orb: 6, kill: 80, death: -50, survival: 1 },
+            exploration: 1.2,
+            detectionRadius: 220,
+            preyChaseChance: 0.6,
+            safeWanderChance: 0.2,
+            dangerZoneMaxSize: 60,
+            seeksRifts: true,                // Loiters around rift mouths to ambush whoever comes out (bots never enter rifts)
+            privateBrain: false
+        }
+    },
+    DEFAULT_BOT_ARCHETYPE: 'opportunist',
 
-        // Timing
-        DECISION_INTERVAL: 300,          // How often bots make decisions (ms)
-        FLEE_DURATION: 3000              // How long to flee after spotting threat
+    // Bot difficulty presets (picked on the menu; the server reads the DIFFICULTY env var)
+    // detectionScale / explorationScale multiply the archetype values, speedFactor the bot move speed.
+    // respawnScaling: once the largest human passes `threshold`, respawning bots are sized
+    // reference * minFactor..maxFactor, capped at minCap..maxCap
+    DIFFICULTY: {
+        EASY: {
+            name: 'Easy',
+            color: 0x86efac,
+            colorHex: '#86efac',
+            description: 'Fewer, slower bots that miss a lot',
+            botCount: 5,
+            detectionScale: 0.7,
+            decisionInterval: 500,
+            explorationScale: 2,
+            speedFactor: 0.85,
+            respawnScaling: { threshold: 60, minFactor: 0.3, maxFactor: 0.6, minCap: 40, maxCap: 70 }
+        },
+        NORMAL: {
+            name: 'Normal',
+            color: 0x67e8f9,
+            colorHex: '#67e8f9',
+            description: 'The classic arena',
+            botCount: 8,
+            detectionScale: 1,
+            decisionInterval: 300,
+            explorationScale: 1,
+            speedFactor: 1,
+            respawnScaling: { threshold: 40, minFactor: 0.4, maxFactor: 0.8, minCap: 60, maxCap: 100 }
+        },
+        HARD: {
+            name: 'Hard',
+            color: 0xfdba74,
+            colorHex: '#fdba74',
+            description: 'More bots that react faster and keep up with you',
+            botCount: 10,
+            detectionScale: 1.25,
+            decisionInterval: 200,
+            explorationScale: 0.5,
+            speedFactor: 1.1,
+            respawnScaling: { threshold: 30, minFactor: 0.5, maxFactor: 0.9, minCap: 80, maxCap: 130 }
+        },
+        NIGHTMARE: {
+            name: 'Nightmare',
+            color: 0xef4444,
+            colorHex: '#ef4444',
+            description: 'A crowded arena of sharp, fast bots that respawn your size',
+            botCount: 12,
+            detectionScale: 1.5,
+            decisionInterval: 120,
+            explorationScale: 0.2,
+            speedFactor: 1.2,
+            respawnScaling: { threshold: 20, minFactor: 0.6, maxFactor: 1.0, minCap: 100, maxCap: 160 }
+        }
     },
+    DEFAULT_DIFFICULTY: 'NORMAL',
 
     // Timed Mode
     TIMED_MODE: {
@@ -219,6 +485,38 @@ export const CONFIG = {
         size: 16,                         // Slightly larger than normal orbs
     },
 
+    // Power-up orbs (main world). Each type is picked by weight; different types stack freely,
+    // and picking up one you already have either 'extend's it (up to maxDuration) or 'refresh'es it
+    POWER_UPS: {
+        spawnRate: 0.04,                  // Share of new main-world orbs that are power-ups
+        size: 15,
+        value: 20,
+        maxDuration: 20000,
+        botSeekRange: 400,                // Bots go for power-ups this close before plain orbs
+        types: {
+            MAGNET: {
+                name: 'Magnet', icon: '🧲', color: '#f43f5e', weight: 3,
+                duration: 8000, stacking: 'extend',
+                range: 220,                   // Orbs within range + size are pulled in...
+                pull: 6                       // ...at this many px per tick
+            },
+            SHIELD: {
+                name: 'Shield', icon: '🛡️', color: '#38bdf8', weight: 2,
+                duration: 15000, stacking: 'refresh',
+                graceTime: 1000               // Untouchable this long after it blocks an absorb
+            },
+            GHOST: {
+                name: 'Ghost', icon: '👻', color: '#c4b5fd', weight: 2,
+                duration: 5000, stacking: 'refresh'
+            },
+            DOUBLE_SCORE: {
+                name: '2x Score', icon: '💰', color: '#fbbf24', weight: 3,
+                duration: 10000, stacking: 'extend',
+                multiplier: 2
+            }
+        }
+    },
+
     // Visual Complexity Stages (based on player size) - Reduced intensity for calmer visuals
     VISUAL_STAGES: [
         { minSize: 15, name: 'nascent', trailThickness: 1, trailTurbulence: 0, layers: 0, glowIntensity: 0.05, particleCount: 1 },
@@ -242,12 +540,12 @@ export const CONFIG = {
 };
 
 // Helper to get random color
-export function getRandomPlayerColor() {
-    return CONFIG.PLAYER_COLORS[Math.floor(Math.random() * CONFIG.PLAYER_COLORS.length)];
+export function getRandomPlayerColor(random = Math.random) {
+    return CONFIG.PLAYER_COLORS[Math.floor(random() * CONFIG.PLAYER_COLORS.length)];
 }
 
-export function getRandomOrbColor() {
-    return CONFIG.ORB_COLORS[Math.floor(Math.random() * CONFIG.ORB_COLORS.length)];
+export function getRandomOrbColor(random = Math.random) {
+    return CONFIG.ORB_COLORS[Math.floor(random() * CONFIG.ORB_COLORS.length)];
 }
 
 // Convert hex color string to number
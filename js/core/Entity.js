@@ -0,0 +1,189 @@
+/**
+ * Orb Battle.io - Headless Entity
+ * Player/bot state without any rendering, used by the simulation
+ */
+
+import { CONFIG } from '../config.js';
+import {
+    clamp,
+    clampSize,
+    getGrownSize,
+    applyDirectionalMovement,
+    applyDrift,
+    advanceBoost,
+    getCollisionResult
+} from './rules.js';
+
+export class Entity {
+    constructor(x, y, config = {}) {
+        this.id = config.id || 'local';
+        this.playerName = config.name || 'Player';
+        this.playerColor = config.color || '#6c8eef';
+        this.playerSize = config.size || CONFIG.INITIAL_SIZE;
+        this.score = config.score || 0;
+        this.isBot = config.isBot || false;
+        this.archetype = config.archetype || null; // Bot personality id (CONFIG.BOT_ARCHETYPES)
+        this.isPhantom = config.isPhantom || false; // Mirror Maze reflection of a player
+        this.alive = true;
+        this.dimension = null; // Dimension instance the entity is in (null = main world)
+        this.respawnTime = null;
+
+        this.x = x;
+        this.y = y;
+
+        // Physics properties
+        this.velocity = { x: 0, y: 0 };
+        this.physicsMode = 'direct'; // 'direct' or 'drift'
+        this.friction = 0.95;
+
+        // Boost stamina (CONFIG.BOOST)
+        this.stamina = CONFIG.BOOST.maxStamina;
+        this.boostRest = 0;
+        this.boosting = false;
+
+        // Active power-ups: type -> time it runs out (CONFIG.POWER_UPS)
+        this.powerUps = {};
+        this.shieldGraceUntil = 0;
+
+        // Viruses only push this body back until then (CONFIG.VIRUS)
+        this.virusHitUntil = 0;
+    }
+
+    setPosition(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Set entity size
+     */
+    setSize(newSize) {
+        this.playerSize = clampSize(newSize);
+    }
+
+    /**
+     * Grow entity by amount (with diminishing returns)
+     */
+    grow(amount) {
+        this.playerSize = getGrownSize(this.playerSize, amount);
+    }
+
+    /**
+     * Add score
+     */
+    addScore(amount) {
+        this.score += amount;
+    }
+
+    /**
+     * Kill the entity
+     */
+    die(now) {
+        this.alive = false;
+        this.respawnTime = now + CONFIG.RESPAWN_TIME;
+        this.powerUps = {};
+    }
+
+    /**
+     * Respawn the entity
+     */
+    respawn(x, y, size = CONFIG.INITIAL_SIZE) {
+        this.alive = true;
+        this.respawnTime = null;
+        this.setPosition(x, y);
+        this.setSize(size);
+        this.velocity = { x: 0, y: 0 };
+        this.stamina = CONFIG.BOOST.maxStamina;
+        this.boostRest = 0;
+        this.boosting = false;
+    }
+
+    /**
+     * Set physics mode
+     * @param {string} mode - 'direct' or 'drift'
+     */
+    setPhysicsMode(mode) {
+        this.physicsMode = mode;
+        this.velocity = { x: 0, y: 0 };
+    }
+
+    /**
+     * Move in a direction (keyboard-style input)
+     */
+    moveInDirection(dirX, dirY, speedMult = 1) {
+        if (!this.alive) return null;
+        if (dirX === 0 && dirY === 0) return null;
+
+        return applyDirectionalMovement(this, dirX, dirY, speedMult);
+    }
+
+    /**
+     * Whether a power-up is running (split cells share their player's)
+     */
+    hasPowerUp(type) {
+        return type in (this.owner || this).powerUps;
+    }
+
+    /**
+     * Boost (or rest) for this tick
+     * @returns {boolean} whether the entity boosts
+     */
+    updateBoost(wantsBoost, dt) {
+        if (!this.alive) return false;
+        return advanceBoost(this, wantsBoost, dt);
+    }
+
+    /**
+     * Apply drift physics for this tick
+     */
+    updatePhysics() {
+        if (this.alive && this.physicsMode === 'drift') {
+            applyDrift(this);
+        }
+    }
+
+    /**
+     * Clamp position to world bounds
+     */
+    clampToWorld(worldWidth, worldHeight) {
+        this.x = clamp(this.x, this.playerSize, worldWidth - this.playerSize);
+        this.y = clamp(this.y, this.playerSize, worldHeight - this.playerSize);
+    }
+
+    /**
+     * Check collision with another entity
+     */
+    checkCollision(other) {
+        return getCollisionResult(this, other);
+    }
+
+    /**
+     * Get distance to another entity
+     */
+    distanceTo(other) {
+        const dx = this.x - other.x;
+        const dy = this.y - other.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Serialize entity data for network (same shape as Player.serialize)
+     */
+    serialize() {
+        return {
+            id: this.id,
+            name: this.playerName,
+            x: this.x,
+            y: this.y,
+            size: this.playerSize,
+            color: this.playerColor,
+            score: this.score,
+            alive: this.alive,
+            isBot: this.isBot,
+            archetype: this.archetype,
+            isPhantom: this.isPhantom,
+            boosting: this.boosting,
+            powerUps: Object.keys((this.owner || this).powerUps)
+        };
+    }
+}
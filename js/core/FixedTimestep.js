@@ -0,0 +1,47 @@
+/**
+ * Orb Battle.io - Fixed Timestep
+ * Turns variable frame times into a whole number of fixed simulation ticks
+ */
+
+import { CONFIG } from '../config.js';
+
+export const TICK_MS = 1000 / CONFIG.TICK_RATE;
+
+export class FixedTimestep {
+    constructor(stepMs = TICK_MS, maxSteps = CONFIG.MAX_TICKS_PER_FRAME) {
+        this.stepMs = stepMs;
+        this.maxSteps = maxSteps;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Accumulate elapsed time and run as many fixed steps as fit
+     * @param {number} elapsed - real time since last call in ms
+     * @param {Function} stepFn - called with stepMs once per tick
+     * @returns {number} ticks run
+     */
+    advance(elapsed, stepFn) {
+        this.accumulator += elapsed;
+
+        let steps = 0;
+        while (this.accumulator >= this.stepMs && steps < this.maxSteps) {
+            stepFn(this.stepMs);
+            this.accumulator -= this.stepMs;
+            steps++;
+        }
+
+        // Too far behind (tab in background, slow device): drop the backlog
+        if (steps === this.maxSteps && this.accumulator >= this.stepMs) {
+            this.accumulator = 0;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Fraction of a tick elapsed since the last step, for render interpolation
+     */
+    get alpha() {
+        return this.accumulator / this.stepMs;
+    }
+}
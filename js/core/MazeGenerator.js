@@ -0,0 +1,153 @@
+/**
+ * Orb Battle.io - Maze Generator
+ * Recursive-backtracker mazes on a cell grid, as wall rectangles for the Mirror Maze.
+ * Every cell is reachable (the carved passages form a spanning tree).
+ */
+
+import { CONFIG } from '../config.js';
+
+// Cell wall bits and the neighbour each one leads to
+const EAST = 1;
+const SOUTH = 2;
+const DIRECTIONS = [
+    { dc: 1, dr: 0 },
+    { dc: -1, dr: 0 },
+    { dc: 0, dr: 1 },
+    { dc: 0, dr: -1 }
+];
+
+/**
+ * Generate a maze filling a square space
+ * @param {number} size - world size of the space
+ * @param {Object} options
+ * @param {Function} options.random - random source; a seeded one (createRandom) gives a reproducible maze
+ * @param {number} options.entitySize - radius that must fit through every corridor
+ * @param {{x, y}} options.spawn - point opened up into a room big enough for entitySize
+ * @returns {Array<{x, y, width, height}>} walls
+ */
+export function generateMaze(size, {
+    random = Math.random,
+    entitySize = CONFIG.INITIAL_SIZE,
+    spawn = { x: size / 2, y: size / 2 }
+} = {}) {
+    const config = CONFIG.MAZE;
+
+    // Cells wide enough for the entity's diameter plus the wall between them
+    const minCell = Math.max(config.minCellSize, entitySize * 2 + config.openingMargin + config.wallThickness);
+    const cols = Math.max(1, Math.floor(size / minCell));
+    const cellSize = size / cols;
+
+    // Every cell starts with its east and south walls up (the space edge closes the rest)
+    const cells = new Uint8Array(cols * cols).fill(EAST | SOUTH);
+    carvePassages(cells, cols, random);
+    clearSpawnRoom(cells, cols, cellSize, spawn, entitySize + config.openingMargin);
+
+    return buildWalls(cells, cols, cellSize, config.wallThickness, size);
+}
+
+/**
+ * Recursive backtracker (iterative): random walk to unvisited neighbours, backing up at dead ends
+ */
+function carvePassages(cells, cols, random) {
+    const visited = new Uint8Array(cells.length);
+    const start = Math.floor(random() * cells.length);
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+        const cell = stack[stack.length - 1];
+        const col = cell % cols;
+        const row = Math.floor(cell / cols);
+
+        const options = [];
+        for (const { dc, dr } of DIRECTIONS) {
+            const c = col + dc;
+            const r = row + dr;
+            if (c < 0 || r < 0 || c >= cols || r >= cols) continue;
+            if (!visited[r * cols + c]) options.push(r * cols + c);
+        }
+
+        if (options.length === 0) {
+            stack.pop();
+            continue;
+        }
+
+        const next = options[Math.floor(random() * options.length)];
+        removeWallBetween(cells, cols, cell, next);
+        visited[next] = 1;
+        stack.push(next);
+    }
+}
+
+/**
+ * Knock down the shared wall of two adjacent cells
+ */
+function removeWallBetween(cells, cols, a, b) {
+    const first = Math.min(a, b);
+    const second = Math.max(a, b);
+    cells[first] &= second - first === 1 ? ~EAST : ~SOUTH;
+}
+
+/**
+ * Open every cell touching the area around the spawn point into one room
+ */
+function clearSpawnRoom(cells, cols, cellSize, spawn, radius) {
+    const toCell = (value) => Math.min(cols - 1, Math.max(0, Math.floor(value / cellSize)));
+    const minCol = toCell(spawn.x - radius);
+    const maxCol = toCell(spawn.x + radius);
+    const minRow = toCell(spawn.y - radius);
+    const maxRow = toCell(spawn.y + radius);
+
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+            const cell = row * cols + col;
+            if (col < maxCol) removeWallBetween(cells, cols, cell, cell + 1);
+            if (row < maxRow) removeWallBetween(cells, cols, cell, cell + cols);
+        }
+    }
+}
+
+/**
+ * Turn cell walls into rectangles centred on the grid lines, merging straight runs
+ */
+function buildWalls(cells, cols, cellSize, thickness, size) {
+    const walls = [];
+    const half = thickness / 2;
+
+    // Runs overlap the grid corners they end on, but not the space edge
+    const span = (from, to) => {
+        const start = Math.max(0, from * cellSize - half);
+        const end = Math.min(size, to * cellSize + half);
+        return { start, length: end - start };
+    };
+
+    // Vertical runs along each column line
+    for (let col = 0; col < cols - 1; col++) {
+        let runStart = -1;
+        for (let row = 0; row <= cols; row++) {
+            const hasWall = row < cols && (cells[row * cols + col] & EAST);
+            if (hasWall && runStart === -1) runStart = row;
+            if (!hasWall && runStart !== -1) {
+                const { start, length } = span(runStart, row);
+                walls.push({ x: (col + 1) * cellSize - half, y: start, width: thickness, height: length });
+                runStart = -1;
+            }
+        }
+    }
+
+    // Horizontal runs along each row line
+    for (let row = 0; row < cols - 1; row++) {
+        let runStart = -1;
+        for (let col = 0; col <= cols; col++) {
+            const hasWall = col < cols && (cells[row * cols + col] & SOUTH);
+            if (hasWall && runStart === -1) runStart = col;
+            if (!hasWall && runStart !== -1) {
+                const { start, length } = span(runStart, col);
+                walls.push({ x: start, y: (row + 1) * cellSize - half, width: length, height: thickness });
+                runStart = -1;
+            }
+        }
+    }
+
+    return walls;
+}
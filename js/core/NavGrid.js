@@ -0,0 +1,326 @@
+/**
+ * Orb Battle.io - Navigation Grid
+ * Walkability grid over a space's wall rectangles (maze walls, gauntlet
+ * walls, anything else added with block()) with A* pathing and
+ * line-of-sight path smoothing for bots
+ */
+
+import { CONFIG } from '../config.js';
+
+// 8-connected neighbour offsets with their step costs
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+/**
+ * Binary min-heap of cell indexes ordered by an external score array
+ */
+class CellHeap {
+    constructor(scores) {
+        this.scores = scores;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(cell) {
+        const items = this.items;
+        items.push(cell);
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.scores[items[parent]] <= this.scores[items[i]]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.scores[items[left]] < this.scores[items[smallest]]) smallest = left;
+                if (right < items.length && this.scores[items[right]] < this.scores[items[smallest]]) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+export class NavGrid {
+    /**
+     * @param {Array<{x, y, width, height}>} walls - obstacles to path around
+     */
+    constructor(width, height, walls = [], cellSize = CONFIG.NAV.cellSize) {
+        this.width = width;
+        this.height = height;
+        this.cellSize = cellSize;
+        this.cols = Math.ceil(width / cellSize);
+        this.rows = Math.ceil(height / cellSize);
+        this.blocked = new Uint8Array(this.cols * this.rows);
+
+        // Connected region id per walkable cell (rebuilt lazily after block())
+        this.regions = null;
+
+        walls.forEach(wall => this.block(wall));
+    }
+
+    /**
+     * Mark every cell within clearance of a rectangle as unwalkable
+     */
+    block(rect, clearance = CONFIG.NAV.clearance) {
+        const minCol = Math.max(0, Math.floor((rect.x - clearance) / this.cellSize));
+        const maxCol = Math.min(this.cols - 1, Math.floor((rect.x + rect.width + clearance) / this.cellSize));
+        const minRow = Math.max(0, Math.floor((rect.y - clearance) / this.cellSize));
+        const maxRow = Math.min(this.rows - 1, Math.floor((rect.y + rect.height + clearance) / this.cellSize));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                this.blocked[row * this.cols + col] = 1;
+            }
+        }
+        this.regions = null;
+    }
+
+    /**
+     * Label walkable cells by connected region (4-connected flood fill)
+     */
+    buildRegions() {
+        const regions = new Int32Array(this.blocked.length).fill(-1);
+        let nextRegion = 0;
+
+        for (let seed = 0; seed < regions.length; seed++) {
+            if (this.blocked[seed] || regions[seed] !== -1) continue;
+
+            const stack = [seed];
+            regions[seed] = nextRegion;
+            while (stack.length > 0) {
+                const cell = stack.pop();
+                const col = cell % this.cols;
+                const row = Math.floor(cell / this.cols);
+                const neighbours = [
+                    col > 0 ? cell - 1 : -1,
+                    col < this.cols - 1 ? cell + 1 : -1,
+                    row > 0 ? cell - this.cols : -1,
+                    row < this.rows - 1 ? cell + this.cols : -1
+                ];
+                for (const next of neighbours) {
+                    if (next === -1 || this.blocked[next] || regions[next] !== -1) continue;
+                    regions[next] = nextRegion;
+                    stack.push(next);
+                }
+            }
+            nextRegion++;
+        }
+
+        this.regions = regions;
+    }
+
+    /**
+     * Region of the walkable cell nearest a point (-1 if the grid is solid);
+     * a path exists between two points with the same region
+     */
+    regionAt(x, y) {
+        if (!this.regions) this.buildRegions();
+
+        const cell = this.nearestWalkableCell(x, y);
+        return cell === null ? -1 : this.regions[cell];
+    }
+
+    cellAt(x, y) {
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+        return row * this.cols + col;
+    }
+
+    cellCenter(cell) {
+        return {
+            x: (cell % this.cols + 0.5) * this.cellSize,
+            y: (Math.floor(cell / this.cols) + 0.5) * this.cellSize
+        };
+    }
+
+    isWalkable(x, y) {
+        return !this.blocked[this.cellAt(x, y)];
+    }
+
+    /**
+     * Closest walkable cell to a point (ring search), or null if the grid is solid
+     */
+    nearestWalkableCell(x, y) {
+        const start = this.cellAt(x, y);
+        if (!this.blocked[start]) return start;
+
+        const col = start % this.cols;
+        const row = Math.floor(start / this.cols);
+        const maxRing = Math.max(this.cols, this.rows);
+
+        for (let ring = 1; ring < maxRing; ring++) {
+            let best = null;
+            let bestDist = Infinity;
+
+            for (let r = row - ring; r <= row + ring; r++) {
+                for (let c = col - ring; c <= col + ring; c++) {
+                    const onRing = Math.abs(r - row) === ring || Math.abs(c - col) === ring;
+                    if (!onRing || r < 0 || c < 0 || r >= this.rows || c >= this.cols) continue;
+
+                    const cell = r * this.cols + c;
+                    if (this.blocked[cell]) continue;
+
+                    const dist = (r - row) * (r - row) + (c - col) * (c - col);
+                    if (dist < bestDist) {
+                        bestDist = dist;
+                        best = cell;
+                    }
+                }
+            }
+
+            if (best !== null) return best;
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a straight segment only crosses walkable cells
+     */
+    hasLineOfSight(x0, y0, x1, y1) {
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const steps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / (this.cellSize / 2));
+
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            if (this.blocked[this.cellAt(x0 + dx * t, y0 + dy * t)]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * A* from one point to another, smoothed to the fewest waypoints with line of sight
+     * @returns {Array<{x, y}>|null} waypoints ending at the goal (or, if it's walled off,
+     *   as close as the start's region gets), empty if the goal is in plain sight,
+     *   null if the grid has no walkable cell
+     */
+    findPath(fromX, fromY, toX, toY) {
+        if (this.hasLineOfSight(fromX, fromY, toX, toY)) return [];
+
+        const start = this.nearestWalkableCell(fromX, fromY);
+        const goal = this.nearestWalkableCell(toX, toY);
+        if (start === null || goal === null) return null;
+
+        const cols = this.cols;
+        const goalCol = goal % cols;
+        const goalRow = Math.floor(goal / cols);
+
+        // Octile distance to the goal
+        const heuristic = (cell) => {
+            const dx = Math.abs(cell % cols - goalCol);
+            const dy = Math.abs(Math.floor(cell / cols) - goalRow);
+            return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+        };
+
+        const cellCount = this.blocked.length;
+        const costs = new Float64Array(cellCount).fill(Infinity);
+        const scores = new Float64Array(cellCount).fill(Infinity);
+        const cameFrom = new Int32Array(cellCount).fill(-1);
+        const closed = new Uint8Array(cellCount);
+        const open = new CellHeap(scores);
+
+        costs[start] = 0;
+        scores[start] = heuristic(start);
+        open.push(start);
+
+        // Closest cell to the goal explored so far (the end of a partial path)
+        let closest = start;
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal) {
+                closest = goal;
+                break;
+            }
+            if (closed[current]) continue;
+            closed[current] = 1;
+            if (heuristic(current) < heuristic(closest)) closest = current;
+
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+
+            for (const [dc, dr, stepCost] of NEIGHBOURS) {
+                const c = col + dc;
+                const r = row + dr;
+                if (c < 0 || r < 0 || c >= cols || r >= this.rows) continue;
+
+                const next = r * cols + c;
+                if (this.blocked[next] || closed[next]) continue;
+
+                // No cutting corners past a wall
+                if (dc !== 0 && dr !== 0 && (this.blocked[row * cols + c] || this.blocked[r * cols + col])) continue;
+
+                const cost = costs[current] + stepCost;
+                if (cost < costs[next]) {
+                    costs[next] = cost;
+                    scores[next] = cost + heuristic(next);
+                    cameFrom[next] = current;
+                    open.push(next);
+                }
+            }
+        }
+
+        // Walk back from the goal (or the closest cell to it)
+        const cells = [];
+        for (let cell = closest; cell !== -1; cell = cameFrom[cell]) {
+            cells.push(cell);
+        }
+        cells.reverse();
+
+        const points = cells.map(cell => this.cellCenter(cell));
+        if (closest === goal && this.isWalkable(toX, toY)) points[points.length - 1] = { x: toX, y: toY };
+
+        return this.smoothPath(fromX, fromY, points);
+    }
+
+    /**
+     * String-pull a cell path: from each point, skip ahead to the furthest visible one
+     */
+    smoothPath(fromX, fromY, points) {
+        const waypoints = [];
+        let x = fromX;
+        let y = fromY;
+        let i = 0;
+
+        while (i < points.length) {
+            let furthest = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(x, y, points[j].x, points[j].y)) {
+                    furthest = j;
+                    break;
+                }
+            }
+
+            waypoints.push(points[furthest]);
+            x = points[furthest].x;
+            y = points[furthest].y;
+            i = furthest + 1;
+        }
+
+        return waypoints;
+    }
+}
@@ -0,0 +1,2114 @@
+/**
+ * Orb Battle.io - Simulation
+ * Headless match simulation holding all world state and game rules
+ * (orbs, bots, absorption, combos, kill streaks, rifts, hazards, timer).
+ * Has no Phaser dependency: GameScene renders it, the Node server runs it.
+ * All randomness comes from one seeded PRNG, so the same seed, bot brain
+ * and input stream replay the same match.
+ */
+
+import { CONFIG, getRandomPlayerColor } from '../config.js';
+import { Entity } from './Entity.js';
+import { createOrbState, createRandomOrbState } from './orbs.js';
+import {
+    clamp,
+    canCollectOrb,
+    getOrbValue,
+    getOrbSizeGain,
+    getAbsorbScore,
+    advanceKillStreak,
+    advanceCombo,
+    createCombo,
+    getBotSpawnSizeRange,
+    resolveWallCollision,
+    isInsideRect,
+    stackPowerUp,
+    isBlockedByVirus
+} from './rules.js';
+import { BotController } from '../ai/BotController.js';
+import { sharedBotBrain } from '../ai/BotBrain.js';
+import { dealArchetypes } from '../ai/BotArchetypes.js';
+import { PredatorController } from '../ai/PredatorController.js';
+import { createRandom } from './random.js';
+import { SpatialHash } from './SpatialHash.js';
+import { NavGrid } from './NavGrid.js';
+import { getDimension, pickDimensionType, createRiftStats } from './dimensions/index.js';
+
+// Largest orb radius, bounds orb collection queries
+const MAX_ORB_SIZE = Math.max(CONFIG.ORB_MAX_SIZE, CONFIG.TIME_ORB.size, CONFIG.POWER_UPS.size);
+
+/**
+ * The player a body belongs to (split cells belong to their player, anything else to itself)
+ */
+function getOwner(entity) {
+    return entity.owner || entity;
+}
+
+/**
+ * Score multiplier from an entity's power-ups
+ */
+function getScoreMultiplier(entity) {
+    return entity.hasPowerUp('DOUBLE_SCORE') ? CONFIG.POWER_UPS.types.DOUBLE_SCORE.multiplier : 1;
+}
+
+export class Simulation {
+    constructor(options = {}) {
+        // Deterministic randomness (pass `seed` to replay, or `random` to inject a source)
+        this.seed = options.seed ?? (Date.now() >>> 0);
+        this.random = options.random || createRandom(this.seed);
+        this.brain = options.brain || sharedBotBrain;
+
+        // Bot difficulty preset (id in CONFIG.DIFFICULTY)
+        this.difficultyId = CONFIG.DIFFICULTY[options.difficulty] ? options.difficulty : CONFIG.DEFAULT_DIFFICULTY;
+        this.difficulty = CONFIG.DIFFICULTY[this.difficultyId];
+
+        // World dimensions
+        this.worldWidth = options.worldWidth || CONFIG.WORLD_WIDTH;
+        this.worldHeight = options.worldHeight || CONFIG.WORLD_HEIGHT;
+        this.botCount = options.botCount ?? this.difficulty.botCount;
+        this.orbCount = options.orbCount ?? CONFIG.INITIAL_ORB_COUNT;
+
+        // Match state (sim time in ms, advanced only by step())
+        this.time = 0;
+        this.remainingTime = options.duration || CONFIG.TIMED_MODE?.gameDuration || CONFIG.GAME_DURATION;
+        this.running = false;
+
+        // Main world entities
+        this.players = [];
+        this.bots = [];
+        this.orbs = [];
+        this.rifts = [];
+        this.nextOrbId = 0;
+        this.nextDimensionId = 0;
+
+        // Spatial indexes for the main world
+        this.orbIndex = new SpatialHash();
+        this.entityIndex = new SpatialHash();
+
+        // Environmental hazards
+        this.predator = null;
+        this.predatorWarning = null;
+        this.predatorCooldown = 0;
+        this.dangerZone = null;
+        this.dangerZoneTimer = 0;
+        this.meteors = [];
+        this.meteorTimer = 0;
+        this.nextMeteorId = 0;
+        this.gauntlets = [];
+        this.viruses = [];
+        this.nextVirusId = 0;
+
+        // Events produced since last drainEvents() (sounds, effects, network)
+        this.events = [];
+    }
+
+    /**
+     * Populate the world and start the clock
+     */
+    start() {
+        const archetypes = dealArchetypes(this.botCount, this.random);
+
+        for (let i = 0; i < this.botCount; i++) {
+            const bot = new Entity(
+                this.random() * this.worldWidth,
+                this.random() * this.worldHeight,
+                {
+                    id: 'bot_' + i,
+                    name: CONFIG.BOT_NAMES[i] || 'Bot',
+                    color: getRandomPlayerColor(this.random),
+                    size: CONFIG.BOT_MIN_SIZE + this.random() * (CONFIG.BOT_MAX_SIZE - CONFIG.BOT_MIN_SIZE),
+                    isBot: true,
+                    archetype: archetypes[i]
+                }
+            );
+            bot.ai = new BotController(bot, this.brain, this.time, this.random, archetypes[i]);
+            this.bots.push(bot);
+        }
+
+        for (let i = 0; i < this.orbCount; i++) {
+            const orb = this.createOrb();
+            this.orbs.push(orb);
+            this.orbIndex.insert(orb);
+        }
+
+        this.createRifts();
+        this.createGauntlets();
+        this.createViruses();
+
+        // Bots perceive orbs, threat/prey and gauntlet walls through the world, and hazards through the sim
+        const walls = this.gauntlets.flatMap(gauntlet => gauntlet.walls);
+        const navGrid = new NavGrid(this.worldWidth, this.worldHeight, walls);
+        this.bots.forEach(bot => {
+            bot.ai.setWorld({ orbIndex: this.orbIndex, entityIndex: this.entityIndex, walls, navGrid });
+            bot.ai.setHazards(this);
+            bot.ai.setDifficulty(this.difficulty);
+        });
+        this.refreshEntityIndex();
+
+        // Initialize hazards (delayed start)
+        this.predatorCooldown = this.time + 10000;
+        this.dangerZoneTimer = this.time + 15000;
+        this.meteorTimer = this.time + 20000;
+
+        this.running = true;
+    }
+
+    // ========================================
+    // PLAYERS
+    // ========================================
+
+    /**
+     * Add a human-controlled player
+     */
+    addPlayer(config = {}, x = this.random() * this.worldWidth, y = this.random() * this.worldHeight) {
+        const player = new Entity(x, y, {
+            id: config.id,
+            name: config.name,
+            color: config.color || getRandomPlayerColor(this.random)
+        });
+
+        // Per-player scoring state
+        player.stats = {
+            orbsCollected: 0,
+            playersAbsorbed: 0,
+            timeOrbsCollected: 0,
+            timeAdded: 0,
+            eatenByHunter: 0
+        };
+        player.combo = createCombo();
+        player.killStreak = { count: 0, lastKillTime: -Infinity };
+        player.milestoneReached = [];
+
+        // Per-player rift state
+        player.riftCooldown = 0;
+        player.isInvulnerable = false;
+        player.invulnTimer = 0;
+        player.mainWorldState = null;
+        player.riftStats = createRiftStats();
+
+        // Split cells (extra bodies sharing the player's input) and action timing
+        player.cells = [];
+        player.nextCellId = 0;
+        player.facing = { x: 1, y: 0 }; // Last movement direction: where pellets and cells are fired
+        player.nextEjectTime = 0;
+        player.nextSplitTime = 0;
+
+        this.players.push(player);
+        return player;
+    }
+
+    /**
+     * Remove a human-controlled player (and their dimension instance)
+     */
+    removePlayer(id) {
+        const index = this.players.findIndex(p => p.id === id);
+        if (index === -1) return;
+
+        const [player] = this.players.splice(index, 1);
+        [player, ...player.cells].forEach(body => this.entityIndex.remove(body));
+    }
+
+    getPlayer(id) {
+        return this.players.find(p => p.id === id) || null;
+    }
+
+    // ========================================
+    // STEP
+    // ========================================
+
+    /**
+     * Advance the simulation by one fixed tick (movement speeds are per tick)
+     * @param {number} dt - tick length in ms (TICK_MS)
+     * @param {Object<string, {x: number, y: number, eject: boolean, split: boolean}>} inputs -
+     *        movement direction and held action keys per player id
+     */
+    step(dt, inputs = {}) {
+        if (!this.running) return;
+
+        this.time += dt;
+
+        // Countdown timer (timed mode)
+        this.remainingTime -= dt;
+        if (this.remainingTime <= 0) {
+            this.remainingTime = 0;
+            this.running = false;
+            this.emit('gameOver', { rankings: this.getRankings() });
+            return;
+        }
+
+        // Update dimension timers
+        this.players.forEach(player => this.updateDimensionTimers(player, dt));
+
+        // Drift physics
+        this.players.forEach(player => player.updatePhysics());
+
+        this.handleRespawns();
+
+        // Move players from input
+        this.players.forEach(player => {
+            if (!player.alive) return;
+
+            const input = inputs[player.id];
+            const moving = !!input && (input.x !== 0 || input.y !== 0);
+            player.updateBoost(moving && input.boost === true, dt);
+            if (moving) {
+                const dir = this.steerInDimension(player, input.x, input.y);
+                player.moveInDirection(dir.x, dir.y, this.getSpeedMultiplier(player));
+                player.facing = { x: input.x, y: input.y };
+            }
+
+            const worldSize = this.getWorldSize(player);
+            player.clampToWorld(worldSize.width, worldSize.height);
+
+            this.moveCells(player, moving ? input : null);
+            if (input) this.handleActions(player, input);
+        });
+
+        // Dimension-specific updates (one instance per player inside a rift)
+        this.players.forEach(player => {
+            if (!player.dimension) return;
+            this.refreshDimensionIndex(player);
+            this.updateDimensionBots(player.dimension);
+            this.checkDimensionCollisions(player);
+            this.checkMazeWallCollisions(player);
+            this.updateDimensionMechanics(player, dt);
+            this.applyDimensionDecay(player);
+        });
+
+        // Main world updates
+        this.players.forEach(player => this.checkRiftEntry(player));
+        this.updatePowerUps();
+        this.updateMovingOrbs();
+        this.updateViruses();
+        this.refreshEntityIndex();
+        this.updateBots();
+        this.checkGauntletCollisions();
+        this.checkVirusCollisions();
+        this.checkCollisions();
+        this.updatePredator(dt);
+        this.updateDangerZone(dt);
+        this.updateMeteors(dt);
+        // this.applyMassDecay(); // Disabled per user request
+        this.players.forEach(player => this.checkMilestones(player));
+
+        this.updateCombos(dt);
+        this.players.forEach(player => this.trackRiftStats(player, dt));
+    }
+
+    // ========================================
+    // MAIN WORLD
+    // ========================================
+
+    /**
+     * Create a random main-world orb
+     */
+    createOrb() {
+        return createRandomOrbState('orb_' + (this.nextOrbId++), this.worldWidth, this.worldHeight, this.random);
+    }
+
+    /**
+     * Remove an orb and spawn a replacement in its slot
+     * @param {Array} orbs - orb list the orb belongs to
+     * @param {Function} factory - creates the replacement orb
+     * @param {Object|null} dimension - instance the orbs belong to
+     */
+    replaceOrb(orbs, removed, factory, dimension = null) {
+        const orb = factory();
+        orbs[orbs.indexOf(removed)] = orb;
+
+        const orbIndex = dimension ? dimension.orbIndex : this.orbIndex;
+        orbIndex.remove(removed);
+        orbIndex.insert(orb);
+
+        const space = dimension ? dimension.id : null;
+        this.emit('orbRemoved', { orbId: removed.id, space });
+        this.emit('orbSpawned', { orb, space });
+    }
+
+    /**
+     * Replace a collected main-world orb (danger zone orbs refill the zone while it is active,
+     * spilled and ejected mass is gone once eaten)
+     */
+    respawnOrb(orb) {
+        if (orb.specialType === 'spill' || orb.specialType === 'ejected') {
+            this.removeOrb(orb);
+            return;
+        }
+
+        const zone = this.dangerZone;
+        const gauntlet = orb.specialType === 'gauntlet' ? this.gauntlets.find(g => isInsideRect(orb, g)) : null;
+
+        let factory = () => this.createOrb();
+        if (orb.specialType === 'danger' && zone && zone.phase === 'active') {
+            factory = () => this.createDangerOrb(zone);
+        } else if (gauntlet) {
+            factory = () => this.createGauntletOrb(gauntlet, this.random());
+        }
+        this.replaceOrb(this.orbs, orb, factory);
+    }
+
+    /**
+     * Add an extra main-world orb
+     */
+    addOrb(orb) {
+        this.orbs.push(orb);
+        this.orbIndex.insert(orb);
+        this.emit('orbSpawned', { orb, space: null });
+    }
+
+    /**
+     * Remove a main-world orb without replacing it
+     */
+    removeOrb(orb) {
+        const index = this.orbs.indexOf(orb);
+        if (index === -1) return;
+
+        this.orbs.splice(index, 1);
+        this.orbIndex.remove(orb);
+        this.emit('orbRemoved', { orbId: orb.id, space: null });
+    }
+
+    /**
+     * Scatter lost mass around a point as collectible orbs
+     */
+    spillMass(x, y, mass, color, spread) {
+        const count = clamp(Math.round(mass / 1.5), 1, CONFIG.METEOR.maxSpillOrbs);
+
+        for (let i = 0; i < count; i++) {
+            const angle = this.random() * Math.PI * 2;
+            const dist = spread * (0.5 + this.random() * 0.5);
+
+            this.addOrb(createOrbState(
+                clamp(x + Math.cos(angle) * dist, 0, this.worldWidth),
+                clamp(y + Math.sin(angle) * dist, 0, this.worldHeight),
+                {
+                    id: 'spill_' + (this.nextOrbId++),
+                    color: color,
+                    specialType: 'spill'
+                },
+                this.random
+            ));
+        }
+    }
+
+    /**
+     * Orbs an entity is touching
+     */
+    getCollectableOrbs(entity, orbIndex) {
+        const reach = entity.playerSize + MAX_ORB_SIZE * 0.5;
+        return orbIndex.queryRadius(entity.x, entity.y, reach, orb => canCollectOrb(entity, orb));
+    }
+
+    /**
+     * Keep the main-world entity index in sync with positions, deaths and rift trips
+     */
+    refreshEntityIndex() {
+        [...this.players, ...this.getCells(), ...this.bots].forEach(entity => {
+            if (entity.alive && !entity.dimension) {
+                this.entityIndex.update(entity);
+            } else {
+                this.entityIndex.remove(entity);
+            }
+        });
+    }
+
+    /**
+     * Update bot AI and bot orb collection
+     */
+    updateBots() {
+        this.bots.forEach(bot => {
+            if (!bot.alive) return;
+
+            bot.ai.update(this.worldWidth, this.worldHeight, this.time);
+            this.entityIndex.update(bot);
+
+            // Check bot orb collection
+            this.getCollectableOrbs(bot, this.orbIndex).forEach(orb => {
+                bot.grow(getOrbSizeGain(orb));
+                bot.addScore(getOrbValue(orb) * getScoreMultiplier(bot));
+                if (orb.powerUp) this.grantPowerUp(bot, orb.powerUp);
+
+                // Trigger AI reward for learning
+                bot.ai.onOrbCollected();
+
+                this.respawnOrb(orb);
+            });
+        });
+    }
+
+    /**
+     * Check player orb collection and entity absorption in the main world
+     */
+    checkCollisions() {
+        const players = this.players.filter(p => p.alive && !p.dimension);
+
+        players.forEach(player => {
+            [player, ...player.cells].forEach(body => {
+                this.getCollectableOrbs(body, this.orbIndex).forEach(orb => {
+                    // Freshly ejected pellets can't be eaten straight back
+                    if (orb.ownerId === player.id && this.time < orb.ownerUntil) return;
+
+                    this.collectOrb(player, orb, body);
+                    this.respawnOrb(orb);
+                });
+            });
+        });
+
+        // Check entity collisions: contact distance scales with the larger
+        // entity, so each entity only has to look for smaller ones around it
+        for (const a of this.getMainWorldEntities()) {
+            if (!a.alive) continue;
+
+            const candidates = this.entityIndex.queryRadius(a.x, a.y, a.playerSize * 0.8,
+                b => b !== a && b.playerSize <= a.playerSize && getOwner(b) !== getOwner(a));
+
+            for (const b of candidates) {
+                if (a.checkCollision(b) !== 'absorb') continue;
+                if (b.isInvulnerable || !this.canAbsorb(a, b)) continue;
+                this.absorbEntity(a, b);
+            }
+        }
+    }
+
+    /**
+     * Apply orb collection for a human player (combo, time bonus, score)
+     * @param {Entity} body - the player or one of their split cells (grows by the orb)
+     */
+    collectOrb(player, orb, body = player) {
+        // Update combo
+        const tier = advanceCombo(player.combo);
+        if (tier >= 0) {
+            this.emit('comboTier', { entityId: player.id, tier, count: player.combo.count });
+        }
+
+        // Time orbs extend the match
+        let timeBonus = 0;
+        if (orb.isTimeOrb) {
+            timeBonus = orb.timeBonus || CONFIG.TIME_ORB.timeBonus;
+            this.remainingTime += timeBonus;
+            player.stats.timeOrbsCollected++;
+            player.stats.timeAdded += timeBonus;
+        }
+
+        // Size + score with combo (and power-up) multiplier
+        body.grow(getOrbSizeGain(orb));
+        const score = Math.floor(getOrbValue(orb) * player.combo.multiplier * getScoreMultiplier(player));
+        player.addScore(score);
+        player.stats.orbsCollected++;
+        if (orb.powerUp) this.grantPowerUp(player, orb.powerUp);
+
+        this.emit('orbCollected', {
+            entityId: player.id,
+            x: orb.x,
+            y: orb.y,
+            orbColor: orb.orbColor,
+            orbSize: orb.orbSize,
+            score,
+            timeBonus,
+            comboCount: player.combo.count
+        });
+    }
+
+    /**
+     * Absorb entity (split cells score for their player; a player who still has
+     * other cells loses the body instead of dying)
+     */
+    absorbEntity(absorber, absorbed) {
+        // Safety checks to prevent issues
+        if (!absorber || !absorbed) return;
+        if (!absorber.alive || !absorbed.alive) return;
+
+        const owner = getOwner(absorber);
+        const victim = getOwner(absorbed);
+        if (this.blockWithShield(absorber, absorbed)) return;
+
+        const absorbedSize = absorbed.playerSize;
+        const cellLost = this.loseBody(absorbed);
+
+        let scoreGain = getAbsorbScore(absorber.playerSize, absorbedSize) * getScoreMultiplier(owner);
+
+        // Kill streak for human players
+        if (owner.killStreak) {
+            const multiplier = this.registerKill(owner);
+            scoreGain = Math.floor(scoreGain * multiplier);
+            owner.stats.playersAbsorbed++;
+        }
+
+        // Bot AI rewards - absorber gets kill reward, absorbed gets death penalty
+        if (absorber.ai) absorber.ai.onKill();
+        if (absorbed.ai) absorbed.ai.onDeath();
+
+        // Attribute Hunter kills in the victim's stats
+        if (absorber.isPredator && victim.stats && !cellLost) victim.stats.eatenByHunter++;
+
+        absorber.grow(absorbedSize * CONFIG.ABSORPTION_SIZE_GAIN);
+        owner.addScore(scoreGain);
+
+        this.emit('absorb', {
+            absorberId: owner.id,
+            absorbedId: victim.id,
+            score: scoreGain,
+            byPredator: !!absorber.isPredator,
+            cellLost,
+            dimensionType: victim.dimension?.type || null
+        });
+    }
+
+    /**
+     * Take an absorbed body out of play: a split cell is gone, a player with cells
+     * carries on in their biggest one, anything else dies
+     * @returns {boolean} whether the owner lives on in other cells
+     */
+    loseBody(entity) {
+        if (entity.owner) {
+            entity.die(this.time);
+            this.removeCell(entity.owner, entity);
+            return true;
+        }
+
+        if (entity.cells?.length > 0) {
+            const biggest = entity.cells.reduce((a, b) => (b.playerSize > a.playerSize ? b : a));
+            entity.setPosition(biggest.x, biggest.y);
+            entity.setSize(biggest.playerSize);
+            entity.velocity = { x: 0, y: 0 };
+            this.removeCell(entity, biggest);
+            return true;
+        }
+
+        entity.die(this.time);
+        return false;
+    }
+
+    /**
+     * Register a kill for streak tracking
+     * @returns {number} score multiplier
+     */
+    registerKill(player) {
+        const streak = advanceKillStreak(player.killStreak, this.time);
+
+        if (streak.bonus) {
+            this.emit('killStreak', {
+                entityId: player.id,
+                name: streak.bonus.name,
+                count: player.killStreak.count
+            });
+        }
+
+        return streak.multiplier;
+    }
+
+    /**
+     * Handle respawns
+     */
+    handleRespawns() {
+        // Respawn players (always back in the main world)
+        this.players.forEach(player => {
+            if (!player.alive && player.respawnTime && this.time > player.respawnTime) {
+                player.respawn(
+                    this.random() * this.worldWidth,
+                    this.random() * this.worldHeight
+                );
+                this.emit('respawn', { entityId: player.id });
+            }
+        });
+
+        // Dynamic Difficulty: bots scale with the largest human
+        const largestHuman = this.players.reduce((max, p) => Math.max(max, p.playerSize), 0);
+
+        this.bots.forEach(bot => {
+            if (!bot.alive && bot.respawnTime && this.time > bot.respawnTime) {
+                const range = getBotSpawnSizeRange(largestHuman, this.difficulty.respawnScaling);
+                bot.respawn(
+                    this.random() * this.worldWidth,
+                    this.random() * this.worldHeight,
+                    range.min + this.random() * (range.max - range.min)
+                );
+                bot.ai.reset(this.worldWidth, this.worldHeight, this.time);
+            }
+        });
+
+        // Respawn dimension bots
+        this.players.forEach(player => {
+            const dimension = player.dimension;
+            if (!dimension) return;
+
+            dimension.bots.forEach(bot => {
+                if (!bot.alive && bot.respawnTime && this.time > bot.respawnTime) {
+                    bot.respawn(
+                        this.random() * dimension.worldSize,
+                        this.random() * dimension.worldSize,
+                        CONFIG.INITIAL_SIZE
+                    );
+                    bot.ai.reset(dimension.worldSize, dimension.worldSize, this.time);
+                }
+            });
+        });
+    }
+
+    /**
+     * Apply mass decay
+     */
+    applyMassDecay() {
+        const allEntities = [...this.players.filter(p => p.alive && !p.dimension), ...this.bots.filter(b => b.alive)];
+
+        allEntities.forEach(entity => {
+            if (entity.playerSize <= CONFIG.DECAY.minSize) return;
+
+            const sizeRatio = entity.playerSize / CONFIG.DECAY.minSize;
+            const decayRate = CONFIG.DECAY.baseRate * (1 + (sizeRatio - 1) * CONFIG.DECAY.sizeMultiplier);
+
+            entity.setSize(entity.playerSize - decayRate);
+        });
+    }
+
+    /**
+     * Check milestone achievements
+     */
+    checkMilestones(player) {
+        if (player.dimension) return;
+
+        CONFIG.MILESTONES.forEach(milestone => {
+            if (!player.milestoneReached.includes(milestone.size) && player.playerSize >= milestone.size) {
+                player.milestoneReached.push(milestone.size);
+                player.addScore(milestone.bonus);
+                this.emit('milestone', { entityId: player.id, name: milestone.name, bonus: milestone.bonus });
+            }
+        });
+    }
+
+    /**
+     * Update combo timers
+     */
+    updateCombos(dt) {
+        this.players.forEach(player => {
+            const combo = player.combo;
+            if (combo.count > 0) {
+                combo.timer -= dt;
+                if (combo.timer <= 0) {
+                    // Combo expired
+                    this.emit('comboBreak', { entityId: player.id, count: combo.count });
+                    Object.assign(combo, createCombo());
+                }
+            }
+        });
+    }
+
+    // ========================================
+    // EJECT & SPLIT
+    // ========================================
+
+    /**
+     * Eject and split while their keys are held, at most once per cooldown (main world only)
+     */
+    handleActions(player, input) {
+        if (!player.alive || player.dimension) return;
+
+        if (input.split && this.time >= player.nextSplitTime) {
+            player.nextSplitTime = this.time + CONFIG.SPLIT.cooldown;
+            this.splitPlayer(player);
+        }
+
+        if (input.eject && this.time >= player.nextEjectTime) {
+            player.nextEjectTime = this.time + CONFIG.EJECT.cooldown;
+            this.ejectMass(player);
+        }
+    }
+
+    /**
+     * Unit vector of the way the player last moved
+     */
+    getFacing(player) {
+        const { x, y } = player.facing;
+        const length = Math.sqrt(x * x + y * y);
+        return { x: x / length, y: y / length };
+    }
+
+    /**
+     * Every cell big enough fires a pellet the way the player is facing, paying for it in size
+     */
+    ejectMass(player) {
+        const config = CONFIG.EJECT;
+        const dir = this.getFacing(player);
+        let count = 0;
+
+        [player, ...player.cells].forEach(body => {
+            if (body.playerSize < config.minSize) return;
+
+            body.setSize(body.playerSize - config.sizeCost);
+            const offset = body.playerSize + config.pelletSize;
+            const orb = createOrbState(
+                clamp(body.x + dir.x * offset, 0, this.worldWidth),
+                clamp(body.y + dir.y * offset, 0, this.worldHeight),
+                {
+                    id: 'eject_' + (this.nextOrbId++),
+                    color: player.playerColor,
+                    size: config.pelletSize,
+                    value: config.value,
+                    specialType: 'ejected'
+                },
+                this.random
+            );
+            orb.sizeGain = config.sizeGain;
+            orb.ownerId = player.id;
+            orb.ownerUntil = this.time + config.ownerDuration;
+            orb.velocity = { x: dir.x * config.speed, y: dir.y * config.speed };
+
+            this.addOrb(orb);
+            count++;
+        });
+
+        if (count > 0) this.emit('eject', { entityId: player.id, count });
+    }
+
+    /**
+     * Glide orbs with a velocity (ejected pellets, orbs caught by a magnet) until they settle
+     */
+    updateMovingOrbs() {
+        const friction = CONFIG.EJECT.friction;
+
+        this.orbs.forEach(orb => {
+            if (!orb.velocity) return;
+
+            orb.x = clamp(orb.x + orb.velocity.x, 0, this.worldWidth);
+            orb.y = clamp(orb.y + orb.velocity.y, 0, this.worldHeight);
+            orb.velocity.x *= friction;
+            orb.velocity.y *= friction;
+            this.orbIndex.update(orb);
+
+            if (Math.abs(orb.velocity.x) + Math.abs(orb.velocity.y) < 0.1) orb.velocity = null;
+        });
+    }
+
+    /**
+     * Halve every cell big enough (biggest first, up to maxCells) and fire the new
+     * half the way the player is facing (or along dir). Halving is by area, so no mass is lost.
+     */
+    splitPlayer(player, dir = this.getFacing(player)) {
+        const config = CONFIG.SPLIT;
+        const bodies = [player, ...player.cells]
+            .filter(body => body.playerSize >= config.minSize)
+            .sort((a, b) => b.playerSize - a.playerSize);
+
+        let count = 1 + player.cells.length;
+        const before = count;
+
+        for (const body of bodies) {
+            if (count >= config.maxCells) break;
+            this.splitBody(player, body, dir);
+            count++;
+        }
+
+        if (count > before) this.emit('split', { entityId: player.id, cells: count });
+    }
+
+    /**
+     * Halve one of a player's bodies by mass and launch the other half along dir
+     * @returns {Entity} the new cell
+     */
+    splitBody(player, body, dir) {
+        const config = CONFIG.SPLIT;
+        const size = body.playerSize / Math.SQRT2;
+        body.setSize(size);
+
+        const cell = new Entity(body.x + dir.x * size, body.y + dir.y * size, {
+            id: player.id + '_cell_' + (player.nextCellId++),
+            name: player.playerName,
+            color: player.playerColor,
+            size: size
+        });
+        cell.owner = player;
+        cell.launch = { x: dir.x * config.launchSpeed, y: dir.y * config.launchSpeed };
+        cell.mergeTime = this.time + config.mergeDelay + size * config.mergeDelayPerSize;
+        if (body.owner) body.mergeTime = cell.mergeTime;
+
+        player.cells.push(cell);
+        this.entityIndex.insert(cell);
+        return cell;
+    }
+
+    /**
+     * Move a player's split cells with the same input, carry their launch, keep them
+     * near the main cell and apart from each other, and merge the ones whose time is up
+     * @param {{x, y}|null} input - movement direction (null when not moving)
+     */
+    moveCells(player, input) {
+        if (player.cells.length === 0) return;
+
+        const config = CONFIG.SPLIT;
+        const speedMult = this.getSpeedMultiplier(player);
+
+        player.cells.forEach(cell => {
+            if (input) cell.moveInDirection(input.x, input.y, speedMult);
+
+            cell.x += cell.launch.x + (player.x - cell.x) * config.cohesion;
+            cell.y += cell.launch.y + (player.y - cell.y) * config.cohesion;
+            cell.launch.x *= config.launchFriction;
+            cell.launch.y *= config.launchFriction;
+
+            cell.clampToWorld(this.worldWidth, this.worldHeight);
+        });
+
+        this.separateCells(player);
+
+        player.cells.slice().forEach(cell => {
+            if (this.time >= cell.mergeTime && cell.distanceTo(player) < Math.max(cell.playerSize, player.playerSize)) {
+                this.mergeCell(player, cell);
+            }
+        });
+    }
+
+    /**
+     * Push overlapping cells of one player apart, unless both are ready to merge
+     */
+    separateCells(player) {
+        const bodies = [player, ...player.cells];
+        const canMerge = body => !body.owner || this.time >= body.mergeTime;
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i];
+                const b = bodies[j];
+                if (canMerge(a) && canMerge(b)) continue;
+
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+                const overlap = a.playerSize + b.playerSize - dist;
+                if (overlap <= 0) continue;
+
+                a.x -= (dx / dist) * overlap / 2;
+                a.y -= (dy / dist) * overlap / 2;
+                b.x += (dx / dist) * overlap / 2;
+                b.y += (dy / dist) * overlap / 2;
+            }
+        }
+    }
+
+    /**
+     * Fold a cell back into its player (by area, so no mass is lost)
+     */
+    mergeCell(player, cell) {
+        player.setSize(Math.sqrt(player.playerSize * player.playerSize + cell.playerSize * cell.playerSize));
+        this.removeCell(player, cell);
+        this.emit('merge', { entityId: player.id, cells: 1 + player.cells.length });
+    }
+
+    removeCell(player, cell) {
+        player.cells.splice(player.cells.indexOf(cell), 1);
+        this.entityIndex.remove(cell);
+    }
+
+    /**
+     * Split cells of every player
+     */
+    getCells() {
+        return this.players.flatMap(player => player.cells);
+    }
+
+    // ========================================
+    // POWER-UPS
+    // ========================================
+
+    /**
+     * Start (or stack) a power-up picked up by a player or bot
+     */
+    grantPowerUp(entity, type) {
+        const stacked = stackPowerUp(entity.powerUps, type, this.time);
+        this.emit('powerUp', { entityId: entity.id, powerUp: type, stacked });
+    }
+
+    /**
+     * Run out expired power-ups and let magnets pull orbs in (main world only)
+     */
+    updatePowerUps() {
+        [...this.players, ...this.bots].forEach(entity => {
+            Object.entries(entity.powerUps).forEach(([type, until]) => {
+                if (this.time < until) return;
+                delete entity.powerUps[type];
+                this.emit('powerUpEnd', { entityId: entity.id, powerUp: type });
+            });
+
+            if (entity.alive && !entity.dimension && entity.hasPowerUp('MAGNET')) {
+                [entity, ...(entity.cells || [])].forEach(body => this.pullOrbs(body));
+            }
+        });
+    }
+
+    /**
+     * Set orbs around a magnet body gliding towards it (updateMovingOrbs carries them)
+     */
+    pullOrbs(body) {
+        const config = CONFIG.POWER_UPS.types.MAGNET;
+        const owner = getOwner(body);
+
+        this.orbIndex.queryRadius(body.x, body.y, config.range + body.playerSize, orb =>
+            !(orb.ownerId === owner.id && this.time < orb.ownerUntil)
+        ).forEach(orb => {
+            const dx = body.x - orb.x;
+            const dy = body.y - orb.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+            // Re-aim the orb's velocity in place: a magnet holds many orbs every tick
+            orb.velocity = orb.velocity || { x: 0, y: 0 };
+            orb.velocity.x = (dx / dist) * config.pull;
+            orb.velocity.y = (dy / dist) * config.pull;
+        });
+    }
+
+    /**
+     * Ghosts pass through everything, and a shield that just blocked an absorb
+     * keeps its owner out of reach for a moment
+     */
+    canAbsorb(absorber, absorbed) {
+        if (absorber.hasPowerUp('GHOST') || absorbed.hasPowerUp('GHOST')) return false;
+        return this.time >= getOwner(absorbed).shieldGraceUntil;
+    }
+
+    /**
+     * Spend the absorbed body's shield (if its owner has one) instead of the body,
+     * knocking the two apart
+     * @returns {boolean} whether the absorb was blocked
+     */
+    blockWithShield(absorber, absorbed) {
+        const victim = getOwner(absorbed);
+        if (!victim.hasPowerUp('SHIELD')) return false;
+
+        delete victim.powerUps.SHIELD;
+        victim.shieldGraceUntil = this.time + CONFIG.POWER_UPS.types.SHIELD.graceTime;
+
+        const dx = absorbed.x - absorber.x;
+        const dy = absorbed.y - absorber.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        const clear = absorber.playerSize + absorbed.playerSize;
+        absorbed.setPosition(absorber.x + (dx / dist) * clear, absorber.y + (dy / dist) * clear);
+        const worldSize = this.getWorldSize(absorbed);
+        absorbed.clampToWorld(worldSize.width, worldSize.height);
+
+        this.emit('shieldBlock', { entityId: victim.id, attackerId: getOwner(absorber).id });
+        return true;
+    }
+
+    // ========================================
+    // DIMENSIONAL RIFT SYSTEM
+    // ========================================
+
+    /**
+     * Create dimensional rifts
+     */
+    createRifts() {
+        const positions = [
+            { x: this.worldWidth * 0.2, y: this.worldHeight * 0.2 },
+            { x: this.worldWidth * 0.8, y: this.worldHeight * 0.2 },
+            { x: this.worldWidth * 0.2, y: this.worldHeight * 0.8 },
+            { x: this.worldWidth * 0.8, y: this.worldHeight * 0.8 }
+        ];
+
+        for (let i = 0; i < CONFIG.RIFT.count; i++) {
+            const pos = positions[i];
+            this.rifts.push({
+                id: 'rift_' + i,
+                x: pos.x + (this.random() - 0.5) * 200,
+                y: pos.y + (this.random() - 0.5) * 200,
+                dimensionType: pickDimensionType(this.random)
+            });
+        }
+    }
+
+    checkRiftEntry(player) {
+        if (!player.alive) return;
+        if (player.dimension) return;
+        if (player.riftCooldown > 0) return;
+
+        for (const rift of this.rifts) {
+            const dx = player.x - rift.x;
+            const dy = player.y - rift.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist < CONFIG.RIFT.radius + player.playerSize * 0.5) {
+                this.enterDimension(player, rift.dimensionType, rift.id);
+                break;
+            }
+        }
+    }
+
+    enterDimension(player, type, entryRiftId) {
+        const definition = getDimension(type);
+        const config = definition.config;
+
+        // Split cells can't follow into a rift: they rejoin the player on the way in
+        player.cells.slice().forEach(cell => this.mergeCell(player, cell));
+
+        // Save main world state
+        player.mainWorldState = {
+            x: player.x,
+            y: player.y,
+            entryRiftId: entryRiftId
+        };
+
+        // Each player gets a private instance of the dimension
+        const dimension = {
+            id: 'dim_' + (this.nextDimensionId++),
+            type: type,
+            config: config,
+            definition: definition,
+            worldSize: config.worldSize,
+            timer: CONFIG.RIFT.minDimensionTime +
+                this.random() * (CONFIG.RIFT.maxDimensionTime - CONFIG.RIFT.minDimensionTime),
+            physicsMode: definition.physics,
+            orbs: [],
+            orbIndex: new SpatialHash(),
+            entityIndex: new SpatialHash(),
+            bots: [],
+            walls: [],
+            navGrid: null,
+            scoreMark: player.score, // Player score already counted into the rift report
+            phantoms: [], // Untouchable entities shown in the space (Mirror Maze reflections)
+            wells: [], // Gravity wells (Void)
+            remainingTime: this.remainingTime, // Match clock, mirrored for the bots in here
+            nextOrbId: 0
+        };
+
+        player.dimension = dimension;
+        dimension.entityIndex.insert(player);
+        this.createDimensionContent(dimension, player);
+
+        player.riftCooldown = CONFIG.RIFT.cooldown;
+
+        // Grant invulnerability
+        player.isInvulnerable = true;
+        player.invulnTimer = CONFIG.RIFT.invulnDuration;
+
+        // Apply dimension-specific player mechanics
+        player.setPhysicsMode(dimension.physicsMode);
+
+        // Position player in center
+        player.setPosition(config.worldSize / 2, config.worldSize / 2);
+
+        definition.onEnter?.(this, dimension, player);
+
+        // Track stats
+        player.riftStats.riftsUsed++;
+        player.riftStats.dimensions[type].visits++;
+
+        this.emit('riftEnter', { entityId: player.id, dimensionType: type });
+    }
+
+    createDimensionContent(dimension, player) {
+        const config = dimension.config;
+        const definition = dimension.definition;
+
+        definition.setup?.(this, dimension, player);
+
+        // Walls from the dimension's generator, with a nav grid for the bots
+        if (definition.createWalls) {
+            dimension.walls = definition.createWalls(this, dimension, player);
+            dimension.navGrid = new NavGrid(config.worldSize, config.worldSize, dimension.walls);
+        }
+
+        // Create dimension orbs
+        for (let i = 0; i < config.orbCount; i++) {
+            const orb = this.createDimensionOrb(dimension);
+            dimension.orbs.push(orb);
+            dimension.orbIndex.insert(orb);
+        }
+
+        // Create dimension bots
+        const botNames = ['Shadow', 'Phantom', 'Specter', 'Wraith', 'Ghost', 'Shade'];
+        for (let i = 0; i < config.bots; i++) {
+            const bot = new Entity(
+                this.random() * config.worldSize,
+                this.random() * config.worldSize,
+                {
+                    id: dimension.id + '_bot_' + i,
+                    name: botNames[i % botNames.length],
+                    color: config.colorHex,
+                    size: 18 + this.random() * 15,
+                    isBot: true
+                }
+            );
+            bot.dimension = dimension;
+            bot.setPhysicsMode(dimension.physicsMode);
+            this.resolveMazeWalls(bot);
+
+            // Same perception/decision pipeline as main-world bots, scoped to the instance
+            // (the instance stands in for hazards: no zone, predator or rifts in there, but the same clock)
+            bot.ai = new BotController(bot, this.brain, this.time, this.random);
+            bot.ai.setWorld({
+                orbIndex: dimension.orbIndex,
+                entityIndex: dimension.entityIndex,
+                walls: dimension.walls,
+                navGrid: dimension.navGrid,
+                speedMult: config.speedMult
+            });
+            bot.ai.setHazards(dimension);
+            bot.ai.setDifficulty(this.difficulty);
+
+            dimension.bots.push(bot);
+            dimension.entityIndex.insert(bot);
+        }
+    }
+
+    /**
+     * Create an orb for a dimension (the dimension's own generator, or a themed random orb)
+     */
+    createDimensionOrb(dimension) {
+        const config = dimension.config;
+        const id = dimension.id + '_orb_' + (dimension.nextOrbId++);
+        if (dimension.definition.createOrb) return dimension.definition.createOrb(this, dimension, id);
+
+        return createOrbState(
+            this.random() * config.worldSize,
+            this.random() * config.worldSize,
+            {
+                id,
+                color: config.colorHex,
+                bonus: config.orbBonus,
+                isSpecial: true,
+                specialType: 'dimension'
+            },
+            this.random
+        );
+    }
+
+    /**
+     * Keep the entity index of a player's dimension in sync with positions and deaths
+     */
+    refreshDimensionIndex(player) {
+        const dimension = player.dimension;
+        [player, ...dimension.bots].forEach(entity => {
+            if (entity.alive) {
+                dimension.entityIndex.update(entity);
+            } else {
+                dimension.entityIndex.remove(entity);
+            }
+        });
+    }
+
+    /**
+     * Update dimension bots (AI, physics, maze walls and orb collection)
+     */
+    updateDimensionBots(dimension) {
+        const worldSize = dimension.worldSize;
+        dimension.remainingTime = this.remainingTime;
+
+        dimension.bots.forEach(bot => {
+            if (!bot.alive) return;
+
+            bot.updatePhysics();
+            const from = { x: bot.x, y: bot.y };
+            bot.ai.update(worldSize, worldSize, this.time);
+            const step = this.steerInDimension(bot, bot.x - from.x, bot.y - from.y);
+            bot.setPosition(from.x + step.x, from.y + step.y);
+            bot.clampToWorld(worldSize, worldSize);
+            this.resolveMazeWalls(bot);
+            dimension.entityIndex.update(bot);
+
+            // Dimension bot orb collection
+            this.getCollectableOrbs(bot, dimension.orbIndex).forEach(orb => {
+                bot.grow(1.5);
+                bot.ai.onOrbCollected();
+                this.replaceOrb(dimension.orbs, orb, () => this.createDimensionOrb(dimension), dimension);
+            });
+        });
+    }
+
+    /**
+     * Check dimension collisions
+     */
+    checkDimensionCollisions(player) {
+        if (!player.alive) return;
+
+        const dimension = player.dimension;
+
+        // Check orb collection
+        this.getCollectableOrbs(player, dimension.orbIndex).forEach(orb => this.collectDimensionOrb(player, orb));
+
+        // Check bot collisions with player
+        for (const bot of dimension.bots) {
+            if (!bot.alive) continue;
+
+            const result = player.checkCollision(bot);
+            const [winner, loser] = result === 'absorb' ? [player, bot] : result === 'absorbed' ? [bot, player] : [];
+            if (!winner || !this.absorbInDimension(dimension, winner, loser)) continue;
+
+            const record = player.riftStats.dimensions[dimension.type];
+            if (loser === player) {
+                // Bot absorbed the player - exit the dimension to respawn
+                record.deaths++;
+                this.exitDimension(player, true);
+                return; // Exit early since we're leaving the dimension
+            }
+            record.kills++;
+        }
+
+        // Check bot-bot collisions in dimension
+        for (let i = 0; i < dimension.bots.length; i++) {
+            for (let j = i + 1; j < dimension.bots.length; j++) {
+                const a = dimension.bots[i];
+                const b = dimension.bots[j];
+                if (!a.alive || !b.alive) continue;
+
+                const result = a.checkCollision(b);
+                const [winner, loser] = result === 'absorb' ? [a, b] : result === 'absorbed' ? [b, a] : [];
+                if (winner) this.absorbInDimension(dimension, winner, loser);
+            }
+        }
+    }
+
+    /**
+     * Absorb inside a dimension through the same path as the main world
+     * @returns {boolean} whether the absorbed entity died
+     */
+    absorbInDimension(dimension, absorber, absorbed) {
+        if (absorbed.isInvulnerable || !this.canAbsorb(absorber, absorbed)) return false;
+
+        this.absorbEntity(absorber, absorbed);
+        if (absorbed.alive) return false; // Shield held
+
+        dimension.entityIndex.remove(absorbed);
+        return true;
+    }
+
+    /**
+     * Credit a dimension orb to a player and replace it
+     * @param {number} share - fraction of the orb's points and growth (phantom pickups get less)
+     */
+    collectDimensionOrb(player, orb, share = 1) {
+        const dimension = player.dimension;
+        const points = Math.floor(CONFIG.ORB_VALUE * (orb.bonus || dimension.config.orbBonus) * share);
+        player.grow(1.5 * share);
+        player.addScore(points);
+        player.stats.orbsCollected++;
+        player.riftStats.dimensionOrbs++;
+        player.riftStats.dimensions[dimension.type].orbs++;
+
+        this.emit('dimensionOrbCollected', { entityId: player.id, score: points });
+        this.replaceOrb(dimension.orbs, orb, () => this.createDimensionOrb(dimension), dimension);
+    }
+
+    /**
+     * Check and handle maze wall collisions for the player
+     */
+    checkMazeWallCollisions(player) {
+        if (!player.alive || !player.dimension) return;
+
+        this.resolveMazeWalls(player);
+    }
+
+    resolveMazeWalls(entity) {
+        const dimension = entity.dimension;
+        dimension.walls.forEach(wall => {
+            const side = resolveWallCollision(entity, wall);
+            if (side) dimension.definition.onWallHit?.(this, dimension, entity, wall, side);
+        });
+    }
+
+    /**
+     * Player input or a bot's step, as adjusted by the dimension (e.g. Mirror Maze inversions)
+     */
+    steerInDimension(entity, dx, dy) {
+        const dimension = entity.dimension;
+        if (!dimension || !dimension.definition.steer) return { x: dx, y: dy };
+        return dimension.definition.steer(this, dimension, entity, dx, dy);
+    }
+
+    /**
+     * Run the mechanics of the dimension a player is in
+     */
+    updateDimensionMechanics(player, dt) {
+        const dimension = player.dimension;
+        if (!player.alive || !dimension) return;
+
+        dimension.definition.onUpdate?.(this, dimension, player, dt);
+    }
+
+    /**
+     * Apply dimension decay
+     */
+    applyDimensionDecay(player) {
+        if (!player.alive || !player.dimension) return;
+        if (player.playerSize <= CONFIG.DECAY.minSize) return;
+
+        const decayMult = player.dimension.config.decayMult || 1;
+        const sizeRatio = player.playerSize / CONFIG.DECAY.minSize;
+        const decayRate = CONFIG.DECAY.baseRate * decayMult * (1 + (sizeRatio - 1) * CONFIG.DECAY.sizeMultiplier);
+
+        player.setSize(player.playerSize - decayRate);
+    }
+
+    /**
+     * Add time spent and score earned to the rift report of the dimension a player is in
+     */
+    trackRiftStats(player, dt) {
+        const dimension = player.dimension;
+        if (!dimension) return;
+
+        const record = player.riftStats.dimensions[dimension.type];
+        record.time += dt;
+        record.score += player.score - dimension.scoreMark;
+        dimension.scoreMark = player.score;
+    }
+
+    exitDimension(player, wasAbsorbed = false) {
+        const dimension = player.dimension;
+        if (!dimension) return;
+
+        dimension.definition.onExit?.(this, dimension, player);
+        this.trackRiftStats(player, 0);
+
+        // Choose exit rift (same as entry if possible, otherwise random)
+        let exitRift = null;
+        if (player.mainWorldState && player.mainWorldState.entryRiftId) {
+            exitRift = this.rifts.find(r => r.id === player.mainWorldState.entryRiftId);
+        }
+        if (!exitRift) {
+            exitRift = this.rifts[Math.floor(this.random() * this.rifts.length)];
+        }
+
+        // Dimension content is discarded with the instance
+        player.dimension = null;
+        player.mainWorldState = null;
+
+        player.setPosition(
+            exitRift.x + (this.random() - 0.5) * 100,
+            exitRift.y + (this.random() - 0.5) * 100
+        );
+
+        // Respawn if died
+        if (!player.alive) {
+            player.respawn(player.x, player.y);
+        }
+
+        // No exit invulnerability - combat should work immediately
+        player.isInvulnerable = false;
+        player.invulnTimer = 0;
+        player.riftCooldown = CONFIG.RIFT.cooldown;
+
+        // Reset mechanics
+        player.setPhysicsMode('direct');
+
+        this.emit('riftExit', {
+            entityId: player.id,
+            dimensionType: dimension.type,
+            wasAbsorbed
+        });
+    }
+
+    updateDimensionTimers(player, dt) {
+        // Update dimension timer
+        if (player.dimension) {
+            player.dimension.timer -= dt;
+            if (player.dimension.timer <= 0) {
+                this.exitDimension(player);
+            }
+        }
+
+        // Update rift cooldown
+        if (player.riftCooldown > 0) {
+            player.riftCooldown = Math.max(0, player.riftCooldown - dt);
+        }
+
+        // Update invulnerability
+        if (player.invulnTimer > 0) {
+            player.invulnTimer -= dt;
+            if (player.invulnTimer <= 0) {
+                player.isInvulnerable = false;
+                player.invulnTimer = 0;
+            }
+        }
+    }
+
+    /**
+     * Speed of the space the player is in, times their boost (split cells move with it)
+     */
+    getSpeedMultiplier(entity) {
+        const boost = entity.boosting ? CONFIG.BOOST.speedMult : 1;
+        return (entity.dimension ? entity.dimension.config.speedMult : 1) * boost;
+    }
+
+    getWorldSize(entity) {
+        if (entity.dimension) {
+            return { width: entity.dimension.worldSize, height: entity.dimension.worldSize };
+        }
+        return { width: this.worldWidth, height: this.worldHeight };
+    }
+
+    // ========================================
+    // GAUNTLET PASSAGES
+    // ========================================
+
+    /**
+     * Place walled corridors lined with high-value orbs, clear of rifts and each other
+     */
+    createGauntlets() {
+        const config = CONFIG.GAUNTLET;
+        const margin = 150;
+
+        for (let i = 0; i < config.count; i++) {
+            for (let attempt = 0; attempt < 20; attempt++) {
+                const horizontal = this.random() < 0.5;
+                const width = horizontal ? config.length : config.width;
+                const height = horizontal ? config.width : config.length;
+                const rect = {
+                    x: margin + this.random() * (this.worldWidth - margin * 2 - width),
+                    y: margin + this.random() * (this.worldHeight - margin * 2 - height),
+                    width,
+                    height
+                };
+
+                if (this.isGauntletSiteClear(rect)) {
+                    this.gauntlets.push(this.buildGauntlet('gauntlet_' + i, rect, horizontal));
+                    break;
+                }
+            }
+        }
+
+        this.gauntlets.forEach(gauntlet => {
+            const count = Math.floor(config.length / config.orbSpacing);
+            for (let i = 0; i < count; i++) {
+                this.addOrb(this.createGauntletOrb(gauntlet, (i + 0.5) / count));
+            }
+        });
+    }
+
+    isGauntletSiteClear(rect) {
+        const padding = 100;
+        const riftClearance = CONFIG.RIFT.radius * 2 + 50;
+
+        const overlapsGauntlet = this.gauntlets.some(g =>
+            rect.x < g.x + g.width + padding && rect.x + rect.width + padding > g.x &&
+            rect.y < g.y + g.height + padding && rect.y + rect.height + padding > g.y
+        );
+        const nearRift = this.rifts.some(rift =>
+            rift.x > rect.x - riftClearance && rift.x < rect.x + rect.width + riftClearance &&
+            rift.y > rect.y - riftClearance && rift.y < rect.y + rect.height + riftClearance
+        );
+
+        return !overlapsGauntlet && !nearRift;
+    }
+
+    /**
+     * Side walls block everyone; gates across both mouths only block entities too big to enter
+     * @param {{x, y, width, height}} rect - clear corridor interior
+     */
+    buildGauntlet(id, rect, horizontal) {
+        const t = CONFIG.GAUNTLET.wallThickness;
+        const gate = 10;
+
+        const walls = horizontal ? [
+            { x: rect.x, y: rect.y - t, width: rect.width, height: t },
+            { x: rect.x, y: rect.y + rect.height, width: rect.width, height: t }
+        ] : [
+            { x: rect.x - t, y: rect.y, width: t, height: rect.height },
+            { x: rect.x + rect.width, y: rect.y, width: t, height: rect.height }
+        ];
+
+        const gates = horizontal ? [
+            { x: rect.x - gate / 2, y: rect.y, width: gate, height: rect.height },
+            { x: rect.x + rect.width - gate / 2, y: rect.y, width: gate, height: rect.height }
+        ] : [
+            { x: rect.x, y: rect.y - gate / 2, width: rect.width, height: gate },
+            { x: rect.x, y: rect.y + rect.height - gate / 2, width: rect.width, height: gate }
+        ];
+
+        return { id, ...rect, horizontal, walls, gates };
+    }
+
+    /**
+     * Create a gauntlet orb on the corridor's center line
+     * @param {number} t - position along the corridor (0-1)
+     */
+    createGauntletOrb(gauntlet, t) {
+        const x = gauntlet.horizontal ? gauntlet.x + gauntlet.width * t : gauntlet.x + gauntlet.width / 2;
+        const y = gauntlet.horizontal ? gauntlet.y + gauntlet.height / 2 : gauntlet.y + gauntlet.height * t;
+
+        return createOrbState(x, y, {
+            id: 'gauntlet_orb_' + (this.nextOrbId++),
+            color: CONFIG.GAUNTLET.colorHex,
+            value: CONFIG.GAUNTLET.orbValue,
+            isSpecial: true,
+            specialType: 'gauntlet'
+        }, this.random);
+    }
+
+    /**
+     * Keep main-world entities out of gauntlet walls (same push-out as maze walls)
+     */
+    checkGauntletCollisions() {
+        this.getMainWorldEntities().forEach(entity => {
+            this.resolveGauntletWalls(entity);
+            this.entityIndex.update(entity);
+        });
+    }
+
+    resolveGauntletWalls(entity) {
+        const tooBig = entity.playerSize >= CONFIG.GAUNTLET.maxSizeToEnter;
+
+        for (const gauntlet of this.gauntlets) {
+            gauntlet.walls.forEach(wall => resolveWallCollision(entity, wall));
+
+            // Entities that grew while inside can still walk out
+            if (tooBig && !isInsideRect(entity, gauntlet)) {
+                gauntlet.gates.forEach(gate => resolveWallCollision(entity, gate));
+            }
+        }
+    }
+
+    // ========================================
+    // VIRUSES
+    // ========================================
+
+    /**
+     * Scatter viruses clear of rifts and gauntlets
+     */
+    createViruses() {
+        const size = CONFIG.VIRUS.size;
+
+        for (let i = 0; i < CONFIG.VIRUS.count; i++) {
+            for (let attempt = 0; attempt < 20; attempt++) {
+                const x = size + this.random() * (this.worldWidth - size * 2);
+                const y = size + this.random() * (this.worldHeight - size * 2);
+
+                if (this.isGauntletSiteClear({ x: x - size, y: y - size, width: size * 2, height: size * 2 })) {
+                    this.viruses.push(this.createVirus(x, y));
+                    break;
+                }
+            }
+        }
+    }
+
+    createVirus(x, y) {
+        return { id: 'virus_' + (this.nextVirusId++), x, y, size: CONFIG.VIRUS.size, fed: 0, velocity: null };
+    }
+
+    /**
+     * Glide newly fired viruses until they settle, and let every virus swallow the ejected pellets it touches
+     */
+    updateViruses() {
+        const friction = CONFIG.EJECT.friction;
+
+        this.viruses.forEach(virus => {
+            if (virus.velocity) {
+                virus.x = clamp(virus.x + virus.velocity.x, 0, this.worldWidth);
+                virus.y = clamp(virus.y + virus.velocity.y, 0, this.worldHeight);
+                virus.velocity.x *= friction;
+                virus.velocity.y *= friction;
+
+                if (Math.abs(virus.velocity.x) + Math.abs(virus.velocity.y) < 0.1) virus.velocity = null;
+            }
+
+            this.orbIndex.queryRadius(virus.x, virus.y, virus.size + CONFIG.EJECT.pelletSize,
+                orb => orb.specialType === 'ejected'
+            ).forEach(pellet => this.feedVirus(virus, pellet));
+        });
+    }
+
+    /**
+     * Swallow a pellet: the virus swells, and once fed enough fires off a new virus
+     * the way the pellet was going (unless there are already maxCount)
+     */
+    feedVirus(virus, pellet) {
+        const config = CONFIG.VIRUS;
+        this.removeOrb(pellet);
+
+        virus.fed = Math.min(virus.fed + 1, config.feedCount);
+        virus.size = config.size + virus.fed * config.feedGrowth;
+        if (virus.fed < config.feedCount || this.viruses.length >= config.maxCount) return;
+
+        virus.fed = 0;
+        virus.size = config.size;
+
+        // Pellets that already settled push it out from where they touched
+        const dx = pellet.velocity ? pellet.velocity.x : virus.x - pellet.x;
+        const dy = pellet.velocity ? pellet.velocity.y : virus.y - pellet.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        const spawned = this.createVirus(virus.x, virus.y);
+        spawned.velocity = { x: (dx / dist) * config.launchSpeed, y: (dy / dist) * config.launchSpeed };
+        this.viruses.push(spawned);
+
+        this.emit('virusSpawned', { virusId: spawned.id, entityId: pellet.ownerId, x: virus.x, y: virus.y });
+    }
+
+    /**
+     * Bodies too big to pass a virus are pushed back off it, and lose mass if they
+     * haven't been hit in the last hitCooldown (ghosts pass through)
+     */
+    checkVirusCollisions() {
+        this.getMainWorldEntities().forEach(entity => {
+            if (!entity.alive || entity.hasPowerUp('GHOST')) return;
+
+            const virus = this.pushOffViruses(entity);
+            if (!virus) return;
+
+            this.entityIndex.update(entity);
+            if (!entity.isInvulnerable && this.time >= entity.virusHitUntil) this.hitVirus(entity, virus);
+        });
+    }
+
+    /**
+     * Push a body off every virus it is too big to pass and overlaps
+     * @returns {Object|null} the first of those viruses
+     */
+    pushOffViruses(entity) {
+        let touched = null;
+
+        this.viruses.forEach(virus => {
+            if (!isBlockedByVirus(entity.playerSize, virus)) return;
+
+            const dx = entity.x - virus.x;
+            const dy = entity.y - virus.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            const clear = entity.playerSize + virus.size;
+            if (dist >= clear) return;
+
+            entity.setPosition(virus.x + (dx / dist) * clear, virus.y + (dy / dist) * clear);
+            touched = touched || virus;
+        });
+
+        if (touched) entity.clampToWorld(this.worldWidth, this.worldHeight);
+        return touched;
+    }
+
+    /**
+     * Spill part of a body's mass around the virus; if it belongs to a human player
+     * (with room for another cell) that body alone also bursts in two away from it.
+     * The body and its new cell are safe from viruses for hitCooldown.
+     */
+    hitVirus(body, virus) {
+        const config = CONFIG.VIRUS;
+        const owner = getOwner(body);
+
+        const lost = body.playerSize * config.damagePercent;
+        body.setSize(body.playerSize - lost);
+        this.spillMass(virus.x, virus.y, lost, owner.playerColor, virus.size + body.playerSize);
+        body.virusHitUntil = this.time + config.hitCooldown;
+
+        const canSplit = owner.cells && body.playerSize >= CONFIG.SPLIT.minSize &&
+            1 + owner.cells.length < CONFIG.SPLIT.maxCells;
+        if (canSplit) {
+            const dx = body.x - virus.x;
+            const dy = body.y - virus.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            const cell = this.splitBody(owner, body, { x: dx / dist, y: dy / dist });
+            cell.virusHitUntil = body.virusHitUntil;
+        }
+
+        if (body.ai) body.ai.onVirusHit();
+        this.emit('virusHit', { entityId: owner.id, virusId: virus.id, lost });
+    }
+
+    // ========================================
+    // ENVIRONMENTAL HAZARDS
+    // ========================================
+
+    /**
+     * Alive entities in the main world (players outside rifts and bots)
+     */
+    getMainWorldEntities() {
+        return [
+            ...this.players.filter(p => p.alive && !p.dimension),
+            ...this.getCells(),
+            ...this.bots.filter(b => b.alive)
+        ];
+    }
+
+    updatePredator(dt) {
+        const now = this.time;
+
+        if (!this.predator && !this.predatorWarning && now > this.predatorCooldown) {
+            const largest = this.getMainWorldEntities().sort((a, b) => b.playerSize - a.playerSize)[0];
+
+            if (largest && largest.playerSize >= CONFIG.PREDATOR.spawnThreshold) {
+                this.predatorWarning = {
+                    target: largest,
+                    startTime: now,
+                    x: largest.x + (this.random() - 0.5) * 400,
+                    y: largest.y + (this.random() - 0.5) * 400
+                };
+                this.emit('predatorWarning', { x: this.predatorWarning.x, y: this.predatorWarning.y });
+            }
+        }
+
+        // Spawn predator after warning
+        if (this.predatorWarning && now - this.predatorWarning.startTime >= CONFIG.PREDATOR.warningDuration) {
+            this.predator = new Entity(this.predatorWarning.x, this.predatorWarning.y, {
+                id: 'predator_' + now,
+                name: '☠️ HUNTER',
+                color: '#dc2626',
+                size: this.predatorWarning.target.playerSize * CONFIG.PREDATOR.sizeMultiplier,
+                isBot: true
+            });
+            this.predator.isPredator = true;
+            this.predator.spawnTime = now;
+            this.predator.ai = new PredatorController(this.predator, now, this.random);
+            this.predator.ai.setRefuges(this.gauntlets);
+            this.predator.ai.setCovers(this.viruses);
+            this.predatorWarning = null;
+            this.emit('predatorSpawned', {});
+        }
+
+        // Update predator
+        const predator = this.predator;
+        if (predator && predator.alive) {
+            if (now - predator.spawnTime > CONFIG.PREDATOR.duration) {
+                this.predator = null;
+                this.predatorCooldown = now + CONFIG.PREDATOR.cooldown;
+                this.emit('predatorRetreated', {});
+                return;
+            }
+
+            predator.ai.update(this.getMainWorldEntities(), this.worldWidth, this.worldHeight, now);
+            predator.clampToWorld(this.worldWidth, this.worldHeight);
+            this.resolveGauntletWalls(predator);
+            this.pushOffViruses(predator);
+
+            // Eat whatever it catches through the normal absorb pipeline
+            this.entityIndex.queryRadius(predator.x, predator.y, predator.playerSize * 0.8,
+                entity => entity.alive && !entity.isInvulnerable && this.canAbsorb(predator, entity) &&
+                    predator.checkCollision(entity) === 'absorb'
+            ).forEach(entity => this.absorbEntity(predator, entity));
+        }
+    }
+
+    /**
+     * Danger zone cycle: warning -> active (4x orbs, shrinks occupants) -> gone until the next interval
+     */
+    updateDangerZone(dt) {
+        const zone = this.dangerZone;
+
+        if (!zone) {
+            if (this.time > this.dangerZoneTimer) this.spawnDangerZone();
+            return;
+        }
+
+        if (zone.phase === 'warning') {
+            if (this.time >= zone.phaseEndTime) this.activateDangerZone(zone);
+            return;
+        }
+
+        if (this.time >= zone.phaseEndTime) {
+            this.endDangerZone();
+            return;
+        }
+
+        // Shrink everyone standing inside
+        this.entityIndex.queryRadius(zone.x, zone.y, zone.radius,
+            entity => entity.alive && !entity.isInvulnerable
+        ).forEach(entity => {
+            entity.setSize(entity.playerSize * (1 - CONFIG.DANGER_ZONE.shrinkRate));
+        });
+    }
+
+    /**
+     * Announce a new danger zone at a random spot away from the rifts
+     */
+    spawnDangerZone() {
+        const config = CONFIG.DANGER_ZONE;
+        const radius = config.radius;
+        let x = 0;
+        let y = 0;
+
+        for (let attempt = 0; attempt < 10; attempt++) {
+            x = radius + this.random() * (this.worldWidth - radius * 2);
+            y = radius + this.random() * (this.worldHeight - radius * 2);
+
+            const clearOfRifts = this.rifts.every(rift =>
+                Math.hypot(rift.x - x, rift.y - y) > radius + CONFIG.RIFT.radius * 2
+            );
+            if (clearOfRifts) break;
+        }
+
+        this.dangerZone = {
+            x,
+            y,
+            radius,
+            phase: 'warning',
+            phaseEndTime: this.time + config.warningDuration
+        };
+        this.emit('dangerZoneWarning', { x, y, radius });
+    }
+
+    activateDangerZone(zone) {
+        const config = CONFIG.DANGER_ZONE;
+
+        zone.phase = 'active';
+        zone.phaseEndTime = this.time + config.activeDuration;
+
+        for (let i = 0; i < config.orbCount; i++) {
+            this.addOrb(this.createDangerOrb(zone));
+        }
+
+        this.emit('dangerZoneActive', { x: zone.x, y: zone.y, radius: zone.radius });
+    }
+
+    endDangerZone() {
+        const [min, max] = CONFIG.DANGER_ZONE.spawnInterval;
+
+        // Leftover zone orbs vanish with it
+        this.orbs.filter(orb => orb.specialType === 'danger').forEach(orb => this.removeOrb(orb));
+
+        this.dangerZone = null;
+        this.dangerZoneTimer = this.time + min + this.random() * (max - min);
+        this.emit('dangerZoneEnded', {});
+    }
+
+    /**
+     * Create a high-value orb somewhere inside the danger zone
+     */
+    createDangerOrb(zone) {
+        const angle = this.random() * Math.PI * 2;
+        const dist = Math.sqrt(this.random()) * zone.radius * 0.9;
+
+        return createOrbState(
+            zone.x + Math.cos(angle) * dist,
+            zone.y + Math.sin(angle) * dist,
+            {
+                id: 'danger_' + (this.nextOrbId++),
+                color: '#ef4444',
+                bonus: CONFIG.DANGER_ZONE.orbMultiplier,
+                isSpecial: true,
+                specialType: 'danger'
+            },
+            this.random
+        );
+    }
+
+    /**
+     * Whether an entity is standing inside an active danger zone
+     */
+    isInDangerZone(entity) {
+        const zone = this.dangerZone;
+        if (!zone || zone.phase !== 'active' || entity.dimension || !entity.alive) return false;
+
+        return Math.hypot(entity.x - zone.x, entity.y - zone.y) < zone.radius;
+    }
+
+    /**
+     * Meteor showers: telegraph impacts on the largest entities, then strike
+     */
+    updateMeteors(dt) {
+        if (this.time > this.meteorTimer) {
+            this.startMeteorShower();
+        }
+
+        for (let i = this.meteors.length - 1; i >= 0; i--) {
+            const meteor = this.meteors[i];
+            if (this.time >= meteor.impactTime) {
+                this.meteors.splice(i, 1);
+                this.impactMeteor(meteor);
+            }
+        }
+    }
+
+    /**
+     * Aim one meteor at each of the largest main-world entities
+     */
+    startMeteorShower() {
+        const config = CONFIG.METEOR;
+        const [min, max] = config.spawnInterval;
+        this.meteorTimer = this.time + min + this.random() * (max - min);
+
+        const targets = this.getMainWorldEntities()
+            .sort((a, b) => b.playerSize - a.playerSize)
+            .slice(0, config.targetCount);
+        if (targets.length === 0) return;
+
+        targets.forEach(target => {
+            const meteor = {
+                id: 'meteor_' + (this.nextMeteorId++),
+                x: target.x,
+                y: target.y,
+                radius: config.damageRadius,
+                impactTime: this.time + config.warningDuration,
+                // Players under the circle when it appears can earn a close call
+                threatened: this.entityIndex.queryRadius(target.x, target.y, config.damageRadius,
+                    entity => !!entity.stats
+                ).map(entity => entity.id)
+            };
+            this.meteors.push(meteor);
+        });
+
+        this.emit('meteorShower', { count: targets.length });
+    }
+
+    /**
+     * Strike: everyone inside the circle loses mass, which scatters as orbs
+     */
+    impactMeteor(meteor) {
+        const config = CONFIG.METEOR;
+        const hitIds = [];
+
+        this.entityIndex.queryRadius(meteor.x, meteor.y, meteor.radius,
+            entity => entity.alive && !entity.isInvulnerable
+        ).forEach(entity => {
+            const lost = entity.playerSize * config.damagePercent;
+            entity.setSize(entity.playerSize - lost);
+            this.spillMass(entity.x, entity.y, lost, entity.playerColor, meteor.radius + entity.playerSize);
+
+            hitIds.push(entity.id);
+            this.emit('meteorHit', { entityId: entity.id, lost });
+        });
+
+        // Close call: threatened players who got far enough away
+        meteor.threatened.forEach(id => {
+            const player = this.getPlayer(id);
+            if (!player || !player.alive || player.dimension || hitIds.includes(id)) return;
+            if (Math.hypot(player.x - meteor.x, player.y - meteor.y) <= config.dodgeDistance) return;
+
+            player.addScore(config.closeCallBonus);
+            this.emit('meteorCloseCall', { entityId: id, bonus: config.closeCallBonus });
+        });
+
+        this.emit('meteorImpact', { x: meteor.x, y: meteor.y, radius: meteor.radius, hitIds });
+    }
+
+    // ========================================
+    // QUERIES
+    // ========================================
+
+    /**
+     * Everything a given player can see: their dimension instance or the main world
+     */
+    getSpace(player) {
+        const dimension = player && player.dimension;
+        if (dimension) {
+            return {
+                id: dimension.id,
+                dimensionType: dimension.type,
+                width: dimension.worldSize,
+                height: dimension.worldSize,
+                entities: [player, ...dimension.phantoms, ...dimension.bots],
+                orbs: dimension.orbs,
+                walls: dimension.walls,
+                wells: dimension.wells,
+                gauntlets: [],
+                rifts: []
+            };
+        }
+
+        const entities = [...this.players.filter(p => !p.dimension), ...this.getCells(), ...this.bots];
+        if (this.predator) entities.push(this.predator);
+
+        return {
+            id: null,
+            dimensionType: null,
+            width: this.worldWidth,
+            height: this.worldHeight,
+            entities: entities,
+            orbs: this.orbs,
+            walls: this.gauntlets.flatMap(gauntlet => gauntlet.walls),
+            wells: [],
+            gauntlets: this.gauntlets.map(({ id, x, y, width, height, horizontal }) => ({ id, x, y, width, height, horizontal })),
+            rifts: this.rifts
+        };
+    }
+
+    /**
+     * Per-player HUD status
+     */
+    getPlayerStatus(player) {
+        return {
+            score: player.score,
+            stats: player.stats,
+            riftStats: player.riftStats,
+            dimensionType: player.dimension ? player.dimension.type : null,
+            dimensionTimer: player.dimension ? player.dimension.timer : 0,
+            riftCooldown: player.riftCooldown,
+            stamina: player.stamina,
+            boosting: player.boosting,
+            powerUps: Object.entries(player.powerUps).map(([type, until]) => ({ type, timeLeft: until - this.time })),
+            isInvulnerable: player.isInvulnerable,
+            inDangerZone: this.isInDangerZone(player),
+            dimensionBanner: player.dimension?.definition.getBanner?.(player.dimension) || null
+        };
+    }
+
+    /**
+     * Main-world hazards a player can see (none inside a dimension)
+     */
+    getHazards(player) {
+        const inMainWorld = !(player && player.dimension);
+        const zone = inMainWorld ? this.dangerZone : null;
+
+        return {
+            meteors: inMainWorld ? this.meteors.map(meteor => ({
+                id: meteor.id,
+                x: meteor.x,
+                y: meteor.y,
+                radius: meteor.radius,
+                timeLeft: Math.max(0, meteor.impactTime - this.time)
+            })) : [],
+            dangerZone: zone ? {
+                x: zone.x,
+                y: zone.y,
+                radius: zone.radius,
+                phase: zone.phase,
+                timeLeft: Math.max(0, zone.phaseEndTime - this.time)
+            } : null,
+            viruses: inMainWorld ? this.viruses.map(({ id, x, y, size }) => ({ id, x, y, size })) : []
+        };
+    }
+
+    /**
+     * Live standings of alive main-world players and bots
+     */
+    getLeaderboard() {
+        return [...this.players, ...this.bots]
+            .filter(e => e.alive)
+            .sort((a, b) => b.score - a.score)
+            .map(e => ({ id: e.id, name: e.playerName, score: e.score, archetype: e.archetype }));
+    }
+
+    /**
+     * Final standings, highest score first
+     */
+    getRankings() {
+        const allEntities = [...this.players, ...this.bots];
+        allEntities.sort((a, b) => b.score - a.score);
+
+        return allEntities.map((entity, index) => ({
+            id: entity.id,
+            name: entity.playerName,
+            score: entity.score || 0,
+            rank: index + 1,
+            isBot: entity.isBot,
+            archetype: entity.archetype
+        }));
+    }
+
+    // ========================================
+    // EVENTS
+    // ========================================
+
+    /**
+     * Queue an event for the renderer / network layer, tagged with the space
+     * (dimension instance id, or null for the main world) it happened in
+     */
+    emit(type, data = {}) {
+        this.events.push({ type, space: this.getEventSpace(data), ...data });
+    }
+
+    /**
+     * Space of the entity an event concerns; events about no entity belong to the main world
+     */
+    getEventSpace({ entityId, absorbedId }) {
+        const id = entityId ?? absorbedId;
+        if (id === undefined) return null;
+
+        for (const player of this.players) {
+            const dimension = player.dimension;
+            if (player.id === id || dimension?.bots.some(bot => bot.id === id)) return dimension?.id ?? null;
+        }
+        return null;
+    }
+
+    /**
+     * Take all events produced since the last call
+     */
+    drainEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Orb Battle.io - Spatial Hash
+ * Uniform grid index over anything with x/y (orbs, entities) for
+ * radius and nearest-neighbour queries without scanning every item
+ */
+
+import { CONFIG } from '../config.js';
+
+export class SpatialHash {
+    constructor(cellSize = CONFIG.SPATIAL_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();     // cell key -> Set of items
+        this.itemCells = new Map(); // item -> cell key
+
+        // Occupied cell range, bounds the nearest() search
+        this.minCellX = Infinity;
+        this.minCellY = Infinity;
+        this.maxCellX = -Infinity;
+        this.maxCellY = -Infinity;
+    }
+
+    get size() {
+        return this.itemCells.size;
+    }
+
+    cellCoord(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    cellKey(cx, cy) {
+        return (cx + 32768) * 65536 + (cy + 32768);
+    }
+
+    /**
+     * Add an item at its current position
+     */
+    insert(item) {
+        const cx = this.cellCoord(item.x);
+        const cy = this.cellCoord(item.y);
+        const key = this.cellKey(cx, cy);
+
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = new Set();
+            this.cells.set(key, cell);
+        }
+        cell.add(item);
+        this.itemCells.set(item, key);
+
+        this.minCellX = Math.min(this.minCellX, cx);
+        this.minCellY = Math.min(this.minCellY, cy);
+        this.maxCellX = Math.max(this.maxCellX, cx);
+        this.maxCellY = Math.max(this.maxCellY, cy);
+    }
+
+    /**
+     * Remove an item (no-op if not indexed)
+     */
+    remove(item) {
+        const key = this.itemCells.get(item);
+        if (key === undefined) return;
+
+        const cell = this.cells.get(key);
+        cell.delete(item);
+        if (cell.size === 0) this.cells.delete(key);
+        this.itemCells.delete(item);
+    }
+
+    /**
+     * Re-bucket an item after it moved (inserts it if not indexed)
+     */
+    update(item) {
+        const key = this.itemCells.get(item);
+        if (key === this.cellKey(this.cellCoord(item.x), this.cellCoord(item.y))) return;
+
+        this.remove(item);
+        this.insert(item);
+    }
+
+    has(item) {
+        return this.itemCells.has(item);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.itemCells.clear();
+        this.minCellX = Infinity;
+        this.minCellY = Infinity;
+        this.maxCellX = -Infinity;
+        this.maxCellY = -Infinity;
+    }
+
+    /**
+     * Items whose position is within radius of (x, y)
+     * @param {Function} [filter] - optional predicate
+     */
+    queryRadius(x, y, radius, filter = null) {
+        const results = [];
+        const radiusSq = radius * radius;
+
+        const minX = this.cellCoord(x - radius);
+        const maxX = this.cellCoord(x + radius);
+        const minY = this.cellCoord(y - radius);
+        const maxY = this.cellCoord(y + radius);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const cell = this.cells.get(this.cellKey(cx, cy));
+                if (!cell) continue;
+
+                for (const item of cell) {
+                    const dx = item.x - x;
+                    const dy = item.y - y;
+                    if (dx * dx + dy * dy <= radiusSq && (!filter || filter(item))) {
+                        results.push(item);
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Closest item to (x, y), searching outward ring by ring
+     * @param {Function} [filter] - optional predicate
+     * @param {number} [maxRadius] - ignore items further than this
+     */
+    nearest(x, y, filter = null, maxRadius = Infinity) {
+        if (this.itemCells.size === 0) return null;
+
+        const ox = this.cellCoord(x);
+        const oy = this.cellCoord(y);
+        const maxRing = Math.min(
+            Math.ceil(maxRadius / this.cellSize),
+            Math.max(ox - this.minCellX, this.maxCellX - ox, oy - this.minCellY, this.maxCellY - oy)
+        );
+
+        let best = null;
+        let bestDistSq = maxRadius === Infinity ? Infinity : maxRadius * maxRadius;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Every cell in this ring is at least (ring - 1) cells away
+            const ringDist = (ring - 1) * this.cellSize;
+            if (best && ringDist > 0 && ringDist * ringDist > bestDistSq) break;
+
+            for (let cx = ox - ring; cx <= ox + ring; cx++) {
+                for (let cy = oy - ring; cy <= oy + ring; cy++) {
+                    // Only the outer edge of the ring
+                    if (Math.abs(cx - ox) !== ring && Math.abs(cy - oy) !== ring) continue;
+
+                    const cell = this.cells.get(this.cellKey(cx, cy));
+                    if (!cell) continue;
+
+                    for (const item of cell) {
+                        const dx = item.x - x;
+                        const dy = item.y - y;
+                        const distSq = dx * dx + dy * dy;
+                        if (distSq < bestDistSq && (!filter || filter(item))) {
+                            bestDistSq = distSq;
+                            best = item;
+                        }
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+}
@@ -0,0 +1,13 @@
+/**
+ * Orb Battle.io - Anti-Gravity Dimension
+ * Low-friction drift physics for the player and the bots
+ */
+
+export const antiGravity = {
+    type: 'ANTI_GRAVITY',
+    physics: 'drift',
+
+    hud: {
+        enterNotice: { text: 'Gravity Low! Drift Enabled', color: '#a78bfa' }
+    }
+};
@@ -0,0 +1,9 @@
+/**
+ * Orb Battle.io - Feast Dimension
+ * Open arena packed with orbs: all tuning lives in CONFIG.DIMENSIONS.FEAST
+ */
+
+export const feast = {
+    type: 'FEAST',
+    physics: 'direct'
+};
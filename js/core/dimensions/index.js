@@ -0,0 +1,93 @@
+/**
+ * Orb Battle.io - Dimension Registry
+ * Rifts lead to dimensions registered here. Tuning numbers (size, orbs, bots, bonuses,
+ * colours) stay in CONFIG.DIMENSIONS under the same key; a definition adds the behaviour.
+ *
+ * A dimension definition:
+ *   type        key into CONFIG.DIMENSIONS
+ *   physics     'direct' or 'drift' for everyone inside
+ *   weight      relative chance of a rift leading here (default 1)
+ *   hud         { enterNotice: {text, color}, notices: { name: {text, color, shake} },
+ *                 rift: {coreColor, ring} }
+ *   audio       { enter: tones, exit: tones, notices: { name: tones } }, tones being
+ *               [frequency, duration, wave, volume, delayMs, endFrequency] lists for
+ *               SoundManager.playTones (endFrequency optional, for a glide)
+ *
+ * Optional hooks (sim is the Simulation, dimension the player's private instance):
+ *   setup(sim, dimension, player)                  before walls, orbs and bots are created
+ *   createWalls(sim, dimension, player)            -> wall rects (bots path around them)
+ *   createOrb(sim, dimension, id)                  -> orb state (default: a themed random orb)
+ *   onEnter(sim, dimension, player)                after content is created and the player placed
+ *   onUpdate(sim, dimension, player, dt)           every tick the player is inside
+ *   onExit(sim, dimension, player)                 before the instance is discarded
+ *   steer(sim, dimension, entity, dx, dy)          -> {x, y}: adjust player input / bot steps
+ *   onWallHit(sim, dimension, entity, wall, side)  after an entity is pushed out of a wall
+ *   getBanner(dimension)                           -> {text, alert} for the HUD, or null
+ *
+ * Hooks may emit 'dimensionNotice' { entityId, dimensionType, notice } to show
+ * hud.notices[notice] and play audio.notices[notice] on that player's client.
+ */
+
+import { CONFIG } from '../../config.js';
+import { feast } from './feast.js';
+import { antiGravity } from './antiGravity.js';
+import { mirrorMaze } from './mirrorMaze.js';
+import { speedZone } from './speedZone.js';
+import { voidDimension } from './void.js';
+
+const registry = new Map();
+
+/**
+ * Add (or replace) a dimension rifts can lead to
+ */
+export function registerDimension(definition) {
+    if (!CONFIG.DIMENSIONS[definition.type]) {
+        throw new Error(`No CONFIG.DIMENSIONS entry for dimension "${definition.type}"`);
+    }
+
+    registry.set(definition.type, {
+        physics: 'direct',
+        weight: 1,
+        hud: {},
+        audio: {},
+        ...definition,
+        config: CONFIG.DIMENSIONS[definition.type]
+    });
+}
+
+export function getDimension(type) {
+    return registry.get(type) || null;
+}
+
+export function getDimensionTypes() {
+    return [...registry.keys()];
+}
+
+/**
+ * Empty rift report: what a player did in each registered dimension over a match
+ */
+export function createRiftStats() {
+    const dimensions = {};
+    for (const type of registry.keys()) {
+        dimensions[type] = { visits: 0, time: 0, orbs: 0, kills: 0, deaths: 0, score: 0 };
+    }
+    return { riftsUsed: 0, dimensionOrbs: 0, dimensions };
+}
+
+/**
+ * Random registered dimension type, by weight
+ * @param {Function} random - random source (the simulation's seeded PRNG)
+ */
+export function pickDimensionType(random = Math.random) {
+    const definitions = [...registry.values()];
+    const totalWeight = definitions.reduce((sum, definition) => sum + definition.weight, 0);
+
+    let roll = random() * totalWeight;
+    for (const definition of definitions) {
+        roll -= definition.weight;
+        if (roll < 0) return definition.type;
+    }
+    return definitions[definitions.length - 1].type;
+}
+
+[feast, antiGravity, mirrorMaze, speedZone, voidDimension].forEach(registerDimension);
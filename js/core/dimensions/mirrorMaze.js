@@ -0,0 +1,186 @@
+/**
+ * Orb Battle.io - Mirror Maze Dimension
+ * A generated labyrinth with its own mechanics: phantom reflections of the player,
+ * timed control-inversion phases and mirror walls that reflect movement
+ */
+
+import { CONFIG } from '../../config.js';
+import { Entity } from '../Entity.js';
+import { generateMaze } from '../MazeGenerator.js';
+import { isTouchingWall } from '../rules.js';
+
+/**
+ * Control inversion cycle: calm -> warning -> inverted -> calm
+ */
+function createMirrorState() {
+    return { phase: 'calm', timeLeft: CONFIG.MIRROR.calmDuration };
+}
+
+/**
+ * Count down the current phase
+ * @returns {string|null} the phase just entered, if it changed
+ */
+function advanceMirrorPhase(mirror, dt) {
+    mirror.timeLeft -= dt;
+    if (mirror.timeLeft > 0) return null;
+
+    const config = CONFIG.MIRROR;
+    const next = { calm: 'warning', warning: 'inverted', inverted: 'calm' }[mirror.phase];
+    const durations = { calm: config.calmDuration, warning: config.warningDuration, inverted: config.inversionDuration };
+
+    mirror.phase = next;
+    mirror.timeLeft += durations[next];
+    return next;
+}
+
+/**
+ * Turn a share of the maze walls into mirrors
+ */
+function markMirrorWalls(walls, random) {
+    walls.forEach(wall => {
+        wall.mirror = random() < CONFIG.MIRROR.mirrorWallChance;
+    });
+}
+
+/**
+ * Position of a point reflected across a square space's centre line(s)
+ * @param {string} axis - 'x' (left/right), 'y' (top/bottom) or 'xy' (both)
+ */
+function reflectPoint(x, y, axis, size) {
+    return {
+        x: axis.includes('x') ? size - x : x,
+        y: axis.includes('y') ? size - y : y
+    };
+}
+
+/**
+ * After touching a mirror wall, movement towards it is reflected away from it for a moment
+ * @param {string} side - side of the wall the entity hit (from resolveWallCollision)
+ */
+function reflectOffMirror(entity, side, now) {
+    const reflection = entity.mirrorReflection || { x: 0, y: 0, until: 0 };
+
+    if (side === 'left') reflection.x = -1;
+    else if (side === 'right') reflection.x = 1;
+    else if (side === 'top') reflection.y = -1;
+    else if (side === 'bottom') reflection.y = 1;
+
+    reflection.until = now + CONFIG.MIRROR.reflectDuration;
+    entity.mirrorReflection = reflection;
+}
+
+/**
+ * A movement step with any active mirror reflection applied (reflected axes always point away)
+ */
+function reflectMovement(entity, dx, dy, now) {
+    const reflection = entity.mirrorReflection;
+    if (!reflection) return { x: dx, y: dy };
+
+    if (now > reflection.until) {
+        entity.mirrorReflection = null;
+        return { x: dx, y: dy };
+    }
+
+    return {
+        x: reflection.x ? reflection.x * Math.abs(dx) : dx,
+        y: reflection.y ? reflection.y * Math.abs(dy) : dy
+    };
+}
+
+export const mirrorMaze = {
+    type: 'MIRROR_MAZE',
+    physics: 'direct',
+
+    hud: {
+        notices: {
+            warning: { text: '🪞 MIRROR FLIP INCOMING!', color: '#f472b6' },
+            inverted: { text: '🔄 CONTROLS INVERTED!', color: '#f472b6', shake: [6, 15] },
+            calm: { text: 'Controls Restored', color: '#86efac' }
+        }
+    },
+
+    audio: {
+        notices: {
+            // Shimmering ticks, then a sweep that turns back on itself
+            warning: [[1046, 0.1, 'triangle', 0.25, 0], [1318, 0.1, 'triangle', 0.25, 150], [1046, 0.1, 'triangle', 0.25, 300]],
+            inverted: [[523, 0.15, 'sine', 0.3, 0], [784, 0.15, 'sine', 0.3, 100], [523, 0.2, 'sine', 0.3, 200]],
+            calm: [[784, 0.15, 'sine', 0.3, 0], [523, 0.15, 'sine', 0.3, 100], [784, 0.2, 'sine', 0.3, 200]]
+        }
+    },
+
+    /**
+     * Maze with corridors the player fits through and the centre (where they arrive) left open
+     */
+    createWalls(sim, dimension, player) {
+        const walls = generateMaze(dimension.worldSize, {
+            random: sim.random,
+            entitySize: player.playerSize
+        });
+        markMirrorWalls(walls, sim.random);
+        return walls;
+    },
+
+    /**
+     * Start the inversion cycle and raise the phantoms (not in the entity index: nothing can touch them)
+     */
+    onEnter(sim, dimension, player) {
+        dimension.mirror = createMirrorState();
+        dimension.phantoms = CONFIG.MIRROR.phantomAxes.map(axis => {
+            const phantom = new Entity(player.x, player.y, {
+                id: player.id + '_phantom_' + axis,
+                name: player.playerName,
+                color: player.playerColor,
+                size: player.playerSize,
+                isPhantom: true
+            });
+            phantom.mirrorAxis = axis;
+            return phantom;
+        });
+    },
+
+    /**
+     * Inversion phases flip the player's controls; mirror walls reflect anyone's movement
+     */
+    steer(sim, dimension, entity, dx, dy) {
+        const flip = !entity.isBot && dimension.mirror.phase === 'inverted' ? -1 : 1;
+        return reflectMovement(entity, dx * flip, dy * flip, sim.time);
+    },
+
+    onWallHit(sim, dimension, entity, wall, side) {
+        if (wall.mirror) reflectOffMirror(entity, side, sim.time);
+    },
+
+    onExit(sim, dimension, player) {
+        player.mirrorReflection = null;
+    },
+
+    /**
+     * Run the inversion cycle, move the phantoms to the player's reflections
+     * and let them collect orbs for the player (only while clear of the walls,
+     * so a reflection can't reach through one)
+     */
+    onUpdate(sim, dimension, player, dt) {
+        const phase = advanceMirrorPhase(dimension.mirror, dt);
+        if (phase) sim.emit('dimensionNotice', { entityId: player.id, dimensionType: dimension.type, notice: phase });
+
+        dimension.phantoms.forEach(phantom => {
+            const reflection = reflectPoint(player.x, player.y, phantom.mirrorAxis, dimension.worldSize);
+            phantom.setPosition(reflection.x, reflection.y);
+            phantom.setSize(player.playerSize);
+            if (dimension.walls.some(wall => isTouchingWall(phantom, wall))) return;
+
+            sim.getCollectableOrbs(phantom, dimension.orbIndex).forEach(orb => {
+                sim.collectDimensionOrb(player, orb, CONFIG.MIRROR.phantomValue);
+            });
+        });
+    },
+
+    getBanner(dimension) {
+        const { phase, timeLeft } = dimension.mirror;
+        const seconds = Math.ceil(timeLeft / 1000);
+
+        if (phase === 'inverted') return { text: `🔄 CONTROLS INVERTED - ${seconds}s`, alert: true };
+        if (phase === 'warning') return { text: `🪞 Controls flip in ${seconds}s`, alert: false };
+        return null;
+    }
+};
@@ -0,0 +1,9 @@
+/**
+ * Orb Battle.io - Speed Zone Dimension
+ * Everything moves at CONFIG.DIMENSIONS.SPEED.speedMult; no mechanics beyond the tuning
+ */
+
+export const speedZone = {
+    type: 'SPEED',
+    physics: 'direct'
+};
@@ -0,0 +1,187 @@
+/**
+ * Orb Battle.io - Void Dimension
+ * Drift physics around point-gravity wells: orbs circle the wells, everyone is pulled
+ * towards them, and touching a well's core (the biggest being the singularity at the
+ * centre) shrinks you
+ */
+
+import { CONFIG } from '../../config.js';
+import { createOrbState } from '../orbs.js';
+import { getGravityPull, findTouchedCore } from '../rules.js';
+
+/**
+ * The singularity at the centre plus smaller wells spread around it,
+ * each spinning one way (the way its orbs circle)
+ */
+function createWells(size, random) {
+    const config = CONFIG.VOID;
+    const wells = [{ ...config.singularity, x: size / 2, y: size / 2, spin: random() < 0.5 ? -1 : 1 }];
+
+    for (let i = 0; i < config.wellCount; i++) {
+        // Keep orbits inside the space and wells apart (a few tries, then take what we have)
+        const margin = config.well.range;
+        let x = 0;
+        let y = 0;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            x = margin + random() * (size - margin * 2);
+            y = margin + random() * (size - margin * 2);
+            if (wells.every(well => Math.hypot(well.x - x, well.y - y) >= config.wellSpacing)) break;
+        }
+        wells.push({ ...config.well, x, y, spin: random() < 0.5 ? -1 : 1 });
+    }
+
+    return wells;
+}
+
+/**
+ * Random point that isn't inside (or skimming) a core
+ */
+function pickFreePoint(dimension, random) {
+    const size = dimension.worldSize;
+    let x = 0;
+    let y = 0;
+    for (let attempt = 0; attempt < 10; attempt++) {
+        x = random() * size;
+        y = random() * size;
+        if (!findTouchedCore(dimension.wells, x, y, CONFIG.VOID.orbitMargin)) break;
+    }
+    return { x, y };
+}
+
+function setOrbitPosition(orb) {
+    const { well, radius, angle } = orb.orbit;
+    orb.x = well.x + Math.cos(angle) * radius;
+    orb.y = well.y + Math.sin(angle) * radius;
+}
+
+/**
+ * Advance the orbiting orbs (same speed along every orbit, so inner orbits turn faster)
+ */
+function moveOrbits(dimension, dt) {
+    const distance = CONFIG.VOID.orbitSpeed * dt / 1000;
+
+    dimension.orbs.forEach(orb => {
+        if (!orb.orbit) return;
+        orb.orbit.angle += orb.orbit.well.spin * distance / orb.orbit.radius;
+        setOrbitPosition(orb);
+        dimension.orbIndex.update(orb);
+    });
+}
+
+/**
+ * Gravity on a drifting entity, and the shrink if it touches a core
+ * @returns {Object|null} the well whose core it touches
+ */
+function applyGravity(entity, wells) {
+    const pull = getGravityPull(wells, entity.x, entity.y);
+    entity.velocity.x += pull.x;
+    entity.velocity.y += pull.y;
+
+    const core = findTouchedCore(wells, entity.x, entity.y, entity.playerSize);
+    if (core) entity.setSize(entity.playerSize - CONFIG.VOID.shrinkRate);
+    return core;
+}
+
+export const voidDimension = {
+    type: 'VOID',
+    physics: 'drift',
+
+    hud: {
+        enterNotice: { text: 'Gravity Wells! Keep off the Singularity', color: '#22d3ee' },
+        notices: {
+            singularity: { text: '🕳️ SINGULARITY! You\'re shrinking!', color: '#22d3ee', shake: [6, 20] }
+        },
+        // Rift drawn as a black hole with a glowing event horizon
+        rift: { coreColor: 0x020617, ring: true }
+    },
+
+    audio: {
+        // Falling in, climbing back out, and a deep groan from the singularity
+        enter: [[320, 0.6, 'sawtooth', 0.2, 0, 50], [160, 0.8, 'sine', 0.3, 100, 30]],
+        exit: [[60, 0.5, 'sine', 0.3, 0, 480], [120, 0.4, 'triangle', 0.2, 150, 720]],
+        notices: {
+            singularity: [[110, 0.7, 'sawtooth', 0.25, 0, 35], [55, 0.9, 'sine', 0.35, 0, 28]]
+        }
+    },
+
+    setup(sim, dimension) {
+        dimension.wells = createWells(dimension.worldSize, sim.random);
+        dimension.inCore = false;
+    },
+
+    /**
+     * Most orbs circle a well between its core and most of its range; the rest float still
+     */
+    createOrb(sim, dimension, id) {
+        const config = dimension.config;
+        const random = sim.random;
+        const orb = createOrbState(0, 0, {
+            id,
+            color: config.colorHex,
+            bonus: config.orbBonus,
+            isSpecial: true,
+            specialType: 'dimension'
+        }, random);
+
+        if (random() < CONFIG.VOID.orbitShare) {
+            const well = dimension.wells[Math.floor(random() * dimension.wells.length)];
+            const innermost = well.coreRadius + CONFIG.VOID.orbitMargin;
+            orb.orbit = {
+                well,
+                radius: innermost + random() * (well.range * 0.8 - innermost),
+                angle: random() * Math.PI * 2
+            };
+            setOrbitPosition(orb);
+        } else {
+            const point = pickFreePoint(dimension, random);
+            orb.x = point.x;
+            orb.y = point.y;
+        }
+
+        return orb;
+    },
+
+    /**
+     * Arrive beside the singularity rather than in it, and pull any bot out of a core it spawned in
+     */
+    onEnter(sim, dimension, player) {
+        const singularity = dimension.wells[0];
+        const angle = sim.random() * Math.PI * 2;
+        player.setPosition(
+            singularity.x + Math.cos(angle) * CONFIG.VOID.spawnDistance,
+            singularity.y + Math.sin(angle) * CONFIG.VOID.spawnDistance
+        );
+
+        dimension.bots.forEach(bot => {
+            const core = findTouchedCore(dimension.wells, bot.x, bot.y, bot.playerSize + CONFIG.VOID.botCoreMargin);
+            if (!core) return;
+
+            const dx = bot.x - core.x;
+            const dy = bot.y - core.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            const clear = core.coreRadius + bot.playerSize + CONFIG.VOID.botCoreMargin;
+            bot.setPosition(core.x + (dx / dist) * clear, core.y + (dy / dist) * clear);
+        });
+    },
+
+    /**
+     * Turn the orbits, pull the player and the bots, and shrink whoever touches a core
+     */
+    onUpdate(sim, dimension, player, dt) {
+        moveOrbits(dimension, dt);
+
+        dimension.bots.forEach(bot => {
+            if (bot.alive) applyGravity(bot, dimension.wells);
+        });
+
+        const inCore = !!applyGravity(player, dimension.wells);
+        if (inCore && !dimension.inCore) {
+            sim.emit('dimensionNotice', { entityId: player.id, dimensionType: dimension.type, notice: 'singularity' });
+        }
+        dimension.inCore = inCore;
+    },
+
+    getBanner(dimension) {
+        return dimension.inCore ? { text: '🕳️ CAUGHT IN A CORE - THRUST OUT!', alert: true } : null;
+    }
+};
@@ -0,0 +1,119 @@
+/**
+ * Orb Battle.io - Orb State
+ * Plain orb data used by the headless simulation and network snapshots
+ */
+
+import { CONFIG, getRandomOrbColor } from '../config.js';
+
+/**
+ * Create orb state with the same defaults as the Orb game object
+ * @param {Function} random - random source for color/size defaults
+ */
+export function createOrbState(x, y, config = {}, random = Math.random) {
+    return {
+        id: config.id || 'orb_' + Date.now(),
+        x: x,
+        y: y,
+        orbColor: config.color || getRandomOrbColor(random),
+        orbSize: config.size || CONFIG.ORB_MIN_SIZE + random() * (CONFIG.ORB_MAX_SIZE - CONFIG.ORB_MIN_SIZE),
+        value: config.value || CONFIG.ORB_VALUE,
+        bonus: config.bonus || 1,
+        isSpecial: config.isSpecial || false,
+        specialType: config.specialType || null,
+        isTimeOrb: config.isTimeOrb || false,
+        timeBonus: config.timeBonus || 0,
+        powerUp: config.powerUp || null // CONFIG.POWER_UPS type granted when eaten
+    };
+}
+
+/**
+ * Create time orb state (mirrors TimeOrb's forced properties)
+ */
+export function createTimeOrbState(x, y, config = {}) {
+    return createOrbState(x, y, {
+        ...config,
+        isTimeOrb: true,
+        isSpecial: true,
+        specialType: 'time',
+        color: CONFIG.TIME_ORB.color,
+        size: CONFIG.TIME_ORB.size,
+        timeBonus: config.timeBonus || CONFIG.TIME_ORB.timeBonus,
+        value: 15
+    });
+}
+
+/**
+ * Create power-up orb state (mirrors PowerUpOrb's forced properties)
+ * @param {string} type - CONFIG.POWER_UPS.types key
+ */
+export function createPowerUpOrbState(x, y, type, config = {}) {
+    return createOrbState(x, y, {
+        ...config,
+        powerUp: type,
+        isSpecial: true,
+        specialType: 'powerUp',
+        color: CONFIG.POWER_UPS.types[type].color,
+        size: CONFIG.POWER_UPS.size,
+        value: CONFIG.POWER_UPS.value
+    });
+}
+
+/**
+ * Random power-up type, by weight
+ */
+export function pickPowerUpType(random = Math.random) {
+    const types = Object.entries(CONFIG.POWER_UPS.types);
+    const totalWeight = types.reduce((sum, [, type]) => sum + type.weight, 0);
+
+    let roll = random() * totalWeight;
+    for (const [key, type] of types) {
+        roll -= type.weight;
+        if (roll < 0) return key;
+    }
+    return types[types.length - 1][0];
+}
+
+/**
+ * Create a random orb at a random position (may be a time orb or a power-up based on spawn rates)
+ */
+export function createRandomOrbState(id, worldWidth = CONFIG.WORLD_WIDTH, worldHeight = CONFIG.WORLD_HEIGHT, random = Math.random) {
+    const timeOrbRate = CONFIG.TIME_ORB?.spawnRate || 0.15;
+    const roll = random();
+    const x = random() * worldWidth;
+    const y = random() * worldHeight;
+
+    if (roll < timeOrbRate) {
+        return createTimeOrbState(x, y, { id: 'time_' + id });
+    }
+    if (roll < timeOrbRate + CONFIG.POWER_UPS.spawnRate) {
+        return createPowerUpOrbState(x, y, pickPowerUpType(random), { id: 'power_' + id });
+    }
+    return createOrbState(x, y, { id: id }, random);
+}
+
+/**
+ * Serialize orb data for network
+ */
+export function serializeOrb(orb) {
+    return {
+        id: orb.id,
+        x: orb.x,
+        y: orb.y,
+        size: orb.orbSize,
+        color: orb.orbColor,
+        value: orb.value,
+        bonus: orb.bonus,
+        isSpecial: orb.isSpecial,
+        specialType: orb.specialType,
+        isTimeOrb: orb.isTimeOrb,
+        timeBonus: orb.timeBonus,
+        powerUp: orb.powerUp
+    };
+}
+
+/**
+ * Rebuild orb state from network data
+ */
+export function deserializeOrb(data) {
+    return createOrbState(data.x, data.y, data);
+}
@@ -0,0 +1,24 @@
+/**
+ * Orb Battle.io - Seeded Random
+ * Deterministic drop-in for Math.random so a seed plus an input stream replays a match
+ */
+
+/**
+ * Create a seeded random function (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} random() in [0, 1), with the seed attached as random.seed
+ */
+export function createRandom(seed = Date.now()) {
+    let state = seed >>> 0;
+
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    random.seed = seed >>> 0;
+    return random;
+}
@@ -0,0 +1,384 @@
+/**
+ * Orb Battle.io - Core Rules
+ * Pure game rules shared by the Phaser client and the Node server
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Clamp a value between min and max
+ */
+export function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Clamp an entity size to the allowed range
+ */
+export function clampSize(size) {
+    // Enforce max size cap if defined
+    const maxSize = CONFIG.MAX_PLAYER_SIZE || 1000;
+    return clamp(size, CONFIG.MIN_SIZE, maxSize);
+}
+
+/**
+ * Get the new size after growing by amount
+ */
+export function getGrownSize(currentSize, amount) {
+    // Diminishing returns: The bigger you are, the harder it is to grow
+    // 100% gain at start (20 size) -> 50% gain at size 100 -> 20% gain at size 300
+    const sizeFactor = Math.max(0, currentSize - CONFIG.INITIAL_SIZE);
+    const diminishingMult = 1 / (1 + sizeFactor * 0.015);
+
+    return clampSize(currentSize + amount * diminishingMult);
+}
+
+/**
+ * Get movement speed (per tick) for an entity of the given size
+ */
+export function getMoveSpeed(size, speedMult = 1) {
+    return Math.max(2, CONFIG.BASE_SPEED - size * CONFIG.SIZE_SPEED_FACTOR) * speedMult;
+}
+
+/**
+ * Apply keyboard-style directional movement to an entity
+ * Mutates entity.x/y/velocity and returns the applied delta
+ */
+export function applyDirectionalMovement(entity, dirX, dirY, speedMult = 1) {
+    const speed = getMoveSpeed(entity.playerSize, speedMult);
+
+    // Normalize diagonal movement
+    const dist = Math.sqrt(dirX * dirX + dirY * dirY);
+    const normalizedX = dirX / dist;
+    const normalizedY = dirY / dist;
+
+    if (entity.physicsMode === 'drift') {
+        // Acceleration-based movement (Anti-Gravity)
+        const accel = speed * 0.05;
+        entity.velocity.x += normalizedX * accel;
+        entity.velocity.y += normalizedY * accel;
+        return { x: entity.velocity.x, y: entity.velocity.y };
+    }
+
+    // Direct movement with subtle momentum for larger players
+    // Larger players have slightly more "weight" feeling
+    const sizeWeight = Math.min(entity.playerSize / 100, 0.5); // 0 to 0.5
+    const inertiaFactor = 0.7 + sizeWeight * 0.3; // 0.7 to 1.0
+
+    const targetVelX = normalizedX * speed;
+    const targetVelY = normalizedY * speed;
+
+    // Blend current velocity with target (larger players blend slower)
+    entity.velocity.x = entity.velocity.x * (1 - inertiaFactor) + targetVelX * inertiaFactor;
+    entity.velocity.y = entity.velocity.y * (1 - inertiaFactor) + targetVelY * inertiaFactor;
+
+    entity.x += entity.velocity.x;
+    entity.y += entity.velocity.y;
+    return { x: entity.velocity.x, y: entity.velocity.y };
+}
+
+/**
+ * Spend boost stamina for one tick (or burn size once it runs out) and recover it after a rest
+ * @returns {boolean} whether the entity boosts this tick
+ */
+export function advanceBoost(entity, wantsBoost, dt) {
+    const config = CONFIG.BOOST;
+    const seconds = dt / 1000;
+    let boosting = false;
+
+    if (wantsBoost) {
+        if (entity.stamina > 0) {
+            entity.stamina = Math.max(0, entity.stamina - config.drainRate * seconds);
+            boosting = true;
+        } else if (entity.playerSize > config.minSize) {
+            entity.playerSize = clampSize(Math.max(config.minSize, entity.playerSize - config.sizeCost * seconds));
+            boosting = true;
+        }
+    }
+
+    if (boosting) {
+        entity.boostRest = config.regenDelay;
+    } else if (entity.boostRest > 0) {
+        entity.boostRest -= dt;
+    } else {
+        entity.stamina = Math.min(config.maxStamina, entity.stamina + config.regenRate * seconds);
+    }
+
+    entity.boosting = boosting;
+    return boosting;
+}
+
+/**
+ * Start a power-up, or stack it onto the same one still running by its stacking rule
+ * ('extend' adds the duration up to maxDuration, 'refresh' restarts the clock)
+ * @param {Object} powerUps - active power-up type -> time it runs out
+ * @returns {boolean} whether it was already running
+ */
+export function stackPowerUp(powerUps, type, now) {
+    const config = CONFIG.POWER_UPS;
+    const { duration, stacking } = config.types[type];
+    const running = type in powerUps;
+    const left = running ? powerUps[type] - now : 0;
+
+    powerUps[type] = now + (stacking === 'extend' ? Math.min(left + duration, config.maxDuration) : duration);
+    return running;
+}
+
+/**
+ * Apply drift physics (velocity + friction) to an entity
+ */
+export function applyDrift(entity) {
+    entity.x += entity.velocity.x;
+    entity.y += entity.velocity.y;
+
+    entity.velocity.x *= entity.friction;
+    entity.velocity.y *= entity.friction;
+}
+
+/**
+ * Combined pull of gravity wells at a point (velocity change per tick): each well pulls
+ * towards its centre, at full strength at its core and fading out linearly to its range
+ * @param {Array<{x, y, strength, range, coreRadius}>} wells
+ */
+export function getGravityPull(wells, x, y) {
+    const pull = { x: 0, y: 0 };
+
+    for (const well of wells) {
+        const dx = well.x - x;
+        const dy = well.y - y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist >= well.range || dist === 0) continue;
+
+        const falloff = dist <= well.coreRadius ? 1 : 1 - (dist - well.coreRadius) / (well.range - well.coreRadius);
+        pull.x += (dx / dist) * well.strength * falloff;
+        pull.y += (dy / dist) * well.strength * falloff;
+    }
+
+    return pull;
+}
+
+/**
+ * The gravity well whose core an entity of the given size touches at a point, if any
+ */
+export function findTouchedCore(wells, x, y, size) {
+    return wells.find(well => {
+        const dx = well.x - x;
+        const dy = well.y - y;
+        const reach = well.coreRadius + size;
+        return dx * dx + dy * dy < reach * reach;
+    }) || null;
+}
+
+/**
+ * Whether an entity of the given size is too big to slip under a virus
+ */
+export function isBlockedByVirus(size, virus) {
+    return size > virus.size * CONFIG.VIRUS.popRatio;
+}
+
+/**
+ * The virus hiding a point (under its body), if any
+ */
+export function findVirusCover(viruses, x, y) {
+    return viruses.find(virus => {
+        const dx = virus.x - x;
+        const dy = virus.y - y;
+        return dx * dx + dy * dy < virus.size * virus.size;
+    }) || null;
+}
+
+/**
+ * Check if an entity can collect an orb
+ */
+export function canCollectOrb(entity, orb) {
+    const dx = entity.x - orb.x;
+    const dy = entity.y - orb.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    // Relaxed collision: distance < sum of radii (with slight overlap required)
+    return dist < (entity.playerSize + orb.orbSize * 0.5);
+}
+
+/**
+ * Get the score value of an orb
+ */
+export function getOrbValue(orb) {
+    return Math.floor(orb.value * orb.bonus);
+}
+
+/**
+ * Get the size gain from collecting an orb
+ */
+export function getOrbSizeGain(orb) {
+    if (orb.sizeGain !== undefined) return orb.sizeGain;
+    return orb.isSpecial ? 2 : 1.5;
+}
+
+/**
+ * Resolve a collision between two entities
+ * @returns {'absorb'|'absorbed'|null} from the point of view of `a`
+ */
+export function getCollisionResult(a, b) {
+    if (!a.alive || !b.alive) return null;
+
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const minDist = Math.max(a.playerSize, b.playerSize) * 0.8;
+
+    if (dist < minDist) {
+        if (a.playerSize > b.playerSize * CONFIG.SIZE_RATIO_TO_ABSORB) {
+            return 'absorb'; // a absorbs b
+        } else if (b.playerSize > a.playerSize * CONFIG.SIZE_RATIO_TO_ABSORB) {
+            return 'absorbed'; // a gets absorbed by b
+        }
+    }
+    return null;
+}
+
+/**
+ * Get base score for absorbing an entity (before streak multiplier)
+ */
+export function getAbsorbScore(absorberSize, absorbedSize) {
+    const sizeRatio = absorbedSize / absorberSize;
+    return Math.floor(CONFIG.ABSORPTION_BASE_SCORE * sizeRatio);
+}
+
+/**
+ * Advance a kill streak and return the streak bonus (if any) and multiplier
+ * @param {{count: number, lastKillTime: number}} streak - mutated in place
+ */
+export function advanceKillStreak(streak, now) {
+    if (now - streak.lastKillTime < CONFIG.STREAK.window) {
+        streak.count++;
+    } else {
+        streak.count = 1;
+    }
+    streak.lastKillTime = now;
+
+    // Check for streak bonuses
+    const bonus = CONFIG.STREAK.bonuses.find(b => b.kills === streak.count);
+    if (bonus) {
+        return { bonus, multiplier: bonus.multiplier };
+    }
+
+    const multiplier = streak.count >= 2 ?
+        (CONFIG.STREAK.bonuses.find(b => b.kills <= streak.count)?.multiplier || 1) : 1;
+    return { bonus: null, multiplier };
+}
+
+/**
+ * Advance a combo and return the newly reached tier index (or -1)
+ * @param {{count: number, timer: number, lastTier: number, multiplier: number}} combo - mutated in place
+ */
+export function advanceCombo(combo) {
+    combo.count++;
+    combo.timer = CONFIG.COMBO.window;
+
+    // Calculate multiplier (linear scaling up to max)
+    combo.multiplier = Math.min(
+        1 + (combo.count - 1) * 0.1,
+        CONFIG.COMBO.maxMultiplier
+    );
+
+    // Check for combo tier milestones
+    const tiers = CONFIG.COMBO.tiers;
+    for (let i = tiers.length - 1; i >= 0; i--) {
+        if (combo.count === tiers[i].count && combo.lastTier < i) {
+            combo.lastTier = i;
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Create a fresh combo state
+ */
+export function createCombo() {
+    return {
+        count: 0,
+        timer: 0,
+        lastTier: -1,
+        multiplier: 1.0
+    };
+}
+
+/**
+ * Get the respawn size range for bots given the largest human's size
+ * @param {Object} scaling - a difficulty preset's respawnScaling curve
+ */
+export function getBotSpawnSizeRange(referenceSize = 0, scaling = CONFIG.DIFFICULTY[CONFIG.DEFAULT_DIFFICULTY].respawnScaling) {
+    // Dynamic Difficulty: New bots scale with the player to keep challenge high
+    let min = CONFIG.BOT_MIN_SIZE;
+    let max = CONFIG.BOT_MIN_SIZE + 10;
+
+    // Scale up based on player size (e.g. on Normal, if player is size 100, bots can spawn up to size 80)
+    if (referenceSize > scaling.threshold) {
+        min = Math.min(referenceSize * scaling.minFactor, scaling.minCap);
+        max = Math.min(referenceSize * scaling.maxFactor, scaling.maxCap);
+    }
+
+    return { min, max };
+}
+
+/**
+ * Whether an entity's bounds overlap an axis-aligned wall rectangle
+ */
+export function isTouchingWall(entity, wall) {
+    const size = entity.playerSize;
+    return entity.x + size > wall.x && entity.x - size < wall.x + wall.width &&
+        entity.y + size > wall.y && entity.y - size < wall.y + wall.height;
+}
+
+/**
+ * Push an entity out of an axis-aligned wall rectangle (minimum overlap axis)
+ * @returns {string|null} side the entity was pushed to, or null if not touching
+ */
+export function resolveWallCollision(entity, wall) {
+    const size = entity.playerSize;
+
+    // Entity bounds
+    const entityLeft = entity.x - size;
+    const entityRight = entity.x + size;
+    const entityTop = entity.y - size;
+    const entityBottom = entity.y + size;
+
+    // Wall bounds
+    const wallLeft = wall.x;
+    const wallRight = wall.x + wall.width;
+    const wallTop = wall.y;
+    const wallBottom = wall.y + wall.height;
+
+    if (!isTouchingWall(entity, wall)) return null;
+
+    // Calculate overlap on each axis
+    const overlapLeft = entityRight - wallLeft;
+    const overlapRight = wallRight - entityLeft;
+    const overlapTop = entityBottom - wallTop;
+    const overlapBottom = wallBottom - entityTop;
+
+    // Find minimum overlap and push entity out
+    const minOverlap = Math.min(overlapLeft, overlapRight, overlapTop, overlapBottom);
+
+    if (minOverlap === overlapLeft) {
+        entity.x = wallLeft - size;
+        return 'left';
+    } else if (minOverlap === overlapRight) {
+        entity.x = wallRight + size;
+        return 'right';
+    } else if (minOverlap === overlapTop) {
+        entity.y = wallTop - size;
+        return 'top';
+    }
+    entity.y = wallBottom + size;
+    return 'bottom';
+}
+
+/**
+ * Whether a point lies inside an axis-aligned rectangle
+ */
+export function isInsideRect(point, rect) {
+    return point.x >= rect.x && point.x <= rect.x + rect.width &&
+        point.y >= rect.y && point.y <= rect.y + rect.height;
+}
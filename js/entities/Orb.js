@@ -1,6 +1,7 @@
 /**
  * Orb Battle.io - Orb Entity
- * Collectible orb with visual effects
+ * Visual representation of a collectible orb (state lives in core/orbs.js).
+ * Orbs are pooled: collect() hides them and reset() brings them back.
  */
 
 import { CONFIG, getRandomOrbColor, hexToNumber } from '../config.js';
@@ -9,15 +10,7 @@ export class Orb extends Phaser.GameObjects.Container {
     constructor(scene, x, y, config = {}) {
         super(scene, x, y);
 
-        this.id = config.id || 'orb_' + Date.now();
-        this.orbColor = config.color || getRandomOrbColor();
-        this.orbSize = config.size || CONFIG.ORB_MIN_SIZE + Math.random() * (CONFIG.ORB_MAX_SIZE - CONFIG.ORB_MIN_SIZE);
-        this.value = config.value || CONFIG.ORB_VALUE;
-        this.bonus = config.bonus || 1;
-        this.isSpecial = config.isSpecial || false;
-        this.specialType = config.specialType || null; // 'gauntlet', 'danger', 'dimension'
-        this.isTimeOrb = config.isTimeOrb || false;
-        this.timeBonus = config.timeBonus || 0;
+        this.applyConfig(config);
 
         // Create visual elements
         this.createVisuals();
@@ -27,21 +20,51 @@ export class Orb extends Phaser.GameObjects.Container {
 
         // Set depth
         this.setDepth(5);
+
+        this.startAnimations();
+    }
+
+    /**
+     * Copy orb state from config
+     */
+    applyConfig(config) {
+        this.id = config.id || 'orb_' + Date.now();
+        this.orbColor = config.color || getRandomOrbColor();
+        this.orbSize = config.size || CONFIG.ORB_MIN_SIZE + Math.random() * (CONFIG.ORB_MAX_SIZE - CONFIG.ORB_MIN_SIZE);
+        this.value = config.value || CONFIG.ORB_VALUE;
+        this.bonus = config.bonus || 1;
+        this.isSpecial = config.isSpecial || false;
+        this.specialType = config.specialType || null; // 'gauntlet', 'danger', 'dimension', 'powerUp'...
+        this.isTimeOrb = config.isTimeOrb || false;
+        this.timeBonus = config.timeBonus || 0;
+        this.powerUp = config.powerUp || null;
     }
 
     /**
      * Create the visual elements for the orb
      */
     createVisuals() {
-        const color = hexToNumber(this.orbColor);
-
         // Main orb sprite
         this.body = this.scene.add.sprite(0, 0, 'orb');
-        this.body.setTint(color);
         this.body.setBlendMode(Phaser.BlendModes.ADD);
-        this.body.setDisplaySize(this.orbSize * 2, this.orbSize * 2);
         this.add(this.body);
 
+        this.updateVisuals();
+    }
+
+    /**
+     * Apply color and size to the sprite
+     */
+    updateVisuals() {
+        this.body.setTint(hexToNumber(this.orbColor));
+        this.body.setDisplaySize(this.orbSize * 2, this.orbSize * 2);
+        this.body.setAlpha(1);
+    }
+
+    /**
+     * Start looping tweens
+     */
+    startAnimations() {
         // Pulse animation for special orbs (exclude dimension orbs to prevent visual clutter)
         if (this.isSpecial && this.specialType !== 'dimension') {
             this.scene.tweens.add({
@@ -57,52 +80,31 @@ export class Orb extends Phaser.GameObjects.Container {
     }
 
     /**
-     * Check if player can collect this orb
+     * Stop looping tweens
      */
-    canCollect(player) {
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        // Relaxed collision: distance < sum of radii (with slight overlap required)
-        return dist < (player.playerSize + this.orbSize * 0.5);
+    stopAnimations() {
+        this.scene.tweens.killTweensOf(this.body);
     }
 
     /**
-     * Get collection value
+     * Reuse this orb for new state (from the pool)
      */
-    getValue() {
-        return Math.floor(this.value * this.bonus);
+    reset(x, y, config = {}) {
+        this.applyConfig(config);
+        this.setPosition(x, y);
+        this.updateVisuals();
+        this.setActive(true);
+        this.setVisible(true);
+        this.startAnimations();
     }
 
     /**
-     * Get size gain from collecting
-     */
-    getSizeGain() {
-        return this.isSpecial ? 2 : 1.5;
-    }
-
-    /**
-     * Destroy the orb
+     * Hide the orb and stop its animations until it is reused
      */
     collect() {
-        // Stop any tweens
-        if (this.body) {
-            this.scene.tweens.killTweensOf(this.body);
-        }
-        if (this.ring) {
-            this.scene.tweens.killTweensOf(this.ring);
-        }
-        if (this.sparkles) {
-            this.sparkles.forEach(s => this.scene.tweens.killTweensOf(s));
-        }
-        // Stop timer event
-        if (this.colorCycleTimer) {
-            this.colorCycleTimer.remove();
-        }
-
-        // Destroy
-        this.destroy();
+        this.stopAnimations();
+        this.setActive(false);
+        this.setVisible(false);
     }
 }
 
@@ -110,9 +112,11 @@ export class Orb extends Phaser.GameObjects.Container {
  * Time Orb - Special orb that adds time when collected
  */
 export class TimeOrb extends Orb {
-    constructor(scene, x, y, config = {}) {
-        // Force time orb properties
-        const timeConfig = {
+    /**
+     * Force time orb properties
+     */
+    applyConfig(config) {
+        super.applyConfig({
             ...config,
             isTimeOrb: true,
             isSpecial: true,
@@ -121,8 +125,11 @@ export class TimeOrb extends Orb {
             size: CONFIG.TIME_ORB.size,
             timeBonus: config.timeBonus || CONFIG.TIME_ORB.timeBonus,
             value: 15 // Slightly more points than normal orbs
-        };
-        super(scene, x, y, timeConfig);
+        });
+    }
+
+    createVisuals() {
+        super.createVisuals();
 
         // Additional time orb visuals
         this.createTimeOrbVisuals();
@@ -133,7 +140,6 @@ export class TimeOrb extends Orb {
      */
     createTimeOrbVisuals() {
         const primaryColor = hexToNumber(CONFIG.TIME_ORB.color);
-        const secondaryColor = hexToNumber(CONFIG.TIME_ORB.secondaryColor);
 
         // Rotating ring around the orb
         this.ring = this.scene.add.graphics();
@@ -142,6 +148,29 @@ export class TimeOrb extends Orb {
         this.add(this.ring);
         this.sendToBack(this.ring);
 
+        // Sparkle particles around the orb
+        this.sparkles = [];
+        for (let i = 0; i < 4; i++) {
+            const sparkle = this.scene.add.circle(
+                Math.cos(i * Math.PI / 2) * this.orbSize * 1.5,
+                Math.sin(i * Math.PI / 2) * this.orbSize * 1.5,
+                2,
+                0xffffff,
+                0.8
+            );
+            this.add(sparkle);
+            this.sparkles.push(sparkle);
+        }
+
+        // Outer glow
+        this.glow = this.scene.add.circle(0, 0, this.orbSize * 2, primaryColor, 0.15);
+        this.add(this.glow);
+        this.sendToBack(this.glow);
+    }
+
+    startAnimations() {
+        super.startAnimations();
+
         // Rotating animation
         this.scene.tweens.add({
             targets: this.ring,
@@ -179,20 +208,8 @@ export class TimeOrb extends Orb {
             loop: true
         });
 
-        // Sparkle particles around the orb
-        this.sparkles = [];
-        for (let i = 0; i < 4; i++) {
-            const sparkle = this.scene.add.circle(
-                Math.cos(i * Math.PI / 2) * this.orbSize * 1.5,
-                Math.sin(i * Math.PI / 2) * this.orbSize * 1.5,
-                2,
-                0xffffff,
-                0.8
-            );
-            this.add(sparkle);
-            this.sparkles.push(sparkle);
-
-            // Animate sparkles orbiting
+        // Animate sparkles orbiting
+        this.sparkles.forEach((sparkle, i) => {
             this.scene.tweens.add({
                 targets: sparkle,
                 alpha: { from: 0.3, to: 1 },
@@ -201,7 +218,7 @@ export class TimeOrb extends Orb {
                 yoyo: true,
                 repeat: -1
             });
-        }
+        });
 
         // Rotate sparkle container
         this.scene.tweens.add({
@@ -212,11 +229,6 @@ export class TimeOrb extends Orb {
             ease: 'Linear'
         });
 
-        // Outer glow
-        this.glow = this.scene.add.circle(0, 0, this.orbSize * 2, primaryColor, 0.15);
-        this.add(this.glow);
-        this.sendToBack(this.glow);
-
         this.scene.tweens.add({
             targets: this.glow,
             alpha: { from: 0.1, to: 0.3 },
@@ -227,6 +239,24 @@ export class TimeOrb extends Orb {
         });
     }
 
+    stopAnimations() {
+        super.stopAnimations();
+
+        this.scene.tweens.killTweensOf([this, this.ring, this.glow, ...this.sparkles]);
+
+        // Stop timer event
+        if (this.colorCycleTimer) {
+            this.colorCycleTimer.remove();
+            this.colorCycleTimer = null;
+        }
+
+        // Back to the rest pose for the next reuse
+        this.setAngle(0);
+        this.ring.setRotation(0);
+        this.glow.setAlpha(1).setScale(1);
+        this.sparkles.forEach(sparkle => sparkle.setAlpha(1).setScale(1));
+    }
+
     /**
      * Get the time bonus this orb provides
      */
@@ -236,74 +266,90 @@ export class TimeOrb extends Orb {
 }
 
 /**
- * Create orbs for the game (includes time orbs based on spawn rate)
+ * Power-Up Orb - Special orb granting a timed power-up (CONFIG.POWER_UPS) when collected
  */
-export function createOrbs(scene, count = CONFIG.INITIAL_ORB_COUNT, worldWidth = CONFIG.WORLD_WIDTH, worldHeight = CONFIG.WORLD_HEIGHT) {
-    const orbs = [];
-    const timeOrbRate = CONFIG.TIME_ORB?.spawnRate || 0.15;
-
-    for (let i = 0; i < count; i++) {
-        const isTimeOrb = Math.random() < timeOrbRate;
-        const x = Math.random() * worldWidth;
-        const y = Math.random() * worldHeight;
-
-        if (isTimeOrb) {
-            const orb = new TimeOrb(scene, x, y, { id: 'time_orb_' + i });
-            orbs.push(orb);
-        } else {
-            const orb = new Orb(scene, x, y, { id: 'orb_' + i });
-            orbs.push(orb);
-        }
+export class PowerUpOrb extends Orb {
+    /**
+     * Force power-up orb properties (colour from the power-up type)
+     */
+    applyConfig(config) {
+        super.applyConfig({
+            ...config,
+            isSpecial: true,
+            specialType: 'powerUp',
+            color: CONFIG.POWER_UPS.types[config.powerUp].color,
+            size: CONFIG.POWER_UPS.size,
+            value: CONFIG.POWER_UPS.value
+        });
     }
 
-    return orbs;
-}
+    createVisuals() {
+        // Glow and ring behind the body, icon in front (updateVisuals styles them per type)
+        this.glow = this.scene.add.circle(0, 0, 1, 0xffffff, 0.2);
+        this.add(this.glow);
+        this.ring = this.scene.add.graphics();
+        this.add(this.ring);
 
-/**
- * Create a single orb at random position (may be time orb based on spawn rate)
- */
-export function createOrb(scene, worldWidth = CONFIG.WORLD_WIDTH, worldHeight = CONFIG.WORLD_HEIGHT) {
-    const isTimeOrb = Math.random() < (CONFIG.TIME_ORB?.spawnRate || 0.15);
-    const x = Math.random() * worldWidth;
-    const y = Math.random() * worldHeight;
+        super.createVisuals();
 
-    if (isTimeOrb) {
-        return new TimeOrb(scene, x, y, { id: 'time_orb_' + Date.now() });
+        this.icon = this.scene.add.text(0, 0, '', { fontSize: '16px' }).setOrigin(0.5);
+        this.add(this.icon);
+        this.updateVisuals();
     }
-    return new Orb(scene, x, y, { id: 'orb_' + Date.now() });
-}
 
-/**
- * Create a single time orb at random position
- */
-export function createTimeOrb(scene, worldWidth = CONFIG.WORLD_WIDTH, worldHeight = CONFIG.WORLD_HEIGHT) {
-    return new TimeOrb(scene,
-        Math.random() * worldWidth,
-        Math.random() * worldHeight,
-        { id: 'time_orb_' + Date.now() }
-    );
-}
+    /**
+     * Restyle for the current power-up type (pooled orbs change type on reuse)
+     */
+    updateVisuals() {
+        super.updateVisuals();
+        if (!this.icon) return;
 
-/**
- * Create dimension orbs with specific color and bonus
- */
-export function createDimensionOrbs(scene, count, worldSize, color, bonus) {
-    const orbs = [];
-
-    for (let i = 0; i < count; i++) {
-        const orb = new Orb(scene,
-            Math.random() * worldSize,
-            Math.random() * worldSize,
-            {
-                id: 'dim_orb_' + i,
-                color: color,
-                bonus: bonus,
-                isSpecial: true,
-                specialType: 'dimension'
-            }
-        );
-        orbs.push(orb);
+        const color = hexToNumber(this.orbColor);
+        this.glow.setRadius(this.orbSize * 2);
+        this.glow.setFillStyle(color, 0.2);
+
+        // Dashed ring
+        this.ring.clear();
+        this.ring.lineStyle(2, color, 0.9);
+        const radius = this.orbSize * 1.4;
+        for (let i = 0; i < 8; i++) {
+            const start = (i / 8) * Math.PI * 2;
+            this.ring.beginPath();
+            this.ring.arc(0, 0, radius, start, start + Math.PI / 8);
+            this.ring.strokePath();
+        }
+
+        this.icon.setText(CONFIG.POWER_UPS.types[this.powerUp].icon);
+    }
+
+    startAnimations() {
+        super.startAnimations();
+
+        this.scene.tweens.add({
+            targets: this.ring,
+            rotation: Math.PI * 2,
+            duration: 3000,
+            repeat: -1,
+            ease: 'Linear'
+        });
+
+        this.scene.tweens.add({
+            targets: this.glow,
+            alpha: { from: 0.5, to: 1 },
+            scale: { from: 1, to: 1.3 },
+            duration: 600,
+            yoyo: true,
+            repeat: -1
+        });
     }
 
-    return orbs;
+    stopAnimations() {
+        super.stopAnimations();
+
+        this.scene.tweens.killTweensOf([this.ring, this.glow]);
+
+        // Back to the rest pose for the next reuse
+        this.ring.setRotation(0);
+        this.glow.setAlpha(1).setScale(1);
+    }
 }
@@ -1,6 +1,6 @@
 /**
  * Orb Battle.io - Player Entity
- * Player orb with movement and state management
+ * Visual representation of a player or bot (state lives in core/Entity.js)
  */
 
 import { CONFIG, hexToNumber } from '../config.js';
@@ -16,15 +16,14 @@ export class Player extends Phaser.GameObjects.Container {
         this.score = config.score || 0;
         this.isLocal = config.isLocal || false;
         this.isBot = config.isBot || false;
+        this.isPhantom = config.isPhantom || false;
         this.alive = true;
-        this.respawnTime = null;
+        this.boosting = false;
+        this.powerUps = []; // Active power-up types (CONFIG.POWER_UPS)
 
-        // Physics properties
-        this.velocity = { x: 0, y: 0 };
-        this.physicsMode = 'direct'; // 'direct' or 'drift'
-        this.friction = 0.95;
-
-        // Target position for interpolation (remote players)
+        // Interpolation: previous tick -> target (solo) or towards target (network)
+        this.prevX = x;
+        this.prevY = y;
         this.targetX = x;
         this.targetY = y;
 
@@ -40,6 +39,12 @@ export class Player extends Phaser.GameObjects.Container {
         // Create visual elements
         this.createVisuals();
 
+        // Mirror Maze phantoms are see-through, unnamed reflections
+        if (this.isPhantom) {
+            this.setAlpha(CONFIG.MIRROR.phantomAlpha);
+            this.nameLabel.setVisible(false);
+        }
+
         // Add to scene
         scene.add.existing(this);
 
@@ -75,6 +80,15 @@ export class Player extends Phaser.GameObjects.Container {
         this.invulnGlow = this.scene.add.circle(0, 0, this.playerSize * 1.8, 0x67e8f9, 0.4);
         this.invulnGlow.setVisible(false);
         this.add(this.invulnGlow);
+
+        // Power-ups: shield bubble and icons above the body (hidden until one is active)
+        this.shieldBubble = this.scene.add.circle(0, 0, this.playerSize * 1.3);
+        this.shieldBubble.setStrokeStyle(3, hexToNumber(CONFIG.POWER_UPS.types.SHIELD.color), 0.8);
+        this.shieldBubble.setVisible(false);
+        this.add(this.shieldBubble);
+
+        this.powerUpLabel = this.scene.add.text(0, -this.playerSize - 8, '', { fontSize: '14px' }).setOrigin(0.5, 1);
+        this.add(this.powerUpLabel);
     }
 
     /**
@@ -89,6 +103,8 @@ export class Player extends Phaser.GameObjects.Container {
         this.nameLabel.setY(this.playerSize + 18);
 
         this.invulnGlow.setRadius(this.playerSize * 1.8);
+        this.shieldBubble.setRadius(this.playerSize * 1.3);
+        this.powerUpLabel.setY(-this.playerSize - 8);
 
         // Update depth based on size
         this.setDepth(this.playerSize);
@@ -322,12 +338,14 @@ export class Player extends Phaser.GameObjects.Container {
 
     /**
      * Spawn particle trail based on movement and visual stage
+     * (only the local player's, except while boosting: a boost is thicker and shows on everyone)
      */
     spawnTrailParticle(deltaX, deltaY) {
-        if (!this.isLocal || !CONFIG.VISUAL_STAGES) return;
+        if ((!this.isLocal && !this.boosting) || !CONFIG.VISUAL_STAGES) return;
 
         const now = Date.now();
-        if (now - this.lastTrailSpawn < this.trailSpawnInterval) return;
+        const interval = this.boosting ? this.trailSpawnInterval / 2 : this.trailSpawnInterval;
+        if (now - this.lastTrailSpawn < interval) return;
         this.lastTrailSpawn = now;
 
         const stage = CONFIG.VISUAL_STAGES[this.visualStage];
@@ -337,21 +355,21 @@ export class Player extends Phaser.GameObjects.Container {
         if (speed < 0.5) return;
 
         const color = hexToNumber(this.playerColor);
-        const particleCount = Math.min(stage.particleCount, Math.ceil(speed / 2));
+        const boost = this.boosting ? CONFIG.BOOST : { trailParticles: 0, trailSize: 0 };
+        const particleCount = Math.min(stage.particleCount, Math.ceil(speed / 2)) + boost.trailParticles;
 
         for (let i = 0; i < particleCount; i++) {
             const turbulence = stage.trailTurbulence;
             const offsetX = (Math.random() - 0.5) * this.playerSize * turbulence;
             const offsetY = (Math.random() - 0.5) * this.playerSize * turbulence;
 
-            const particle = this.scene.add.circle(
+            const particle = this.scene.pools.circles.acquire(
                 this.x + offsetX,
                 this.y + offsetY,
-                stage.trailThickness + Math.random() * 2,
+                stage.trailThickness + boost.trailSize + Math.random() * 2,
                 color,
                 0.4 + Math.random() * 0.3
             );
-            particle.setBlendMode(Phaser.BlendModes.ADD);
             particle.setDepth(this.depth - 1);
 
             // Add turbulent motion for higher stages
@@ -367,7 +385,7 @@ export class Player extends Phaser.GameObjects.Container {
                 alpha: 0,
                 duration: 300 + Math.random() * 200,
                 ease: 'Cubic.easeOut',
-                onComplete: () => particle.destroy()
+                onComplete: () => this.scene.pools.circles.release(particle)
             });
         }
     }
@@ -376,32 +394,10 @@ export class Player extends Phaser.GameObjects.Container {
      * Set player size
      */
     setSize(newSize) {
-        // Enforce max size cap if defined
-        const maxSize = CONFIG.MAX_PLAYER_SIZE || 1000;
-        this.playerSize = Phaser.Math.Clamp(newSize, CONFIG.MIN_SIZE, maxSize);
+        this.playerSize = newSize;
         this.updateVisuals();
     }
 
-    /**
-     * Grow player by amount
-     */
-    grow(amount) {
-        // Diminishing returns: The bigger you are, the harder it is to grow
-        // 100% gain at start (20 size) -> 50% gain at size 100 -> 20% gain at size 300
-        const sizeFactor = Math.max(0, this.playerSize - CONFIG.INITIAL_SIZE);
-        const diminishingMult = 1 / (1 + sizeFactor * 0.015);
-
-        const effectiveAmount = amount * diminishingMult;
-        this.setSize(this.playerSize + effectiveAmount);
-    }
-
-    /**
-     * Add score
-     */
-    addScore(amount) {
-        this.score += amount;
-    }
-
     /**
      * Set invulnerability visual state
      */
@@ -422,199 +418,98 @@ export class Player extends Phaser.GameObjects.Container {
     }
 
     /**
-     * Kill the player
+     * Show active power-ups: icons above the body, a bubble for a shield, see-through for a ghost
+     * @param {Array<string>} types - CONFIG.POWER_UPS type keys
+     */
+    setPowerUps(types) {
+        if (types.join() === this.powerUps.join()) return;
+        this.powerUps = types;
+
+        this.powerUpLabel.setText(types.map(type => CONFIG.POWER_UPS.types[type].icon).join(' '));
+        this.shieldBubble.setVisible(types.includes('SHIELD'));
+        const baseAlpha = this.isPhantom ? CONFIG.MIRROR.phantomAlpha : 1;
+        this.setAlpha(types.includes('GHOST') ? baseAlpha * 0.4 : baseAlpha);
+    }
+
+    /**
+     * Hide the player while dead
      */
     die() {
         this.alive = false;
-        this.respawnTime = Date.now() + CONFIG.RESPAWN_TIME;
         this.setVisible(false);
     }
 
     /**
-     * Respawn the player
+     * Show the player again at its respawn position
      */
-    respawn(x, y, worldWidth = CONFIG.WORLD_WIDTH, worldHeight = CONFIG.WORLD_HEIGHT) {
+    respawn(x, y) {
         this.alive = true;
-        this.respawnTime = null;
-        this.setPosition(
-            x !== undefined ? x : Math.random() * worldWidth,
-            y !== undefined ? y : Math.random() * worldHeight
-        );
-        this.setSize(CONFIG.INITIAL_SIZE);
+        this.setPosition(x, y);
         this.setVisible(true);
-        this.targetX = this.x;
-        this.targetY = this.y;
-    }
-
-    /**
-     * Set physics mode
-     * @param {string} mode - 'direct' or 'drift'
-     */
-    setPhysicsMode(mode) {
-        this.physicsMode = mode;
-        this.velocity = { x: 0, y: 0 };
+        this.prevX = this.targetX = this.x;
+        this.prevY = this.targetY = this.y;
     }
 
     /**
-     * Move towards target position (for remote players)
+     * Move towards target position (network snapshots)
      */
     interpolatePosition(lerp = 0.15) {
         if (!this.isLocal && this.alive) {
-            this.x += (this.targetX - this.x) * lerp;
-            this.y += (this.targetY - this.y) * lerp;
-        }
-    }
-
-    /**
-     * Move local player towards pointer (legacy - kept for compatibility)
-     */
-    moveTowards(targetX, targetY, speedMult = 1) {
-        if (!this.alive) return;
-
-        const baseSpeed = Math.max(2, CONFIG.BASE_SPEED - this.playerSize * CONFIG.SIZE_SPEED_FACTOR);
-        const speed = baseSpeed * speedMult;
-
-        const dx = targetX - this.x;
-        const dy = targetY - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist > 5) {
-            this.x += (dx / dist) * speed;
-            this.y += (dy / dist) * speed;
+            const dx = (this.targetX - this.x) * lerp;
+            const dy = (this.targetY - this.y) * lerp;
+            this.x += dx;
+            this.y += dy;
+            if (this.boosting) this.spawnTrailParticle(dx, dy);
         }
     }
 
     /**
-     * Move local player in a direction (for keyboard input)
-     * @param {number} dirX - X direction (-1, 0, or 1)
-     * @param {number} dirY - Y direction (-1, 0, or 1)
-     * @param {number} speedMult - Speed multiplier
+     * Apply size, score, boost, power-up and alive state from serialized entity data
      */
-    moveInDirection(dirX, dirY, speedMult = 1) {
-        if (!this.alive) return;
-        if (dirX === 0 && dirY === 0) return;
-
-        const baseSpeed = Math.max(2, CONFIG.BASE_SPEED - this.playerSize * CONFIG.SIZE_SPEED_FACTOR);
-        const speed = baseSpeed * speedMult;
-
-        // Normalize diagonal movement
-        const dist = Math.sqrt(dirX * dirX + dirY * dirY);
-        const normalizedX = dirX / dist;
-        const normalizedY = dirY / dist;
-
-        let deltaX = 0, deltaY = 0;
-
-        if (this.physicsMode === 'drift') {
-            // Acceleration-based movement (Anti-Gravity)
-            const accel = speed * 0.05;
-            this.velocity.x += normalizedX * accel;
-            this.velocity.y += normalizedY * accel;
-            deltaX = this.velocity.x;
-            deltaY = this.velocity.y;
-        } else {
-            // Direct movement with subtle momentum for larger players
-            // Larger players have slightly more "weight" feeling
-            const sizeWeight = Math.min(this.playerSize / 100, 0.5); // 0 to 0.5
-            const inertiaFactor = 0.7 + sizeWeight * 0.3; // 0.7 to 1.0
-
-            const targetVelX = normalizedX * speed;
-            const targetVelY = normalizedY * speed;
-
-            // Blend current velocity with target (larger players blend slower)
-            this.velocity.x = this.velocity.x * (1 - inertiaFactor) + targetVelX * inertiaFactor;
-            this.velocity.y = this.velocity.y * (1 - inertiaFactor) + targetVelY * inertiaFactor;
-
-            deltaX = this.velocity.x;
-            deltaY = this.velocity.y;
-            this.x += deltaX;
-            this.y += deltaY;
-        }
-
-        // Spawn trail particles
-        this.spawnTrailParticle(deltaX, deltaY);
-    }
-
-    /**
-     * Clamp position to world bounds
-     */
-    clampToWorld(worldWidth, worldHeight) {
-        this.x = Phaser.Math.Clamp(this.x, this.playerSize, worldWidth - this.playerSize);
-        this.y = Phaser.Math.Clamp(this.y, this.playerSize, worldHeight - this.playerSize);
-    }
-
-    /**
-     * Check collision with another entity
-     */
-    checkCollision(other) {
-        if (!this.alive || !other.alive) return null;
-
-        const dx = this.x - other.x;
-        const dy = this.y - other.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const minDist = Math.max(this.playerSize, other.playerSize) * 0.8;
-
-        if (dist < minDist) {
-            if (this.playerSize > other.playerSize * CONFIG.SIZE_RATIO_TO_ABSORB) {
-                return 'absorb'; // This entity absorbs other
-            } else if (other.playerSize > this.playerSize * CONFIG.SIZE_RATIO_TO_ABSORB) {
-                return 'absorbed'; // This entity gets absorbed
+    applyState(data) {
+        if (data.size !== undefined && data.size !== this.playerSize) this.setSize(data.size);
+        if (data.score !== undefined) this.score = data.score;
+        if (data.boosting !== undefined) this.boosting = data.boosting;
+        if (data.powerUps !== undefined) this.setPowerUps(data.powerUps);
+        if (data.alive !== undefined) {
+            if (data.alive && !this.alive) {
+                this.respawn(data.x, data.y);
+            } else if (!data.alive && this.alive) {
+                this.die();
             }
         }
-        return null;
-    }
-
-    /**
-     * Get distance to another entity
-     */
-    distanceTo(other) {
-        const dx = this.x - other.x;
-        const dy = this.y - other.y;
-        return Math.sqrt(dx * dx + dy * dy);
     }
 
     /**
-     * Update player state
+     * Take the state of a new simulation tick (solo mode)
      */
-    update(time, delta) {
-        // Check for respawn
-        if (!this.alive && this.respawnTime && Date.now() > this.respawnTime) {
-            // Respawn handled by game scene
-        }
+    syncState(data) {
+        const dx = data.x - this.targetX;
+        const dy = data.y - this.targetY;
 
-        // Interpolate remote players
-        if (!this.isLocal) {
-        }
-
-        // Apply drift physics
-        if (this.isLocal && this.alive && this.physicsMode === 'drift') {
-            this.x += this.velocity.x;
-            this.y += this.velocity.y;
+        this.applyState(data);
 
-            // Friction
-            this.velocity.x *= this.friction;
-            this.velocity.y *= this.friction;
+        // Skip interpolation and trail on teleports (rifts, respawns)
+        const teleported = Math.abs(dx) + Math.abs(dy) >= 50;
+        this.prevX = teleported ? data.x : this.targetX;
+        this.prevY = teleported ? data.y : this.targetY;
+        this.targetX = data.x;
+        this.targetY = data.y;
 
-            // Bounce off walls (simple)
-            // Note: clampToWorld handles position, but we should zero velocity if hitting wall
-            // OR actually bounce. Let's start with zeroing velocity on clamp for stability.
-            // (We will let the scene clamp call valid position limits)
+        if (this.alive && !teleported) {
+            this.spawnTrailParticle(dx, dy);
         }
     }
 
     /**
-     * Serialize player data for network
+     * Place the player between the last two ticks
+     * @param {number} alpha - fraction of a tick since the last one (0-1)
      */
-    serialize() {
-        return {
-            id: this.id,
-            name: this.playerName,
-            x: this.x,
-            y: this.y,
-            size: this.playerSize,
-            color: this.playerColor,
-            score: this.score,
-            alive: this.alive
-        };
+    renderInterpolated(alpha) {
+        this.setPosition(
+            this.prevX + (this.targetX - this.prevX) * alpha,
+            this.prevY + (this.targetY - this.prevY) * alpha
+        );
     }
 
     /**
@@ -623,15 +518,6 @@ export class Player extends Phaser.GameObjects.Container {
     deserialize(data) {
         if (data.x !== undefined) this.targetX = data.x;
         if (data.y !== undefined) this.targetY = data.y;
-        if (data.size !== undefined) this.setSize(data.size);
-        if (data.score !== undefined) this.score = data.score;
-        if (data.dimension !== undefined) this.dimension = data.dimension;
-        if (data.alive !== undefined) {
-            if (data.alive && !this.alive) {
-                this.respawn(data.x, data.y);
-            } else if (!data.alive && this.alive) {
-                this.die();
-            }
-        }
+        this.applyState(data);
     }
 }
@@ -0,0 +1,91 @@
+/**
+ * Orb Battle.io - Brain Storage
+ * Keeps the bots' Q-learning brain across sessions (localStorage) and
+ * moves it in and out of versioned JSON files
+ */
+
+const STORAGE_KEY = 'orbio_bot_brain';
+
+class BrainStorage {
+    /**
+     * Restore a brain from localStorage
+     * @returns {boolean} whether a saved brain was loaded
+     */
+    load(brain) {
+        let saved;
+        try {
+            saved = localStorage.getItem(STORAGE_KEY);
+        } catch (e) {
+            return false; // Storage disabled
+        }
+        if (!saved) return false;
+
+        try {
+            brain.load(JSON.parse(saved));
+            return true;
+        } catch (e) {
+            console.warn('Discarding saved bot brain:', e.message);
+            localStorage.removeItem(STORAGE_KEY);
+            return false;
+        }
+    }
+
+    /**
+     * Save a brain to localStorage
+     */
+    save(brain) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(brain.serialize()));
+        } catch (e) {
+            console.warn('Could not save bot brain:', e.message);
+        }
+    }
+
+    /**
+     * Forget what the bots learned, in memory and in storage
+     */
+    reset(brain) {
+        brain.resetLearning();
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            // Storage disabled - nothing to remove
+        }
+    }
+
+    /**
+     * Download the brain as a JSON file
+     */
+    exportFile(brain, filename = 'orbio-bot-brain.json') {
+        const data = { ...brain.serialize(), exportedAt: new Date().toISOString() };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a brain from a user-picked JSON file and keep it
+     * @param {File} file
+     * @throws {Error} if the file isn't a supported brain
+     */
+    async importFile(brain, file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+
+        brain.load(data);
+        this.save(brain);
+    }
+}
+
+// Singleton instance
+export const brainStorage = new BrainStorage();
@@ -0,0 +1,75 @@
+/**
+ * Orb Battle.io - Network Manager
+ * Socket.IO client for the authoritative multiplayer server
+ */
+
+class NetworkManager {
+    constructor() {
+        this.socket = null;
+        this.playerId = null;
+        this.lastInput = { x: 0, y: 0, eject: false, split: false, boost: false };
+    }
+
+    /**
+     * Check if the Socket.IO client was served (only when running `npm start`)
+     */
+    isAvailable() {
+        return typeof window !== 'undefined' && typeof window.io === 'function';
+    }
+
+    /**
+     * Connect and join the match
+     * @param {string} playerName
+     * @param {Object} handlers - { welcome, state, gameOver, disconnect }
+     */
+    connect(playerName, handlers = {}) {
+        if (!this.isAvailable()) return false;
+
+        this.disconnect();
+        this.socket = window.io();
+
+        this.socket.on('connect', () => {
+            this.socket.emit('join', { name: playerName });
+        });
+
+        this.socket.on('welcome', (data) => {
+            this.playerId = data.id;
+            handlers.welcome?.(data);
+        });
+
+        this.socket.on('state', (data) => handlers.state?.(data));
+        this.socket.on('gameOver', (data) => handlers.gameOver?.(data));
+        this.socket.on('disconnect', (reason) => handlers.disconnect?.(reason));
+
+        return true;
+    }
+
+    /**
+     * Send movement and action input (only when it changes)
+     */
+    sendInput(input) {
+        if (!this.socket) return;
+
+        const last = this.lastInput;
+        if (Object.keys(last).every(key => input[key] === last[key])) return;
+
+        this.lastInput = { x: input.x, y: input.y, eject: input.eject, split: input.split, boost: input.boost };
+        this.socket.emit('input', this.lastInput);
+    }
+
+    /**
+     * Leave the match
+     */
+    disconnect() {
+        if (this.socket) {
+            this.socket.removeAllListeners();
+            this.socket.disconnect();
+            this.socket = null;
+        }
+        this.playerId = null;
+        this.lastInput = { x: 0, y: 0, eject: false, split: false, boost: false };
+    }
+}
+
+// Singleton instance
+export const networkManager = new NetworkManager();
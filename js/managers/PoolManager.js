@@ -0,0 +1,119 @@
+/**
+ * Orb Battle.io - Pool Manager
+ * Recycles short-lived game objects (orbs, ripples, trail particles, floating
+ * text) so long matches don't keep allocating and garbage collecting them
+ */
+
+import { Orb, TimeOrb, PowerUpOrb } from '../entities/Orb.js';
+import { serializeOrb } from '../core/orbs.js';
+
+/**
+ * Generic free-list pool
+ */
+export class ObjectPool {
+    /**
+     * @param {Object} hooks
+     * @param {Function} hooks.create - (...args) => new object
+     * @param {Function} hooks.reset - (object, ...args) => reinitialize a recycled object
+     * @param {Function} hooks.release - (object) => deactivate an object going back to the pool
+     */
+    constructor({ create, reset, release }) {
+        this.create = create;
+        this.reset = reset;
+        this.onRelease = release;
+        this.free = [];
+    }
+
+    acquire(...args) {
+        const obj = this.free.pop();
+        if (!obj) return this.create(...args);
+
+        this.reset(obj, ...args);
+        return obj;
+    }
+
+    release(obj) {
+        this.onRelease(obj);
+        this.free.push(obj);
+    }
+}
+
+/**
+ * Per-scene pools (objects belong to the scene that created them)
+ */
+export class PoolManager {
+    constructor(scene) {
+        this.scene = scene;
+
+        this.orbs = new ObjectPool({
+            create: (x, y, config) => new Orb(scene, x, y, config),
+            reset: (orb, x, y, config) => orb.reset(x, y, config),
+            release: orb => orb.collect()
+        });
+
+        this.timeOrbs = new ObjectPool({
+            create: (x, y, config) => new TimeOrb(scene, x, y, config),
+            reset: (orb, x, y, config) => orb.reset(x, y, config),
+            release: orb => orb.collect()
+        });
+
+        this.powerUpOrbs = new ObjectPool({
+            create: (x, y, config) => new PowerUpOrb(scene, x, y, config),
+            reset: (orb, x, y, config) => orb.reset(x, y, config),
+            release: orb => orb.collect()
+        });
+
+        // Additive circles used by ripples and trail particles
+        this.circles = new ObjectPool({
+            create: (x, y, radius, color, alpha) => {
+                const circle = scene.add.circle(x, y, radius, color, alpha);
+                circle.setBlendMode(Phaser.BlendModes.ADD);
+                return circle;
+            },
+            reset: (circle, x, y, radius, color, alpha) => {
+                circle.setPosition(x, y);
+                circle.setRadius(radius);
+                circle.setFillStyle(color, alpha);
+                circle.setScale(1).setAlpha(1);
+                circle.setActive(true).setVisible(true);
+            },
+            release: circle => this.hide(circle)
+        });
+
+        this.texts = new ObjectPool({
+            create: (x, y, text, style) => scene.add.text(x, y, text, style).setOrigin(0.5),
+            reset: (label, x, y, text, style) => {
+                label.setPosition(x, y);
+                label.setStyle(style);
+                label.setText(text);
+                label.setScale(1).setAlpha(1);
+                label.setActive(true).setVisible(true);
+            },
+            release: label => this.hide(label)
+        });
+    }
+
+    hide(obj) {
+        this.scene.tweens.killTweensOf(obj);
+        obj.setActive(false).setVisible(false);
+    }
+
+    /**
+     * Get a render object for a simulation orb
+     */
+    acquireOrb(orb) {
+        return this.getOrbPool(orb).acquire(orb.x, orb.y, serializeOrb(orb));
+    }
+
+    releaseOrb(view) {
+        this.getOrbPool(view).release(view);
+    }
+
+    /**
+     * Pool for an orb's kind (orb state and Orb views share the flags)
+     */
+    getOrbPool(orb) {
+        if (orb.powerUp) return this.powerUpOrbs;
+        return orb.isTimeOrb ? this.timeOrbs : this.orbs;
+    }
+}
@@ -32,8 +32,9 @@ class SoundManager {
 
     /**
      * Play a tone with the given parameters
+     * @param {number} [endFrequency] - glide to this frequency over the tone
      */
-    playTone(frequency, duration, type = 'sine', volume = 0.3) {
+    playTone(frequency, duration, type = 'sine', volume = 0.3, endFrequency = null) {
         if (!this.enabled || !this.ctx) return;
         this.resume();
 
@@ -45,6 +46,9 @@ class SoundManager {
 
         oscillator.type = type;
         oscillator.frequency.setValueAtTime(frequency, this.ctx.currentTime);
+        if (endFrequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFrequency, this.ctx.currentTime + duration);
+        }
 
         gainNode.gain.setValueAtTime(volume, this.ctx.currentTime);
         gainNode.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + duration);
@@ -53,6 +57,20 @@ class SoundManager {
         oscillator.stop(this.ctx.currentTime + duration);
     }
 
+    /**
+     * Play a sequence of tones declared as data (dimension audio descriptors)
+     * @param {Array<Array>} tones - [frequency, duration, type, volume, delayMs, endFrequency] each
+     */
+    playTones(tones) {
+        tones.forEach(([frequency, duration, type, volume, delay = 0, endFrequency = null]) => {
+            if (delay > 0) {
+                setTimeout(() => this.playTone(frequency, duration, type, volume, endFrequency), delay);
+            } else {
+                this.playTone(frequency, duration, type, volume, endFrequency);
+            }
+        });
+    }
+
     /**
      * Play decay particle sound
      */
@@ -75,6 +93,44 @@ class SoundManager {
         this.playTone(300, 0.3, 'sawtooth', 0.25);
     }
 
+    /**
+     * Play power-up pickup sound
+     */
+    playPowerUp() {
+        this.playTone(392, 0.12, 'triangle', 0.25, 784);
+        setTimeout(() => this.playTone(784, 0.2, 'sine', 0.25, 1175), 100);
+    }
+
+    /**
+     * Play shield block sound
+     */
+    playShieldBlock() {
+        this.playTone(1200, 0.25, 'square', 0.2, 300);
+        this.playTone(150, 0.3, 'sine', 0.3);
+    }
+
+    /**
+     * Play mass ejection sound
+     */
+    playEject() {
+        this.playTone(600, 0.08, 'triangle', 0.15, 300);
+    }
+
+    /**
+     * Play split sound
+     */
+    playSplit() {
+        this.playTone(440, 0.12, 'square', 0.2, 880);
+        setTimeout(() => this.playTone(660, 0.1, 'sine', 0.2), 60);
+    }
+
+    /**
+     * Play cell merge sound
+     */
+    playMerge() {
+        this.playTone(880, 0.2, 'sine', 0.2, 330);
+    }
+
     /**
      * Play milestone achievement sound
      */
@@ -92,6 +148,24 @@ class SoundManager {
         setTimeout(() => this.playTone(100, 0.5, 'sawtooth', 0.4), 500);
     }
 
+    /**
+     * Play danger zone warning sound - rising siren
+     */
+    playDangerZoneWarning() {
+        this.playTone(440, 0.25, 'triangle', 0.3);
+        setTimeout(() => this.playTone(587, 0.25, 'triangle', 0.3), 250);
+        setTimeout(() => this.playTone(440, 0.25, 'triangle', 0.3), 500);
+        setTimeout(() => this.playTone(587, 0.25, 'triangle', 0.3), 750);
+    }
+
+    /**
+     * Play danger zone activation sound
+     */
+    playDangerZoneActive() {
+        this.playTone(120, 0.4, 'sawtooth', 0.35);
+        setTimeout(() => this.playTone(180, 0.3, 'sawtooth', 0.3), 150);
+    }
+
     /**
      * Play meteor warning sound
      */
@@ -108,6 +182,21 @@ class SoundManager {
         this.playTone(80, 0.4, 'sawtooth', 0.5);
     }
 
+    /**
+     * Play virus hit sound - crunchy burst
+     */
+    playVirusHit() {
+        this.playTone(220, 0.25, 'square', 0.3, 80);
+        setTimeout(() => this.playTone(140, 0.2, 'sawtooth', 0.2), 60);
+    }
+
+    /**
+     * Play virus spawn sound (fed a virus until it split)
+     */
+    playVirusSpawn() {
+        this.playTone(180, 0.2, 'triangle', 0.25, 540);
+    }
+
     /**
      * Play death sound
      */
@@ -4,6 +4,8 @@
  */
 
 import { soundManager } from '../managers/SoundManager.js';
+import { brainStorage } from '../managers/BrainStorage.js';
+import { sharedBotBrain } from '../ai/BotBrain.js';
 
 export class BootScene extends Phaser.Scene {
     constructor() {
@@ -66,6 +68,9 @@ export class BootScene extends Phaser.Scene {
         // Initialize sound manager
         soundManager.init();
 
+        // Bots pick up where they left off last session
+        brainStorage.load(sharedBotBrain);
+
         // Short delay then transition to menu
         this.time.delayedCall(500, () => {
             this.scene.start('MenuScene');
@@ -1,13 +1,19 @@
 /**
  * Orb Battle.io - Game Scene
- * Main gameplay scene with all game mechanics
+ * Renders the match simulation (solo) or server snapshots (multiplayer)
  */
 
-import { CONFIG, getRandomPlayerColor, hexToNumber } from '../config.js';
+import { CONFIG, hexToNumber } from '../config.js';
 import { Player } from '../entities/Player.js';
-import { Bot, createBots } from '../entities/Bot.js';
-import { Orb, createOrbs, createOrb, createDimensionOrbs } from '../entities/Orb.js';
 import { soundManager } from '../managers/SoundManager.js';
+import { networkManager } from '../managers/NetworkManager.js';
+import { PoolManager } from '../managers/PoolManager.js';
+import { brainStorage } from '../managers/BrainStorage.js';
+import { Simulation } from '../core/Simulation.js';
+import { deserializeOrb } from '../core/orbs.js';
+import { FixedTimestep } from '../core/FixedTimestep.js';
+import { getDimension } from '../core/dimensions/index.js';
+import { sharedBotBrain } from '../ai/BotBrain.js';
 
 export class GameScene extends Phaser.Scene {
     constructor() {
@@ -20,19 +26,26 @@ export class GameScene extends Phaser.Scene {
     }
 
     init(data) {
-        this.gameMode = 'solo'; // Static single-player mode only
+        this.gameMode = data.mode === 'multiplayer' ? 'multiplayer' : 'solo';
         this.playerName = data.playerName || 'Player';
+        this.difficulty = CONFIG.DIFFICULTY[data.difficulty] ? data.difficulty : CONFIG.DEFAULT_DIFFICULTY;
 
         // Game state
         this.gameRunning = false;
         this.gameStartTime = 0;
         this.remainingTime = CONFIG.TIMED_MODE?.gameDuration || CONFIG.GAME_DURATION; // Countdown timer
+        this.sim = null;
+        this.timestep = new FixedTimestep();
+        this.localId = null;
         this.localPlayer = null;
-        this.players = [];
-        this.bots = [];
-        this.orbs = [];
+        this.leaderboard = [];
 
-        // World dimensions
+        // Render objects keyed by simulation id
+        this.entityViews = new Map();
+        this.orbViews = new Map();
+
+        // World dimensions of the space being rendered
+        this.spaceId = undefined;
         this.worldWidth = CONFIG.WORLD_WIDTH;
         this.worldHeight = CONFIG.WORLD_HEIGHT;
 
@@ -42,56 +55,48 @@ export class GameScene extends Phaser.Scene {
             orbsCollected: 0,
             playersAbsorbed: 0,
             timeOrbsCollected: 0,
-            timeAdded: 0
+            timeAdded: 0,
+            eatenByHunter: 0
         };
 
-        // Dimensional rift state
+        // Boost meter and active power-ups (mirrored from the simulation for the HUD)
+        this.stamina = CONFIG.BOOST.maxStamina;
+        this.boosting = false;
+        this.powerUps = []; // [{ type, timeLeft }]
+
+        // Dimensional rift state (mirrored from the simulation for the HUD)
         this.currentDimension = null;
         this.dimensionTimer = 0;
         this.riftCooldown = 0;
         this.isInvulnerable = false;
-        this.invulnTimer = 0;
-        this.mainWorldState = null;
-        this.dimensionOrbs = [];
-        this.dimensionBots = [];
-        this.mazeWalls = [];
+        this.dimensionBanner = null; // Dimension HUD banner { text, alert }
         this.mazeWallGraphics = null;
+        this.wellGraphics = null; // Void gravity wells (container)
         this.rifts = [];
         this.riftStats = {
             riftsUsed: 0,
-            dimensionOrbs: 0
+            dimensionOrbs: 0,
+            dimensions: {}
         };
 
-        // Environmental hazards
-        this.predator = null;
-        this.predatorWarning = null;
-        this.predatorCooldown = 0;
+        // Main-world hazards (mirrored from the simulation for rendering and the HUD)
         this.dangerZone = null;
-        this.dangerZoneTimer = 0;
-        this.meteors = [];
-        this.meteorTimer = 0;
-        this.gauntlets = [];
+        this.inDangerZone = false;
+        this.hazardGraphics = null;
+        this.virusViews = new Map(); // Virus graphics keyed by id
 
         // Effects
-        this.milestoneReached = [];
-        this.killStreak = { count: 0, lastKillTime: 0 };
         this.screenShake = { intensity: 0, duration: 0 };
         this.notifications = [];
 
         // Network
-        this.lastMoveUpdate = 0;
-        this.lastUpdateTime = Date.now();
-
-        // Combo system
-        this.combo = {
-            count: 0,
-            timer: 0,
-            lastTier: -1,
-            multiplier: 1.0
-        };
+        this.netState = null;
     }
 
     create() {
+        // Recycled render objects (orbs, ripples, trails)
+        this.pools = new PoolManager(this);
+
         // Set world bounds
         this.cameras.main.setBounds(0, 0, this.worldWidth, this.worldHeight);
         this.cameras.main.setBackgroundColor(0x1a1d2e);
@@ -99,9 +104,6 @@ export class GameScene extends Phaser.Scene {
         // Create grid background
         this.createGrid();
 
-        // Initialize solo game
-        this.initSoloGame();
-
         // Setup input
         this.setupInput();
 
@@ -110,10 +112,17 @@ export class GameScene extends Phaser.Scene {
             gameScene: this
         });
 
-        // Start game loop
-        this.gameRunning = true;
-        this.gameStartTime = Date.now();
-        this.lastUpdateTime = Date.now(); // Reset timer tracking when game actually starts
+        if (this.gameMode === 'multiplayer') {
+            // Game loop starts when the server welcomes us
+            this.initMultiplayerGame();
+        } else {
+            // Initialize solo game
+            this.initSoloGame();
+
+            // Start game loop
+            this.gameRunning = true;
+            this.gameStartTime = Date.now();
+        }
 
         // Initialize sound
         soundManager.init();
@@ -124,7 +133,16 @@ export class GameScene extends Phaser.Scene {
      */
     createGrid() {
         this.gridGraphics = this.add.graphics();
-        this.gridGraphics.lineStyle(1, 0x252836, 1);
+        this.gridGraphics.setDepth(0);
+        this.drawGrid(0x252836, 1);
+    }
+
+    /**
+     * Redraw the grid for the current world size
+     */
+    drawGrid(color, alpha) {
+        this.gridGraphics.clear();
+        this.gridGraphics.lineStyle(1, color, alpha);
 
         for (let x = 0; x <= this.worldWidth; x += CONFIG.GRID_SIZE) {
             this.gridGraphics.lineBetween(x, 0, x, this.worldHeight);
@@ -133,47 +151,24 @@ export class GameScene extends Phaser.Scene {
         for (let y = 0; y <= this.worldHeight; y += CONFIG.GRID_SIZE) {
             this.gridGraphics.lineBetween(0, y, this.worldWidth, y);
         }
-
-        this.gridGraphics.setDepth(0);
     }
 
     /**
      * Initialize solo mode
      */
     initSoloGame() {
+        this.sim = new Simulation({ difficulty: this.difficulty });
+        this.sim.start();
 
         // Create local player
+        this.localId = 'local';
+        this.sim.addPlayer({
+            id: this.localId,
+            name: this.playerName
+        }, this.sim.worldWidth / 2, this.sim.worldHeight / 2);
 
-
-        this.localPlayer = new Player(this, this.worldWidth / 2, this.worldHeight / 2, {
-            id: 'local',
-            name: this.playerName,
-            color: getRandomPlayerColor(),
-            isLocal: true
-        });
-
-        this.players.push(this.localPlayer);
-
-        // Create bots
-        this.bots = createBots(this, CONFIG.BOT_COUNT);
-
-        // Create orbs
-        this.orbs = createOrbs(this, CONFIG.INITIAL_ORB_COUNT);
-
-        // Set entity references for bots (for AI threat/prey detection)
-        this.bots.forEach(bot => {
-            bot.setOrbs(this.orbs);
-            bot.setPlayers(this.players);
-            bot.setOtherBots(this.bots);
-        });
-
-        // Create rifts
-        this.createRifts();
-
-        // Initialize hazards (delayed start)
-        this.predatorCooldown = Date.now() + 10000;
-        this.dangerZoneTimer = Date.now() + 15000;
-        this.meteorTimer = Date.now() + 20000;
+        this.createRifts(this.sim.rifts);
+        this.renderState(this.getSimState(), true);
 
         // Setup camera to follow player
         this.cameras.main.startFollow(this.localPlayer, true, 0.1, 0.1);
@@ -181,25 +176,15 @@ export class GameScene extends Phaser.Scene {
         this.cameras.main.scrollY = this.localPlayer.y - this.cameras.main.height / 2;
     }
 
-
-
     /**
      * Setup input handlers
      */
     setupInput() {
-        // Create cursor keys (Arrow keys)
-        this.cursors = this.input.keyboard.createCursorKeys();
-
-        // Create WASD keys
-        this.wasd = {
-            up: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.W),
-            down: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.S),
-            left: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.A),
-            right: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.D)
-        };
-
-        // Track movement direction
-        this.moveDirection = { x: 0, y: 0 };
+        // Keys for each movement direction and action (CONFIG.CONTROLS)
+        this.controls = {};
+        Object.entries(CONFIG.CONTROLS).forEach(([action, keys]) => {
+            this.controls[action] = keys.map(key => this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[key]));
+        });
 
         // Resume sound on any key press
         this.input.keyboard.on('keydown', () => {
@@ -207,29 +192,16 @@ export class GameScene extends Phaser.Scene {
         });
     }
 
-
-
     /**
-     * Create dimensional rifts
+     * Create rift visuals from simulation rift data
      */
-    createRifts() {
-        const positions = [
-            { x: this.worldWidth * 0.2, y: this.worldHeight * 0.2 },
-            { x: this.worldWidth * 0.8, y: this.worldHeight * 0.2 },
-            { x: this.worldWidth * 0.2, y: this.worldHeight * 0.8 },
-            { x: this.worldWidth * 0.8, y: this.worldHeight * 0.8 }
-        ];
-
-        const dimensionTypes = Object.keys(CONFIG.DIMENSIONS);
-
-        for (let i = 0; i < CONFIG.RIFT.count; i++) {
-            const pos = positions[i];
+    createRifts(rifts) {
+        rifts.forEach(data => {
             const rift = {
-                id: 'rift_' + i,
-                x: pos.x + (Math.random() - 0.5) * 200,
-                y: pos.y + (Math.random() - 0.5) * 200,
-                dimensionType: dimensionTypes[i],
-                pulsePhase: Math.random() * Math.PI * 2,
+                id: data.id,
+                x: data.x,
+                y: data.y,
+                dimensionType: data.dimensionType,
                 graphics: null
             };
 
@@ -238,14 +210,16 @@ export class GameScene extends Phaser.Scene {
             this.updateRiftGraphics(rift);
 
             this.rifts.push(rift);
-        }
+        });
     }
 
     /**
      * Update rift visual
      */
     updateRiftGraphics(rift) {
-        const config = CONFIG.DIMENSIONS[rift.dimensionType];
+        const definition = getDimension(rift.dimensionType);
+        const config = definition.config;
+        const style = definition.hud.rift || {};
         const canEnter = this.riftCooldown <= 0;
 
         // Clear existing graphics
@@ -255,8 +229,9 @@ export class GameScene extends Phaser.Scene {
         const glow = this.add.circle(0, 0, CONFIG.RIFT.radius * 1.8, config.color, canEnter ? 0.3 : 0.1);
         rift.graphics.add(glow);
 
-        // Core
-        const core = this.add.circle(0, 0, CONFIG.RIFT.radius * 0.4, config.color, 1);
+        // Core (optionally in its own colour, ringed in the dimension's)
+        const core = this.add.circle(0, 0, CONFIG.RIFT.radius * 0.4, style.coreColor ?? config.color, 1);
+        if (style.ring) core.setStrokeStyle(3, config.color, 1);
         rift.graphics.add(core);
 
         // Label
@@ -288,36 +263,31 @@ export class GameScene extends Phaser.Scene {
     update(time, delta) {
         if (!this.gameRunning) return;
 
-        // Calculate delta time for countdown
-        const now = Date.now();
-        const deltaMs = now - this.lastUpdateTime;
-        this.lastUpdateTime = now;
-
-        // Countdown timer (timed mode)
-        this.remainingTime -= deltaMs;
-        if (this.remainingTime <= 0) {
-            this.remainingTime = 0;
-            this.endGame();
+        // Server-authoritative match: only send input and render state
+        if (this.gameMode === 'multiplayer') {
+            this.updateMultiplayerGame(time, delta);
             return;
         }
 
-        // Update dimension timers
-        this.updateDimensionTimers(delta);
+        // Advance the simulation in fixed ticks with the local player's input
+        const inputs = { [this.localId]: this.getKeyboardInput() };
+        const ticks = this.timestep.advance(delta, dt => {
+            this.sim.step(dt, inputs);
+            this.handleSimEvents(this.sim.drainEvents());
+        });
+        if (!this.gameRunning) return;
 
-        // Update local player (animation/physics)
-        if (this.localPlayer) {
-            this.localPlayer.update(time, delta);
+        if (ticks > 0) {
+            this.renderState(this.getSimState(), true);
         }
 
-        // Update solo game
-        this.updateSoloGame(time, delta);
+        // Smooth movement between ticks on high refresh rate displays
+        const alpha = this.timestep.alpha;
+        this.entityViews.forEach(view => view.renderInterpolated(alpha));
 
         // Update environment visual effects based on player size
         this.updateEnvironmentEffects();
 
-        // Update combo timer
-        this.updateCombo(deltaMs);
-
         // Update screen shake
         this.updateScreenShake();
 
@@ -326,683 +296,324 @@ export class GameScene extends Phaser.Scene {
     }
 
     /**
-     * Get keyboard movement direction from WASD and Arrow keys
+     * Whether any key bound to a control is down
      */
-    getKeyboardDirection() {
-        let dx = 0;
-        let dy = 0;
-
-        // Check WASD and Arrow keys
-        if (this.cursors.left.isDown || this.wasd.left.isDown) dx -= 1;
-        if (this.cursors.right.isDown || this.wasd.right.isDown) dx += 1;
-        if (this.cursors.up.isDown || this.wasd.up.isDown) dy -= 1;
-        if (this.cursors.down.isDown || this.wasd.down.isDown) dy += 1;
-
-        return { x: dx, y: dy };
+    isControlDown(action) {
+        return this.controls[action].some(key => key.isDown);
     }
 
     /**
-     * Update solo game
+     * Movement direction and held action keys from the keyboard
      */
-    updateSoloGame(time, delta) {
-        if (!this.localPlayer) return;
-
-        // Handle respawns
-        this.handleRespawns();
-
-        // Skip if dead
-        if (!this.localPlayer.alive) return;
-
-        // Get current world size
-        const worldSize = this.getCurrentWorldSize();
-        const speedMult = this.getDimensionSpeedMultiplier();
-
-        // Get keyboard direction and move player
-        const dir = this.getKeyboardDirection();
-        if (dir.x !== 0 || dir.y !== 0) {
-            this.localPlayer.moveInDirection(dir.x, dir.y, speedMult);
-            this.localPlayer.clampToWorld(worldSize.width, worldSize.height);
-        }
+    getKeyboardInput() {
+        let dx = 0;
+        let dy = 0;
 
-        // Dimension-specific updates
-        if (this.currentDimension) {
-            this.updateDimensionBots(delta);
-            this.checkDimensionCollisions();
-            this.checkMazeWallCollisions(); // Check maze wall collisions for MIRROR_MAZE
-            this.applyDimensionDecay();
-        } else {
-            // Main world updates
-            this.checkRiftEntry();
-            this.updateBots(delta);
-            this.checkCollisions();
-            this.updatePredator(delta);
-            this.updateDangerZone(delta);
-            this.updateMeteors(delta);
-            // this.applyMassDecay(); // Disabled per user request
-            this.checkMilestones();
-        }
+        if (this.isControlDown('left')) dx -= 1;
+        if (this.isControlDown('right')) dx += 1;
+        if (this.isControlDown('up')) dy -= 1;
+        if (this.isControlDown('down')) dy += 1;
+
+        return {
+            x: dx,
+            y: dy,
+            eject: this.isControlDown('eject'),
+            split: this.isControlDown('split'),
+            boost: this.isControlDown('boost')
+        };
     }
 
-
+    // ========================================
+    // RENDERING
+    // ========================================
 
     /**
-     * Update bots (solo mode)
+     * Snapshot of what the local player sees in the solo simulation
+     * (same shape as a server 'state' message)
      */
-    updateBots(delta) {
-        this.bots.forEach(bot => {
-            if (!bot.alive) return;
-
-            bot.update(this.time.now, delta, this.worldWidth, this.worldHeight);
-
-            // Check bot orb collection
-            for (let i = this.orbs.length - 1; i >= 0; i--) {
-                const orb = this.orbs[i];
-                if (orb.canCollect(bot)) {
-                    // Bot collects orb
-                    bot.grow(orb.getSizeGain());
-                    bot.addScore(orb.getValue());
-
-                    // Trigger AI reward for learning
-                    if (bot.onOrbCollected) {
-                        bot.onOrbCollected();
-                    }
-
-                    // Remove and respawn orb
-                    orb.collect();
-                    this.orbs.splice(i, 1);
-                    this.orbs.push(createOrb(this, this.worldWidth, this.worldHeight));
-                }
-            }
-        });
+    getSimState() {
+        const player = this.sim.getPlayer(this.localId);
+        const space = this.sim.getSpace(player);
+
+        return {
+            remainingTime: this.sim.remainingTime,
+            space: space,
+            players: space.entities.map(e => e.serialize()),
+            orbs: space.orbs,
+            status: this.sim.getPlayerStatus(player),
+            hazards: this.sim.getHazards(player),
+            leaderboard: this.sim.getLeaderboard()
+        };
     }
 
     /**
-     * Update dimension bots
+     * Reconcile render objects with a state snapshot
+     * @param {boolean} direct - place entities exactly (solo) instead of interpolating (network)
      */
-    updateDimensionBots(delta) {
-        const config = CONFIG.DIMENSIONS[this.currentDimension];
-        const worldSize = config.worldSize;
-        const speedMult = config.speedMult;
-
-        this.dimensionBots.forEach(bot => {
-            if (!bot.alive) return;
-
-            // Simple AI - chase orbs or wander
-            const now = Date.now();
-            if (now > bot.changeTargetTime) {
-                if (Math.random() < 0.7 && this.dimensionOrbs.length > 0) {
-                    // Target nearest orb
-                    let nearest = null;
-                    let nearestDist = Infinity;
-                    this.dimensionOrbs.forEach(orb => {
-                        const dx = orb.x - bot.x;
-                        const dy = orb.y - bot.y;
-                        const dist = dx * dx + dy * dy;
-                        if (dist < nearestDist) {
-                            nearestDist = dist;
-                            nearest = orb;
-                        }
-                    });
-                    if (nearest) {
-                        bot.targetX = nearest.x;
-                        bot.targetY = nearest.y;
-                    }
-                } else {
-                    bot.targetX = Math.random() * worldSize;
-                    bot.targetY = Math.random() * worldSize;
-                }
-                bot.changeTargetTime = now + 1000 + Math.random() * 2000;
-            }
+    renderState(state, direct) {
+        this.remainingTime = state.remainingTime;
+        this.leaderboard = state.leaderboard;
 
-            // Move
-            const speed = Math.max(1.5, 6 - bot.playerSize * 0.04) * speedMult;
-            const dx = bot.targetX - bot.x;
-            const dy = bot.targetY - bot.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-
-            if (dist > 5) {
-                bot.x += (dx / dist) * speed;
-                bot.y += (dy / dist) * speed;
-                bot.x = Phaser.Math.Clamp(bot.x, bot.playerSize, worldSize - bot.playerSize);
-                bot.y = Phaser.Math.Clamp(bot.y, bot.playerSize, worldSize - bot.playerSize);
-            }
+        if (state.space.id !== this.spaceId) {
+            this.enterSpace(state.space);
+        }
 
-            // Dimension bot orb collection
-            for (let i = this.dimensionOrbs.length - 1; i >= 0; i--) {
-                const orb = this.dimensionOrbs[i];
-                if (orb.canCollect(bot)) {
-                    bot.grow(1.5);
-                    orb.collect();
-                    this.dimensionOrbs.splice(i, 1);
-
-                    // Respawn orb in dimension
-                    const newOrb = new Orb(this,
-                        Math.random() * config.worldSize,
-                        Math.random() * config.worldSize,
-                        {
-                            id: 'dim_orb_' + Date.now(),
-                            color: config.colorHex,
-                            bonus: config.orbBonus,
-                            isSpecial: true,
-                            specialType: 'dimension'
-                        }
-                    );
-                    this.dimensionOrbs.push(newOrb);
-                }
-            }
-        });
+        this.syncEntities(state.players, direct);
+        this.syncOrbs(state.orbs);
+        this.applyStatus(state.status);
+        this.syncHazards(state.hazards);
     }
 
     /**
-     * Check collisions (solo mode)
+     * Create, update and remove entity views
      */
-    checkCollisions() {
-        const player = this.localPlayer;
-        if (!player || !player.alive) return;
-
-        // Check orb collection
-        for (let i = this.orbs.length - 1; i >= 0; i--) {
-            const orb = this.orbs[i];
-            if (orb.canCollect(player)) {
-                // Update combo
-                this.incrementCombo();
-
-                // Check if this is a time orb
-                if (orb.isTimeOrb) {
-                    // Add time bonus
-                    const timeBonus = orb.getTimeBonus ? orb.getTimeBonus() : CONFIG.TIME_ORB.timeBonus;
-                    this.remainingTime += timeBonus;
-                    this.stats.timeOrbsCollected++;
-                    this.stats.timeAdded += timeBonus;
-
-                    // Show time added effect
-                    this.showTimeAddedEffect(orb.x, orb.y, timeBonus);
-                    soundManager.playTimeCollect ? soundManager.playTimeCollect() : soundManager.playMilestone();
-                } else {
-                    // Play combo collection sound (rising pitch)
-                    soundManager.playComboCollect(this.combo.count);
-                }
-
-                // Collect orb (size + score with combo multiplier)
-                player.grow(orb.getSizeGain());
-                const baseScore = orb.getValue();
-                const comboScore = Math.floor(baseScore * this.combo.multiplier);
-                player.addScore(comboScore);
-                this.stats.score = player.score;
-                this.stats.orbsCollected++;
-
-                // Show absorbed orb effect
-                if (player.showAbsorbedOrb) {
-                    player.showAbsorbedOrb(orb.orbColor, orb.orbSize);
-                }
-
-                // Create ripple effect at collection point (scaled by combo)
-                this.createRippleEffect(orb.x, orb.y, player.playerSize, this.combo.count);
-
-                // Remove and respawn orb
-                orb.collect();
-                this.orbs.splice(i, 1);
-                this.orbs.push(createOrb(this, this.worldWidth, this.worldHeight));
+    syncEntities(entities, direct) {
+        const seen = new Set();
+
+        entities.forEach(data => {
+            seen.add(data.id);
+
+            let view = this.entityViews.get(data.id);
+            if (!view) {
+                view = new Player(this, data.x, data.y, {
+                    id: data.id,
+                    name: data.name,
+                    color: data.color,
+                    size: data.size,
+                    score: data.score,
+                    isBot: data.isBot,
+                    isPhantom: data.isPhantom,
+                    isLocal: data.id === this.localId
+                });
+                this.entityViews.set(data.id, view);
+                if (view.isLocal) this.localPlayer = view;
             }
-        }
-
-        // Check entity collisions
-        const allEntities = [...this.players.filter(p => p.alive), ...this.bots.filter(b => b.alive)];
-
-        for (let i = 0; i < allEntities.length; i++) {
-            for (let j = i + 1; j < allEntities.length; j++) {
-                const a = allEntities[i];
-                const b = allEntities[j];
-
-                const result = a.checkCollision(b);
 
-                if (result === 'absorb') {
-                    // Check invulnerability
-                    if (b === this.localPlayer && this.isInvulnerable) continue;
-                    this.absorbEntity(a, b);
-                } else if (result === 'absorbed') {
-                    // Check invulnerability
-                    if (a === this.localPlayer && this.isInvulnerable) continue;
-                    this.absorbEntity(b, a);
-                }
+            if (direct) {
+                view.syncState(data);
+            } else {
+                view.deserialize(data);
             }
-        }
+        });
+
+        // Remove entities that left this space
+        this.entityViews.forEach((view, id) => {
+            if (seen.has(id)) return;
+            view.destroy();
+            this.entityViews.delete(id);
+        });
     }
 
     /**
-     * Check dimension collisions
+     * Create and remove orb views
      */
-    checkDimensionCollisions() {
-        const player = this.localPlayer;
-        if (!player || !player.alive) return;
-
-        const config = CONFIG.DIMENSIONS[this.currentDimension];
-
-        // Check orb collection
-        for (let i = this.dimensionOrbs.length - 1; i >= 0; i--) {
-            const orb = this.dimensionOrbs[i];
-            if (orb.canCollect(player)) {
-                const points = Math.floor(CONFIG.ORB_VALUE * (orb.bonus || config.orbBonus));
-                player.grow(1.5);
-                player.addScore(points);
-                this.stats.score = player.score;
-                this.stats.orbsCollected++;
-                this.riftStats.dimensionOrbs++;
-
-                // Remove and respawn
-                orb.collect();
-                this.dimensionOrbs.splice(i, 1);
-
-                const newOrb = new Orb(this,
-                    Math.random() * config.worldSize,
-                    Math.random() * config.worldSize,
-                    {
-                        id: 'dim_orb_' + Date.now(),
-                        color: config.colorHex,
-                        bonus: config.orbBonus,
-                        isSpecial: true,
-                        specialType: 'dimension'
-                    }
-                );
-                this.dimensionOrbs.push(newOrb);
+    syncOrbs(orbs) {
+        const seen = new Set();
 
-                soundManager.playCollect();
-            }
-        }
+        orbs.forEach(orb => {
+            seen.add(orb.id);
 
-        // Check bot collisions with player
-        this.dimensionBots.forEach(bot => {
-            if (!bot.alive) return;
-
-            const result = player.checkCollision(bot);
-
-            if (result === 'absorb') {
-                // Player absorbs bot
-                bot.die();
-                player.grow(bot.playerSize * CONFIG.ABSORPTION_SIZE_GAIN);
-                player.addScore(CONFIG.ABSORPTION_BASE_SCORE);
-                this.stats.score = player.score;
-                this.stats.playersAbsorbed++;
-                soundManager.playAbsorb();
-                this.registerKill();
-            } else if (result === 'absorbed' && !this.isInvulnerable) {
-                // Bot absorbs player - mark as dead then exit dimension
-                player.die();
-                this.exitDimension(true);
-                return; // Exit early since we're leaving the dimension
+            const view = this.orbViews.get(orb.id);
+            if (!view) {
+                this.orbViews.set(orb.id, this.pools.acquireOrb(orb));
+            } else if (view.x !== orb.x || view.y !== orb.y) {
+                view.setPosition(orb.x, orb.y);
             }
         });
 
-        // Check bot-bot collisions in dimension
-        for (let i = 0; i < this.dimensionBots.length; i++) {
-            for (let j = i + 1; j < this.dimensionBots.length; j++) {
-                const a = this.dimensionBots[i];
-                const b = this.dimensionBots[j];
-                if (!a.alive || !b.alive) continue;
-
-                const result = a.checkCollision(b);
-                if (result === 'absorb') {
-                    b.die();
-                    a.grow(b.playerSize * CONFIG.ABSORPTION_SIZE_GAIN);
-                } else if (result === 'absorbed') {
-                    a.die();
-                    b.grow(a.playerSize * CONFIG.ABSORPTION_SIZE_GAIN);
-                }
-            }
-        }
+        this.orbViews.forEach((view, id) => {
+            if (seen.has(id)) return;
+            this.pools.releaseOrb(view);
+            this.orbViews.delete(id);
+        });
     }
 
     /**
-     * Absorb entity
+     * Mirror the local player's status for the HUD
      */
-    absorbEntity(absorber, absorbed) {
-        // Safety checks to prevent issues
-        if (!absorber || !absorbed) return;
-        if (!absorber.alive || !absorbed.alive) return;
-
-        absorbed.die();
-
-        const sizeRatio = absorbed.playerSize / absorber.playerSize;
-        let scoreGain = Math.floor(CONFIG.ABSORPTION_BASE_SCORE * sizeRatio);
-
-        // Kill streak for local player
-        if (absorber === this.localPlayer) {
-            const multiplier = this.registerKill();
-            scoreGain = Math.floor(scoreGain * multiplier);
-            this.stats.playersAbsorbed++;
-            soundManager.playAbsorb();
-            this.triggerScreenShake(5, 10);
-        }
-
-        // Bot AI rewards - absorber gets kill reward
-        if (absorber.isBot && absorber.onKill) {
-            absorber.onKill();
-        }
-
-        // Bot AI penalties - absorbed gets death penalty
-        if (absorbed.isBot && absorbed.onDeath) {
-            absorbed.onDeath();
-        }
-
-        absorber.grow(absorbed.playerSize * CONFIG.ABSORPTION_SIZE_GAIN);
-        absorber.addScore(scoreGain);
-
-        if (absorber === this.localPlayer) {
-            this.stats.score = absorber.score;
-        }
-
-        // Death effects for local player
-        if (absorbed === this.localPlayer) {
-            soundManager.playDeath();
-            this.triggerScreenShake(12, 25);
-            this.showNotification('💀 ABSORBED!', '#ef4444');
+    applyStatus(status) {
+        this.stats = { score: status.score, ...status.stats };
+        this.riftStats = status.riftStats;
+        this.currentDimension = status.dimensionType;
+        this.dimensionTimer = status.dimensionTimer;
+        this.riftCooldown = status.riftCooldown;
+        this.stamina = status.stamina;
+        this.boosting = status.boosting;
+        this.powerUps = status.powerUps;
+        this.inDangerZone = status.inDangerZone;
+        this.dimensionBanner = status.dimensionBanner;
+
+        if (status.isInvulnerable !== this.isInvulnerable) {
+            this.isInvulnerable = status.isInvulnerable;
+            this.localPlayer?.setInvulnerable(this.isInvulnerable);
         }
     }
 
     /**
-     * Handle respawns
+     * Draw main-world hazards (danger zone outline while warned, filled while active;
+     * meteor target circles that fill up until impact; viruses)
      */
-    handleRespawns() {
-        const now = Date.now();
-        const worldSize = this.getCurrentWorldSize();
-
-        // Respawn players
-        this.players.forEach(player => {
-            if (!player.alive && player.respawnTime && now > player.respawnTime) {
-                player.respawn(
-                    Math.random() * worldSize.width,
-                    Math.random() * worldSize.height,
-                    worldSize.width,
-                    worldSize.height
-                );
-
-                if (player.isLocal) {
-                    soundManager.playRespawn();
-                    this.showNotification('🔄 RESPAWNED!', '#86efac');
-                }
-            }
-        });
+    syncHazards(hazards) {
+        this.dangerZone = hazards.dangerZone;
+        this.syncViruses(hazards.viruses);
 
-        // Respawn bots (main world only)
-        if (this.currentDimension === null) {
-            this.bots.forEach(bot => {
-                if (!bot.alive && bot.respawnTime && now > bot.respawnTime) {
-                    bot.respawn(undefined, undefined, this.worldWidth, this.worldHeight);
-                }
-            });
-        } else {
-            // Respawn dimension bots
-            const config = CONFIG.DIMENSIONS[this.currentDimension];
-            this.dimensionBots.forEach(bot => {
-                if (!bot.alive && bot.respawnTime && now > bot.respawnTime) {
-                    bot.respawn(
-                        Math.random() * config.worldSize,
-                        Math.random() * config.worldSize,
-                        config.worldSize,
-                        config.worldSize
-                    );
-                }
-            });
+        if (!this.hazardGraphics) {
+            this.hazardGraphics = this.add.graphics();
+            this.hazardGraphics.setDepth(1);
         }
-    }
+        this.hazardGraphics.clear();
 
-    /**
-     * Apply mass decay
-     */
-    applyMassDecay() {
-        const allEntities = [...this.players.filter(p => p.alive), ...this.bots.filter(b => b.alive)];
+        hazards.meteors.forEach(meteor => this.drawMeteorTarget(meteor));
 
-        allEntities.forEach(entity => {
-            if (entity.playerSize <= CONFIG.DECAY.minSize) return;
+        const zone = this.dangerZone;
+        if (!zone) return;
 
-            const sizeRatio = entity.playerSize / CONFIG.DECAY.minSize;
-            const decayRate = CONFIG.DECAY.baseRate * (1 + (sizeRatio - 1) * CONFIG.DECAY.sizeMultiplier);
-
-            entity.setSize(entity.playerSize - decayRate);
-        });
+        if (zone.phase === 'warning') {
+            // Blinking outline until it activates
+            const blink = 0.4 + Math.abs(Math.sin(Date.now() / 150)) * 0.6;
+            this.hazardGraphics.lineStyle(4, 0xef4444, blink);
+            this.hazardGraphics.strokeCircle(zone.x, zone.y, zone.radius);
+            this.hazardGraphics.fillStyle(0xef4444, 0.05);
+            this.hazardGraphics.fillCircle(zone.x, zone.y, zone.radius);
+        } else {
+            const pulse = 0.15 + Math.sin(Date.now() / 300) * 0.05;
+            this.hazardGraphics.fillStyle(0xdc2626, pulse);
+            this.hazardGraphics.fillCircle(zone.x, zone.y, zone.radius);
+            this.hazardGraphics.lineStyle(3, 0xef4444, 0.9);
+            this.hazardGraphics.strokeCircle(zone.x, zone.y, zone.radius);
+        }
     }
 
     /**
-     * Apply dimension decay
+     * Telegraphed meteor impact circle
      */
-    applyDimensionDecay() {
-        if (!this.localPlayer || !this.localPlayer.alive) return;
-        if (this.localPlayer.playerSize <= CONFIG.DECAY.minSize) return;
+    drawMeteorTarget(meteor) {
+        const g = this.hazardGraphics;
+        const progress = 1 - meteor.timeLeft / CONFIG.METEOR.warningDuration;
+        const blink = 0.5 + Math.abs(Math.sin(Date.now() / 100)) * 0.5;
 
-        const config = CONFIG.DIMENSIONS[this.currentDimension];
-        if (!config) return;
+        g.fillStyle(0xf97316, 0.1 + progress * 0.2);
+        g.fillCircle(meteor.x, meteor.y, meteor.radius * progress);
 
-        const decayMult = config.decayMult || 1;
-        const sizeRatio = this.localPlayer.playerSize / CONFIG.DECAY.minSize;
-        const decayRate = CONFIG.DECAY.baseRate * decayMult * (1 + (sizeRatio - 1) * CONFIG.DECAY.sizeMultiplier);
+        g.lineStyle(3, 0xf97316, blink);
+        g.strokeCircle(meteor.x, meteor.y, meteor.radius);
 
-        this.localPlayer.setSize(this.localPlayer.playerSize - decayRate);
+        // Crosshair
+        g.lineStyle(2, 0xfdba74, blink);
+        g.lineBetween(meteor.x - meteor.radius * 0.3, meteor.y, meteor.x + meteor.radius * 0.3, meteor.y);
+        g.lineBetween(meteor.x, meteor.y - meteor.radius * 0.3, meteor.x, meteor.y + meteor.radius * 0.3);
     }
 
     /**
-     * Check milestone achievements
+     * Create, move, resize and remove virus views
      */
-    checkMilestones() {
-        if (!this.localPlayer) return;
+    syncViruses(viruses) {
+        const seen = new Set();
 
-        CONFIG.MILESTONES.forEach(milestone => {
-            if (!this.milestoneReached.includes(milestone.size) && this.localPlayer.playerSize >= milestone.size) {
-                this.milestoneReached.push(milestone.size);
-                this.localPlayer.addScore(milestone.bonus);
-                this.stats.score = this.localPlayer.score;
+        viruses.forEach(virus => {
+            seen.add(virus.id);
 
-                this.showNotification(`🏆 ${milestone.name}`, '#fbbf24');
-                soundManager.playMilestone();
-                this.triggerScreenShake(5, 15);
+            let view = this.virusViews.get(virus.id);
+            if (!view) {
+                view = this.add.graphics();
+                this.tweens.add({ targets: view, angle: 360, duration: 20000, repeat: -1 });
+                this.virusViews.set(virus.id, view);
             }
+            if (view.virusSize !== virus.size) this.drawVirus(view, virus.size);
+            view.setPosition(virus.x, virus.y);
+        });
+
+        this.virusViews.forEach((view, id) => {
+            if (seen.has(id)) return;
+            this.tweens.killTweensOf(view);
+            view.destroy();
+            this.virusViews.delete(id);
         });
     }
 
     /**
-     * Register a kill for streak tracking
+     * Spiky virus body around the view's origin, at a depth matching its size
+     * (like players), so anything smaller passes underneath it
      */
-    registerKill() {
-        const now = Date.now();
-
-        if (now - this.killStreak.lastKillTime < CONFIG.STREAK.window) {
-            this.killStreak.count++;
-        } else {
-            this.killStreak.count = 1;
-        }
-        this.killStreak.lastKillTime = now;
-
-        // Check for streak bonuses
-        const bonus = CONFIG.STREAK.bonuses.find(b => b.kills === this.killStreak.count);
-        if (bonus) {
-            this.showNotification(`🔥 ${bonus.name}`, '#f97316');
-            soundManager.playKillStreak(this.killStreak.count);
-            this.triggerScreenShake(8, 20);
-            return bonus.multiplier;
+    drawVirus(view, size) {
+        const config = CONFIG.VIRUS;
+        const points = [];
+        for (let i = 0; i < config.spikes * 2; i++) {
+            const angle = (i * Math.PI) / config.spikes;
+            const radius = i % 2 === 0 ? size * 1.08 : size * 0.9;
+            points.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
         }
 
-        return this.killStreak.count >= 2 ?
-            (CONFIG.STREAK.bonuses.find(b => b.kills <= this.killStreak.count)?.multiplier || 1) : 1;
-    }
+        view.clear();
+        view.fillStyle(config.color, 0.7);
+        view.fillPoints(points, true);
+        view.lineStyle(3, 0x86efac, 0.9);
+        view.strokePoints(points, true);
+        view.fillStyle(0x14532d, 0.5);
+        view.fillCircle(0, 0, size * 0.55);
 
-    // ========================================
-    // DIMENSIONAL RIFT SYSTEM
-    // ========================================
-
-    checkRiftEntry() {
-        if (!this.localPlayer || !this.localPlayer.alive) return;
-        if (this.currentDimension !== null) return;
-        if (this.riftCooldown > 0) return;
-        // In multiplayer without solo-simulation, server handles rift detection
-        if (this.gameMode === 'multiplayer' && !this.multiplayerUsesSoloSimulation) return;
-
-        for (const rift of this.rifts) {
-            const dx = this.localPlayer.x - rift.x;
-            const dy = this.localPlayer.y - rift.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-
-            if (dist < CONFIG.RIFT.radius + this.localPlayer.playerSize * 0.5) {
-                this.enterDimension(rift.dimensionType, rift.id);
-                break;
-            }
-        }
+        view.virusSize = size;
+        view.setDepth(size);
     }
 
-    enterDimension(type, entryRiftId) {
-        const config = CONFIG.DIMENSIONS[type];
-
-        // Save main world state
-        this.mainWorldState = {
-            playerX: this.localPlayer.x,
-            playerY: this.localPlayer.y,
-            entryRiftId: entryRiftId
-        };
-
-        // Hide main world entities
-        this.bots.forEach(bot => bot.setVisible(false));
-        this.orbs.forEach(orb => orb.setVisible(false));
-        this.rifts.forEach(rift => rift.graphics.setVisible(false));
-        if (this.predator) {
-            this.predator.setVisible(false);
-        }
-
-        // Set dimension state
-        this.currentDimension = type;
-        this.dimensionTimer = CONFIG.RIFT.minDimensionTime +
-            Math.random() * (CONFIG.RIFT.maxDimensionTime - CONFIG.RIFT.minDimensionTime);
-        this.riftCooldown = CONFIG.RIFT.cooldown;
-
-        // Grant invulnerability
-        this.isInvulnerable = true;
-        this.invulnTimer = CONFIG.RIFT.invulnDuration;
-        this.localPlayer.setInvulnerable(true);
-
-        // Apply dimension-specific player mechanics
-        if (type === 'ANTI_GRAVITY') {
-            this.localPlayer.setPhysicsMode('drift');
-            this.showNotification('Gravity Low! Drift Enabled', '#a78bfa');
-        } else {
-            this.localPlayer.setPhysicsMode('direct');
-        }
+    /**
+     * Switch the rendered space (main world or a dimension instance)
+     */
+    enterSpace(space) {
+        this.spaceId = space.id;
 
         // Update world bounds
-        this.worldWidth = config.worldSize;
-        this.worldHeight = config.worldSize;
+        this.worldWidth = space.width;
+        this.worldHeight = space.height;
         this.cameras.main.setBounds(0, 0, this.worldWidth, this.worldHeight);
 
-        // Position player in center
-        this.localPlayer.setPosition(config.worldSize / 2, config.worldSize / 2);
-
-        // Create dimension content (maze walls, themed orbs, dimension bots)
-        // This is now created for BOTH solo and multiplayer for visual parity
-        this.createDimensionContent(type);
-
         // Update grid
-        this.gridGraphics.clear();
-        this.gridGraphics.lineStyle(1, hexToNumber(config.colorHex), 0.3);
-        for (let x = 0; x <= this.worldWidth; x += CONFIG.GRID_SIZE) {
-            this.gridGraphics.lineBetween(x, 0, x, this.worldHeight);
-        }
-        for (let y = 0; y <= this.worldHeight; y += CONFIG.GRID_SIZE) {
-            this.gridGraphics.lineBetween(0, y, this.worldWidth, y);
+        const config = space.dimensionType ? CONFIG.DIMENSIONS[space.dimensionType] : null;
+        if (config) {
+            this.drawGrid(hexToNumber(config.colorHex), 0.3);
+        } else {
+            this.drawGrid(0x252836, 1);
         }
 
-        // Track stats
-        this.riftStats.riftsUsed++;
-
-        // Effects
-        soundManager.playRiftEnter();
-        this.showNotification('ENTERING ' + config.name.toUpperCase() + '!', config.colorHex);
-        this.triggerScreenShake(8, 15);
-    }
-
-    createDimensionContent(type) {
-        const config = CONFIG.DIMENSIONS[type];
-
-        // Create dimension orbs
-        this.dimensionOrbs = createDimensionOrbs(
-            this,
-            config.orbCount,
-            config.worldSize,
-            config.colorHex,
-            config.orbBonus
-        );
-
-        // Create dimension bots
-        this.dimensionBots = [];
-        const botNames = ['Shadow', 'Phantom', 'Specter', 'Wraith', 'Ghost', 'Shade'];
-        for (let i = 0; i < config.bots; i++) {
-            const bot = new Bot(this,
-                Math.random() * config.worldSize,
-                Math.random() * config.worldSize,
-                {
-                    id: 'dim_bot_' + i,
-                    name: botNames[i % botNames.length],
-                    color: config.colorHex,
-                    size: 18 + Math.random() * 15
-                }
-            );
-            this.dimensionBots.push(bot);
+        // Maze walls
+        if (this.mazeWallGraphics) {
+            this.mazeWallGraphics.destroy();
+            this.mazeWallGraphics = null;
+        }
+        if (space.walls.length > 0) {
+            this.drawMazeWalls(space.walls, config ? config.color : 0x475569);
+        }
+        if (space.gauntlets && space.gauntlets.length > 0) {
+            this.drawGauntletGates(space.gauntlets);
         }
 
-        // Create maze walls for MIRROR_MAZE dimension
-        if (config.hasWalls) {
-            this.createMazeWalls(config.worldSize, config.color);
+        // Gravity wells
+        if (this.wellGraphics) {
+            this.tweens.killTweensOf(this.wellGraphics.list);
+            this.wellGraphics.destroy();
+            this.wellGraphics = null;
         }
+        if (space.wells && space.wells.length > 0) {
+            this.drawGravityWells(space.wells, config ? config.color : 0x475569);
+        }
+
+        // Rifts only exist in the main world
+        this.rifts.forEach(rift => rift.graphics.setVisible(space.id === null));
     }
 
     /**
-     * Create maze walls for the Mirror Maze dimension
+     * Draw maze walls with glow effect
      */
-    createMazeWalls(size, color) {
-        this.mazeWalls = [];
-        const wallThickness = 15;
-        const passages = 4;
-        const spacing = size / (passages + 1);
-
-        // Horizontal walls with random gaps
-        for (let i = 1; i <= passages; i++) {
-            const gapPos = Math.random() * 0.6 + 0.2; // Gap between 20-80% of width
-            // Left segment
-            this.mazeWalls.push({
-                x: 0,
-                y: spacing * i - wallThickness / 2,
-                width: size * gapPos - 40,
-                height: wallThickness
-            });
-            // Right segment
-            this.mazeWalls.push({
-                x: size * gapPos + 40,
-                y: spacing * i - wallThickness / 2,
-                width: size * (1 - gapPos) - 40,
-                height: wallThickness
-            });
-        }
-
-        // Vertical walls with random gaps
-        for (let i = 1; i <= passages - 1; i++) {
-            const gapPos = Math.random() * 0.6 + 0.2;
-            // Top segment
-            this.mazeWalls.push({
-                x: spacing * i - wallThickness / 2,
-                y: 0,
-                width: wallThickness,
-                height: size * gapPos - 40
-            });
-            // Bottom segment
-            this.mazeWalls.push({
-                x: spacing * i - wallThickness / 2,
-                y: size * gapPos + 40,
-                width: wallThickness,
-                height: size * (1 - gapPos) - 40
-            });
-        }
-
-        // Create graphics for walls
+    drawMazeWalls(walls, color) {
         this.mazeWallGraphics = this.add.graphics();
         this.mazeWallGraphics.setDepth(5);
 
-        // Draw walls with glow effect
-        this.mazeWalls.forEach(wall => {
+        walls.forEach(wall => {
+            if (wall.mirror) {
+                this.drawMirrorWall(wall);
+                return;
+            }
+
             // Outer glow
             this.mazeWallGraphics.fillStyle(color, 0.3);
             this.mazeWallGraphics.fillRoundedRect(
@@ -1028,272 +639,375 @@ export class GameScene extends Phaser.Scene {
     }
 
     /**
-     * Check and handle maze wall collisions for the player
+     * Draw a Mirror Maze mirror wall: pale glass with a diagonal glint
      */
-    checkMazeWallCollisions() {
-        if (!this.localPlayer || !this.localPlayer.alive) return;
-        if (this.mazeWalls.length === 0) return;
+    drawMirrorWall(wall) {
+        const g = this.mazeWallGraphics;
+        const color = CONFIG.MIRROR.wallColor;
+
+        g.fillStyle(color, 0.25);
+        g.fillRoundedRect(wall.x - 4, wall.y - 4, wall.width + 8, wall.height + 8, 8);
+        g.fillStyle(color, 0.85);
+        g.fillRoundedRect(wall.x, wall.y, wall.width, wall.height, 4);
+        g.lineStyle(2, 0xffffff, 1);
+        g.strokeRoundedRect(wall.x, wall.y, wall.width, wall.height, 4);
+
+        // Glints along the long side
+        g.lineStyle(2, 0xffffff, 0.9);
+        const horizontal = wall.width > wall.height;
+        const length = horizontal ? wall.width : wall.height;
+        for (let offset = 20; offset < length - 10; offset += 60) {
+            if (horizontal) {
+                g.lineBetween(wall.x + offset, wall.y + wall.height - 2, wall.x + offset + 8, wall.y + 2);
+            } else {
+                g.lineBetween(wall.x + 2, wall.y + offset + 8, wall.x + wall.width - 2, wall.y + offset);
+            }
+        }
+    }
 
-        const player = this.localPlayer;
-        const playerSize = player.playerSize;
-
-        this.mazeWalls.forEach(wall => {
-            // Player bounds
-            const playerLeft = player.x - playerSize;
-            const playerRight = player.x + playerSize;
-            const playerTop = player.y - playerSize;
-            const playerBottom = player.y + playerSize;
-
-            // Wall bounds
-            const wallLeft = wall.x;
-            const wallRight = wall.x + wall.width;
-            const wallTop = wall.y;
-            const wallBottom = wall.y + wall.height;
-
-            // Check collision
-            if (playerRight > wallLeft && playerLeft < wallRight &&
-                playerBottom > wallTop && playerTop < wallBottom) {
-                // Calculate overlap on each axis
-                const overlapLeft = playerRight - wallLeft;
-                const overlapRight = wallRight - playerLeft;
-                const overlapTop = playerBottom - wallTop;
-                const overlapBottom = wallBottom - playerTop;
-
-                // Find minimum overlap and push player out
-                const minOverlap = Math.min(overlapLeft, overlapRight, overlapTop, overlapBottom);
-
-                if (minOverlap === overlapLeft) {
-                    player.x = wallLeft - playerSize;
-                } else if (minOverlap === overlapRight) {
-                    player.x = wallRight + playerSize;
-                } else if (minOverlap === overlapTop) {
-                    player.y = wallTop - playerSize;
-                } else {
-                    player.y = wallBottom + playerSize;
-                }
+    /**
+     * Draw Void gravity wells: fading pull rings, spinning accretion arcs and a black core
+     */
+    drawGravityWells(wells, color) {
+        this.wellGraphics = this.add.container(0, 0);
+        this.wellGraphics.setDepth(1);
+
+        wells.forEach(well => {
+            const rings = this.add.graphics();
+            [1, 0.66, 0.33].forEach((scale, i) => {
+                rings.lineStyle(2, color, 0.08 + i * 0.06);
+                rings.strokeCircle(well.x, well.y, well.coreRadius + (well.range - well.coreRadius) * scale);
+            });
+            this.wellGraphics.add(rings);
+
+            // Arcs drawn around the origin so the container can spin them in place
+            const disc = this.add.graphics({ x: well.x, y: well.y });
+            disc.lineStyle(3, color, 0.5);
+            for (let i = 0; i < 3; i++) {
+                const start = (i * Math.PI * 2) / 3;
+                disc.beginPath();
+                disc.arc(0, 0, well.coreRadius * 1.8, start, start + 1.2);
+                disc.strokePath();
             }
+            this.wellGraphics.add(disc);
+            this.tweens.add({
+                targets: disc,
+                angle: 360 * well.spin,
+                duration: 4000 * well.coreRadius / CONFIG.VOID.well.coreRadius,
+                repeat: -1
+            });
+
+            const core = this.add.graphics();
+            core.fillStyle(color, 0.25);
+            core.fillCircle(well.x, well.y, well.coreRadius * 1.3);
+            core.fillStyle(0x020617, 1);
+            core.fillCircle(well.x, well.y, well.coreRadius);
+            core.lineStyle(3, color, 0.9);
+            core.strokeCircle(well.x, well.y, well.coreRadius);
+            this.wellGraphics.add(core);
         });
     }
 
-    exitDimension(wasAbsorbed = false) {
-        if (!this.mainWorldState) return;
-
-        const exitedConfig = CONFIG.DIMENSIONS[this.currentDimension];
+    /**
+     * Mark gauntlet mouths with a dashed size gate
+     */
+    drawGauntletGates(gauntlets) {
+        const g = this.mazeWallGraphics || this.add.graphics().setDepth(5);
+        this.mazeWallGraphics = g;
+
+        const dash = 8;
+        g.lineStyle(3, CONFIG.GAUNTLET.color, 0.8);
+
+        gauntlets.forEach(gauntlet => {
+            const mouths = gauntlet.horizontal ? [
+                [gauntlet.x, gauntlet.y, 0, 1],
+                [gauntlet.x + gauntlet.width, gauntlet.y, 0, 1]
+            ] : [
+                [gauntlet.x, gauntlet.y, 1, 0],
+                [gauntlet.x, gauntlet.y + gauntlet.height, 1, 0]
+            ];
+            const span = gauntlet.horizontal ? gauntlet.height : gauntlet.width;
+
+            mouths.forEach(([x, y, dx, dy]) => {
+                for (let d = 0; d < span; d += dash * 2) {
+                    const end = Math.min(d + dash, span);
+                    g.lineBetween(x + dx * d, y + dy * d, x + dx * end, y + dy * end);
+                }
+            });
 
-        // Cleanup dimension content
-        this.dimensionOrbs.forEach(orb => orb.destroy());
-        this.dimensionOrbs = [];
-        this.dimensionBots.forEach(bot => bot.destroy());
-        this.dimensionBots = [];
+            // Faint floor so the corridor reads as a passage
+            g.fillStyle(CONFIG.GAUNTLET.color, 0.06);
+            g.fillRect(gauntlet.x, gauntlet.y, gauntlet.width, gauntlet.height);
+        });
+    }
 
-        // Cleanup maze walls
-        this.mazeWalls = [];
-        if (this.mazeWallGraphics) {
-            this.mazeWallGraphics.destroy();
-            this.mazeWallGraphics = null;
-        }
+    // ========================================
+    // SIMULATION EVENTS
+    // ========================================
 
-        // Restore world
-        this.worldWidth = CONFIG.WORLD_WIDTH;
-        this.worldHeight = CONFIG.WORLD_HEIGHT;
-        this.cameras.main.setBounds(0, 0, this.worldWidth, this.worldHeight);
+    /**
+     * Play local feedback for simulation events
+     */
+    handleSimEvents(events) {
+        const localId = this.localId;
+
+        events.forEach(event => {
+            switch (event.type) {
+                case 'orbCollected':
+                    if (event.entityId !== localId) break;
+                    if (event.timeBonus > 0) {
+                        this.showTimeAddedEffect(event.x, event.y, event.timeBonus);
+                        soundManager.playTimeCollect();
+                    } else {
+                        // Play combo collection sound (rising pitch)
+                        soundManager.playComboCollect(event.comboCount);
+                    }
+                    this.localPlayer.showAbsorbedOrb(event.orbColor, event.orbSize);
+                    this.createRippleEffect(event.x, event.y, this.localPlayer.playerSize, event.comboCount);
+                    break;
 
-        // Choose exit rift (same as entry if possible, otherwise random)
-        let exitRift = null;
-        if (this.mainWorldState && this.mainWorldState.entryRiftId) {
-            exitRift = this.rifts.find(r => r.id === this.mainWorldState.entryRiftId);
-        }
+                case 'dimensionOrbCollected':
+                    if (event.entityId === localId) soundManager.playCollect();
+                    break;
 
-        if (!exitRift) {
-            exitRift = this.rifts[Math.floor(Math.random() * this.rifts.length)];
-        }
+                case 'comboTier':
+                    if (event.entityId === localId) this.showComboTier(event.tier, event.count);
+                    break;
 
-        if (this.gameMode !== 'multiplayer' || this.multiplayerUsesSoloSimulation) {
-            this.localPlayer.setPosition(
-                exitRift.x + (Math.random() - 0.5) * 100,
-                exitRift.y + (Math.random() - 0.5) * 100
-            );
-        }
+                case 'comboBreak':
+                    if (event.entityId === localId && event.count >= 5) soundManager.playComboBreak();
+                    break;
 
-        // Respawn if died
-        if (!this.localPlayer.alive) {
-            this.localPlayer.respawn(this.localPlayer.x, this.localPlayer.y);
-            soundManager.playRespawn();
-        }
+                case 'killStreak':
+                    if (event.entityId === localId) {
+                        this.showKillStreak(CONFIG.STREAK.bonuses.find(b => b.name === event.name), event.count);
+                    }
+                    break;
+
+                case 'absorb':
+                    // Dying inside a dimension is announced by the rift exit instead
+                    if (event.absorbedId === localId && event.dimensionType && !event.cellLost) break;
+
+                    if (event.absorberId === localId) {
+                        soundManager.playAbsorb();
+                        this.triggerScreenShake(5, 10);
+                    } else if (event.absorbedId === localId && event.cellLost) {
+                        soundManager.playAbsorb();
+                        this.triggerScreenShake(6, 12);
+                        this.showNotification('✂️ CELL LOST!', '#f97316');
+                    } else if (event.absorbedId === localId && event.byPredator) {
+                        soundManager.playDeath();
+                        this.triggerScreenShake(15, 30);
+                        this.showNotification('💀 EATEN BY HUNTER!', '#ef4444');
+                    } else if (event.absorbedId === localId) {
+                        soundManager.playDeath();
+                        this.triggerScreenShake(12, 25);
+                        this.showNotification('💀 ABSORBED!', '#ef4444');
+                    }
+                    break;
+
+                case 'eject':
+                    if (event.entityId === localId) soundManager.playEject();
+                    break;
+
+                case 'split':
+                    if (event.entityId === localId) soundManager.playSplit();
+                    break;
+
+                case 'merge':
+                    if (event.entityId === localId) soundManager.playMerge();
+                    break;
+
+                case 'powerUp':
+                    if (event.entityId === localId) {
+                        const powerUp = CONFIG.POWER_UPS.types[event.powerUp];
+                        soundManager.playPowerUp();
+                        this.showNotification(
+                            `${powerUp.icon} ${powerUp.name.toUpperCase()}${event.stacked ? ' +TIME' : '!'}`,
+                            powerUp.color
+                        );
+                    }
+                    break;
 
-        // No exit invulnerability - matches server. Combat should work immediately.
-        this.isInvulnerable = false;
-        this.invulnTimer = 0;
-        this.localPlayer.setInvulnerable(false);
-        this.riftCooldown = CONFIG.RIFT.cooldown;
-
-        // Reset mechanics
-        this.localPlayer.setPhysicsMode('direct');
-
-        // Show main world entities
-        this.bots.forEach(bot => bot.setVisible(true));
-        this.orbs.forEach(orb => orb.setVisible(true));
-        this.rifts.forEach(rift => rift.graphics.setVisible(true));
-        if (this.predator) {
-            this.predator.setVisible(true);
-        }
+                case 'powerUpEnd':
+                    if (event.entityId === localId) {
+                        this.showNotification(`${CONFIG.POWER_UPS.types[event.powerUp].name} wore off`, '#94a3b8');
+                    }
+                    break;
+
+                case 'shieldBlock':
+                    if (event.entityId === localId) {
+                        soundManager.playShieldBlock();
+                        this.triggerScreenShake(8, 15);
+                        this.showNotification('🛡️ SHIELD BLOCKED!', CONFIG.POWER_UPS.types.SHIELD.color);
+                    } else if (event.attackerId === localId) {
+                        soundManager.playShieldBlock();
+                        this.showNotification('🛡️ Blocked by a shield', '#94a3b8');
+                    }
+                    break;
 
-        // Restore grid
-        this.gridGraphics.clear();
-        this.gridGraphics.lineStyle(1, 0x252836, 1);
-        for (let x = 0; x <= this.worldWidth; x += CONFIG.GRID_SIZE) {
-            this.gridGraphics.lineBetween(x, 0, x, this.worldHeight);
-        }
-        for (let y = 0; y <= this.worldHeight; y += CONFIG.GRID_SIZE) {
-            this.gridGraphics.lineBetween(0, y, this.worldWidth, y);
-        }
+                case 'respawn':
+                    if (event.entityId === localId) {
+                        soundManager.playRespawn();
+                        this.showNotification('🔄 RESPAWNED!', '#86efac');
+                    }
+                    break;
 
-        // Clear dimension state
-        this.currentDimension = null;
-        this.mainWorldState = null;
+                case 'milestone':
+                    if (event.entityId === localId) {
+                        this.showNotification(`🏆 ${event.name}`, '#fbbf24');
+                        soundManager.playMilestone();
+                        this.triggerScreenShake(5, 15);
+                    }
+                    break;
+
+                case 'riftEnter':
+                    if (event.entityId === localId) this.showRiftEnter(event.dimensionType);
+                    break;
+
+                case 'riftExit':
+                    if (event.entityId === localId) this.showRiftExit(event.dimensionType, event.wasAbsorbed);
+                    break;
+
+                case 'dimensionNotice':
+                    if (event.entityId === localId) this.showDimensionNotice(event.dimensionType, event.notice);
+                    break;
+
+                case 'predatorWarning':
+                    if (this.currentDimension !== null) break;
+                    soundManager.playPredatorWarning();
+                    this.showNotification('⚠️ HUNTER INCOMING!', '#ef4444');
+                    this.triggerScreenShake(8, 30);
+                    break;
+
+                case 'predatorSpawned':
+                    if (this.currentDimension === null) this.showNotification('🔴 HUNTER SPAWNED!', '#dc2626');
+                    break;
+
+                case 'predatorRetreated':
+                    if (this.currentDimension === null) this.showNotification('Hunter Retreated', '#86efac');
+                    break;
+
+                case 'dangerZoneWarning':
+                    if (this.currentDimension !== null) break;
+                    soundManager.playDangerZoneWarning();
+                    this.showNotification('⚠️ DANGER ZONE INCOMING!', '#ef4444');
+                    break;
+
+                case 'dangerZoneActive':
+                    if (this.currentDimension !== null) break;
+                    soundManager.playDangerZoneActive();
+                    this.showNotification('🔥 DANGER ZONE ACTIVE - 4x ORBS!', '#f97316');
+                    this.triggerScreenShake(4, 15);
+                    break;
+
+                case 'dangerZoneEnded':
+                    if (this.currentDimension === null) this.showNotification('Danger Zone Faded', '#86efac');
+                    break;
+
+                case 'meteorShower':
+                    if (this.currentDimension !== null) break;
+                    soundManager.playMeteorWarning();
+                    this.showNotification('☄️ METEOR SHOWER!', '#f97316');
+                    break;
+
+                case 'meteorImpact':
+                    if (this.currentDimension !== null) break;
+                    this.createMeteorImpactEffect(event.x, event.y, event.radius);
+                    break;
+
+                case 'meteorHit':
+                    if (event.entityId === localId) {
+                        this.triggerScreenShake(15, 25);
+                        this.showNotification(`☄️ METEOR HIT! -${Math.round(event.lost)} mass`, '#ef4444');
+                    }
+                    break;
 
-        // Effects
-        soundManager.playRiftExit();
-        this.showNotification(
-            wasAbsorbed ? '💥 ABSORBED! Ejecting...' : 'EXITING ' + exitedConfig.name.toUpperCase() + '!',
-            wasAbsorbed ? '#fca5a5' : exitedConfig.colorHex
-        );
-        this.triggerScreenShake(8, 15);
-    }
+                case 'virusHit':
+                    if (event.entityId === localId) {
+                        soundManager.playVirusHit();
+                        this.triggerScreenShake(10, 20);
+                        this.showNotification(`🦠 VIRUS! -${Math.round(event.lost)} mass`, CONFIG.VIRUS.colorHex);
+                    }
+                    break;
 
-    updateDimensionTimers(delta) {
-        // Update dimension timer
-        if (this.currentDimension !== null) {
-            this.dimensionTimer -= delta;
-            if (this.dimensionTimer <= 0) {
-                this.exitDimension();
-            }
-        }
+                case 'virusSpawned':
+                    if (event.entityId === localId) {
+                        soundManager.playVirusSpawn();
+                        this.showNotification('🦠 Virus fired!', CONFIG.VIRUS.colorHex);
+                    }
+                    break;
 
-        // Update rift cooldown
-        if (this.riftCooldown > 0) {
-            this.riftCooldown -= delta;
-            if (this.riftCooldown < 0) this.riftCooldown = 0;
-        }
+                case 'meteorCloseCall':
+                    if (event.entityId === localId) {
+                        soundManager.playMilestone();
+                        this.showNotification(`😅 CLOSE CALL! +${event.bonus}`, '#fbbf24');
+                    }
+                    break;
 
-        // Update invulnerability
-        if (this.invulnTimer > 0) {
-            this.invulnTimer -= delta;
-            if (this.invulnTimer <= 0) {
-                this.isInvulnerable = false;
-                this.invulnTimer = 0;
-                if (this.localPlayer) {
-                    this.localPlayer.setInvulnerable(false);
-                }
+                case 'gameOver':
+                    this.endGame(event);
+                    break;
             }
-        }
-    }
-
-    getDimensionSpeedMultiplier() {
-        if (!this.currentDimension) return 1;
-        const config = CONFIG.DIMENSIONS[this.currentDimension];
-        return config ? config.speedMult : 1;
+        });
     }
 
-    getCurrentWorldSize() {
-        if (!this.currentDimension) {
-            return { width: CONFIG.WORLD_WIDTH, height: CONFIG.WORLD_HEIGHT };
-        }
-        const config = CONFIG.DIMENSIONS[this.currentDimension];
-        if (!config) return { width: CONFIG.WORLD_WIDTH, height: CONFIG.WORLD_HEIGHT };
-        return { width: config.worldSize, height: config.worldSize };
+    showKillStreak(bonus, count) {
+        this.showNotification(`🔥 ${bonus.name}`, '#f97316');
+        soundManager.playKillStreak(count);
+        this.triggerScreenShake(8, 20);
     }
 
-    // ========================================
-    // ENVIRONMENTAL HAZARDS
-    // ========================================
+    showRiftEnter(type) {
+        const definition = getDimension(type);
+        const config = definition.config;
 
-    updatePredator(delta) {
-        // Simplified predator logic
-        const now = Date.now();
-
-        if (!this.predator && !this.predatorWarning && now > this.predatorCooldown) {
-            const allEntities = [...this.players.filter(p => p.alive), ...this.bots.filter(b => b.alive)];
-            const largest = allEntities.sort((a, b) => b.playerSize - a.playerSize)[0];
-
-            if (largest && largest.playerSize >= CONFIG.PREDATOR.spawnThreshold) {
-                this.predatorWarning = {
-                    target: largest,
-                    startTime: now,
-                    x: largest.x + (Math.random() - 0.5) * 400,
-                    y: largest.y + (Math.random() - 0.5) * 400
-                };
-                soundManager.playPredatorWarning();
-                this.showNotification('⚠️ HUNTER INCOMING!', '#ef4444');
-                this.triggerScreenShake(8, 30);
-            }
+        if (definition.hud.enterNotice) {
+            this.showNotification(definition.hud.enterNotice.text, definition.hud.enterNotice.color);
         }
 
-        // Spawn predator after warning
-        if (this.predatorWarning && now - this.predatorWarning.startTime >= CONFIG.PREDATOR.warningDuration) {
-            this.predator = new Bot(this, this.predatorWarning.x, this.predatorWarning.y, {
-                id: 'predator_' + now,
-                name: '☠️ HUNTER',
-                color: '#dc2626',
-                size: this.predatorWarning.target.playerSize * CONFIG.PREDATOR.sizeMultiplier
-            });
-            this.predator.spawnTime = now;
-            this.predatorWarning = null;
-            this.showNotification('🔴 HUNTER SPAWNED!', '#dc2626');
+        if (definition.audio.enter) {
+            soundManager.playTones(definition.audio.enter);
+        } else {
+            soundManager.playRiftEnter();
         }
+        this.showNotification('ENTERING ' + config.name.toUpperCase() + '!', config.colorHex);
+        this.triggerScreenShake(8, 15);
+    }
 
-        // Update predator
-        if (this.predator && this.predator.alive) {
-            if (now - this.predator.spawnTime > CONFIG.PREDATOR.duration) {
-                this.predator.destroy();
-                this.predator = null;
-                this.predatorCooldown = now + CONFIG.PREDATOR.cooldown;
-                this.showNotification('Hunter Retreated', '#86efac');
-                return;
-            }
-
-            // Chase largest entity
-            const allEntities = [...this.players.filter(p => p.alive), ...this.bots.filter(b => b.alive)];
-            const target = allEntities.sort((a, b) => b.playerSize - a.playerSize)[0];
-
-            if (target) {
-                const speed = Math.max(1.5, 6 - this.predator.playerSize * 0.02) * CONFIG.PREDATOR.speedMultiplier;
-                const dx = target.x - this.predator.x;
-                const dy = target.y - this.predator.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-
-                if (dist > 5) {
-                    this.predator.x += (dx / dist) * speed;
-                    this.predator.y += (dy / dist) * speed;
-                    this.predator.clampToWorld(this.worldWidth, this.worldHeight);
-                }
-
-                // Check collision with entities
-                allEntities.forEach(entity => {
-                    const dx = entity.x - this.predator.x;
-                    const dy = entity.y - this.predator.y;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
+    showRiftExit(type, wasAbsorbed) {
+        const definition = getDimension(type);
+        const config = definition.config;
 
-                    if (dist < this.predator.playerSize * 0.8 && this.predator.playerSize > entity.playerSize * 1.1) {
-                        entity.die();
+        if (wasAbsorbed) {
+            soundManager.playRespawn();
+        }
 
-                        if (entity === this.localPlayer) {
-                            soundManager.playDeath();
-                            this.triggerScreenShake(15, 30);
-                            this.showNotification('💀 EATEN BY HUNTER!', '#ef4444');
-                        }
-                    }
-                });
-            }
+        if (definition.audio.exit) {
+            soundManager.playTones(definition.audio.exit);
+        } else {
+            soundManager.playRiftExit();
         }
+        this.showNotification(
+            wasAbsorbed ? '💥 ABSORBED! Ejecting...' : 'EXITING ' + config.name.toUpperCase() + '!',
+            wasAbsorbed ? '#fca5a5' : config.colorHex
+        );
+        this.triggerScreenShake(8, 15);
     }
 
-    updateDangerZone(delta) {
-        // Simplified danger zone logic
-    }
+    /**
+     * A dimension's announcement (text, sound and shake come from its registry entry)
+     */
+    showDimensionNotice(type, notice) {
+        const definition = getDimension(type);
+        const hud = definition.hud.notices?.[notice];
+        const tones = definition.audio.notices?.[notice];
 
-    updateMeteors(delta) {
-        // Simplified meteor logic
+        if (tones) soundManager.playTones(tones);
+        if (!hud) return;
+
+        this.showNotification(hud.text, hud.color);
+        if (hud.shake) this.triggerScreenShake(...hud.shake);
     }
 
     // ========================================
@@ -1343,14 +1057,14 @@ export class GameScene extends Phaser.Scene {
      */
     showTimeAddedEffect(x, y, timeBonus) {
         const seconds = Math.round(timeBonus / 1000);
-        const text = this.add.text(x, y, `+${seconds}s`, {
+        const text = this.pools.texts.acquire(x, y, `+${seconds}s`, {
             fontFamily: 'Inter, sans-serif',
             fontSize: '28px',
             fontStyle: 'bold',
             color: '#00ffff',
             stroke: '#000000',
             strokeThickness: 3
-        }).setOrigin(0.5);
+        });
 
         text.setDepth(200);
 
@@ -1363,7 +1077,7 @@ export class GameScene extends Phaser.Scene {
             scaleY: 1.3,
             duration: 1000,
             ease: 'Cubic.easeOut',
-            onComplete: () => text.destroy()
+            onComplete: () => this.pools.texts.release(text)
         });
 
         // Also show notification
@@ -1383,8 +1097,7 @@ export class GameScene extends Phaser.Scene {
         const size = playerSize * (0.4 + stage * 0.15 + comboBoost * 0.2);
 
         // Create expanding circle ripple
-        const ripple = this.add.circle(x, y, size, hexToNumber(this.localPlayer.playerColor), intensity);
-        ripple.setBlendMode(Phaser.BlendModes.ADD);
+        const ripple = this.pools.circles.acquire(x, y, size, hexToNumber(this.localPlayer.playerColor), intensity);
         ripple.setDepth(2);
 
         this.tweens.add({
@@ -1394,13 +1107,12 @@ export class GameScene extends Phaser.Scene {
             alpha: 0,
             duration: 300 + stage * 50,
             ease: 'Cubic.easeOut',
-            onComplete: () => ripple.destroy()
+            onComplete: () => this.pools.circles.release(ripple)
         });
 
         // Additional ripples for higher stages
         if (stage >= 2) {
-            const ripple2 = this.add.circle(x, y, size * 0.7, 0xffffff, intensity * 0.5);
-            ripple2.setBlendMode(Phaser.BlendModes.ADD);
+            const ripple2 = this.pools.circles.acquire(x, y, size * 0.7, 0xffffff, intensity * 0.5);
             ripple2.setDepth(2);
 
             this.tweens.add({
@@ -1410,54 +1122,54 @@ export class GameScene extends Phaser.Scene {
                 alpha: 0,
                 duration: 200 + stage * 30,
                 ease: 'Cubic.easeOut',
-                onComplete: () => ripple2.destroy()
+                onComplete: () => this.pools.circles.release(ripple2)
             });
         }
     }
 
     /**
-     * Increment combo counter and calculate multiplier
+     * Flash and shockwave where a meteor lands
      */
-    incrementCombo() {
-        this.combo.count++;
-        this.combo.timer = CONFIG.COMBO.window;
-
-        // Calculate multiplier (linear scaling up to max)
-        this.combo.multiplier = Math.min(
-            1 + (this.combo.count - 1) * 0.1,
-            CONFIG.COMBO.maxMultiplier
-        );
+    createMeteorImpactEffect(x, y, radius) {
+        const flash = this.pools.circles.acquire(x, y, radius, 0xfdba74, 0.8);
+        flash.setDepth(3);
+        this.tweens.add({
+            targets: flash,
+            alpha: 0,
+            duration: 400,
+            ease: 'Cubic.easeOut',
+            onComplete: () => this.pools.circles.release(flash)
+        });
 
-        // Check for combo tier milestones
-        const tiers = CONFIG.COMBO.tiers;
-        for (let i = tiers.length - 1; i >= 0; i--) {
-            if (this.combo.count === tiers[i].count && this.combo.lastTier < i) {
-                this.combo.lastTier = i;
-                this.showNotification(`🔥 ${this.combo.count}x COMBO - ${tiers[i].name}`, tiers[i].color);
-                soundManager.playComboMilestone(i);
-                this.triggerScreenShake(4 + i * 2, 10);
-                break;
-            }
+        const shockwave = this.pools.circles.acquire(x, y, radius * 0.5, 0xf97316, 0.5);
+        shockwave.setDepth(3);
+        this.tweens.add({
+            targets: shockwave,
+            scaleX: 3,
+            scaleY: 3,
+            alpha: 0,
+            duration: 600,
+            ease: 'Cubic.easeOut',
+            onComplete: () => this.pools.circles.release(shockwave)
+        });
+
+        // Louder and shakier the closer it lands
+        const player = this.localPlayer;
+        const dist = player ? Math.hypot(player.x - x, player.y - y) : Infinity;
+        if (dist < 800) {
+            soundManager.playMeteorImpact();
+            this.triggerScreenShake(Math.max(3, 12 - dist / 80), 15);
         }
     }
 
     /**
-     * Update combo timer (call from main update)
+     * Show combo tier milestone feedback
      */
-    updateCombo(deltaMs) {
-        if (this.combo.count > 0) {
-            this.combo.timer -= deltaMs;
-            if (this.combo.timer <= 0) {
-                // Combo expired
-                if (this.combo.count >= 5) {
-                    soundManager.playComboBreak();
-                }
-                this.combo.count = 0;
-                this.combo.timer = 0;
-                this.combo.lastTier = -1;
-                this.combo.multiplier = 1.0;
-            }
-        }
+    showComboTier(tier, count) {
+        const tierConfig = CONFIG.COMBO.tiers[tier];
+        this.showNotification(`🔥 ${count}x COMBO - ${tierConfig.name}`, tierConfig.color);
+        soundManager.playComboMilestone(tier);
+        this.triggerScreenShake(4 + tier * 2, 10);
     }
 
     /**
@@ -1504,27 +1216,151 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
+    // ========================================
+    // MULTIPLAYER (SERVER-AUTHORITATIVE)
+    // ========================================
+
+    /**
+     * Connect to the server; the world is built from the welcome message
+     */
+    initMultiplayerGame() {
+        // Client mirror of the space we are in (orbs arrive as deltas)
+        this.netState = {
+            space: null,
+            orbs: new Map()
+        };
+
+        const connected = networkManager.connect(this.playerName, {
+            welcome: (data) => this.onServerWelcome(data),
+            state: (data) => this.onServerState(data),
+            gameOver: (data) => this.onServerGameOver(data),
+            disconnect: () => {
+                if (this.gameRunning) {
+                    this.showNotification('Connection lost', '#ef4444');
+                    this.endGame();
+                }
+            }
+        });
+
+        if (!connected) {
+            // No server available - fall back to solo
+            this.gameMode = 'solo';
+            this.initSoloGame();
+            this.gameRunning = true;
+            this.gameStartTime = Date.now();
+        }
+    }
+
+    /**
+     * Build the world from the server's initial state
+     */
+    onServerWelcome(data) {
+        this.localId = data.id;
+        this.difficulty = data.difficulty || this.difficulty; // The server picks online bots' difficulty
+        this.createRifts(data.rifts);
+
+        this.gameRunning = true;
+        this.gameStartTime = Date.now();
+        this.onServerState(data);
+
+        this.cameras.main.startFollow(this.localPlayer, true, 0.1, 0.1);
+    }
+
+    /**
+     * Apply a server state snapshot
+     */
+    onServerState(data) {
+        if (!this.gameRunning) return;
+
+        const net = this.netState;
+
+        // Full space when we changed space, orb deltas otherwise
+        if (data.space) {
+            net.space = data.space;
+            net.orbs = new Map(data.space.orbs.map(orb => [orb.id, deserializeOrb(orb)]));
+        }
+        data.orbsRemoved.forEach(id => net.orbs.delete(id));
+        data.orbsAdded.forEach(orb => net.orbs.set(orb.id, deserializeOrb(orb)));
+        data.orbsMoved?.forEach(({ id, x, y }) => {
+            const orb = net.orbs.get(id);
+            if (orb) {
+                orb.x = x;
+                orb.y = y;
+            }
+        });
+
+        this.renderState({
+            remainingTime: data.remainingTime,
+            space: net.space,
+            players: data.players,
+            orbs: [...net.orbs.values()],
+            status: data.status,
+            hazards: data.hazards,
+            leaderboard: data.leaderboard
+        }, false);
+
+        this.handleSimEvents(data.events);
+    }
+
+    onServerGameOver(data) {
+        if (!this.gameRunning) return;
+        this.endGame(data);
+    }
+
+    /**
+     * Per-frame update while connected: send input, interpolate server state
+     */
+    updateMultiplayerGame(time, delta) {
+        networkManager.sendInput(this.getKeyboardInput());
+
+        // Remote entities ease towards their last known server position
+        this.entityViews.forEach(entity => entity.interpolatePosition());
+
+        // The local player is server-authoritative too, but follows more tightly
+        const player = this.localPlayer;
+        if (player && player.alive) {
+            const dx = player.targetX - player.x;
+            const dy = player.targetY - player.y;
+
+            if (Math.abs(dx) + Math.abs(dy) > 200) {
+                // Teleported (rift enter/exit)
+                player.setPosition(player.targetX, player.targetY);
+            } else {
+                player.x += dx * 0.3;
+                player.y += dy * 0.3;
+                player.spawnTrailParticle(dx * 0.3, dy * 0.3);
+            }
+        }
+
+        this.updateEnvironmentEffects();
+        this.updateScreenShake();
+        this.updateNotifications(delta);
+    }
+
     // ========================================
     // GAME END
     // ========================================
 
     endGame(data = null) {
         this.gameRunning = false;
+        networkManager.disconnect();
 
-        // Calculate final rankings
-        const allEntities = [...this.players, ...this.bots];
-        allEntities.sort((a, b) => b.score - a.score);
-        const rank = allEntities.findIndex(e => e.id === this.localPlayer?.id) + 1;
+        // Keep what the bots learned this match (online bots learn on the server)
+        if (this.gameMode === 'solo') {
+            brainStorage.save(sharedBotBrain);
+        }
 
-        // Build rankings array for leaderboard
-        const rankings = allEntities.map((entity, index) => ({
-            id: entity.id,
-            name: entity.playerName || entity.name || 'Unknown',
-            score: entity.score || 0,
+        // Final standings come from the simulation; fall back to the live leaderboard
+        const standings = data && data.rankings ? data.rankings : this.leaderboard.map((entry, index) => ({
+            ...entry,
             rank: index + 1,
-            isLocal: entity.id === this.localPlayer?.id,
-            isBot: entity.isBot || false
+            isBot: false
+        }));
+        const rankings = standings.map(entry => ({
+            ...entry,
+            isLocal: entry.id === this.localId
         }));
+        const rank = rankings.findIndex(entry => entry.isLocal) + 1;
 
         const elapsed = Date.now() - this.gameStartTime;
         const mins = Math.floor(elapsed / 60000);
@@ -1532,6 +1368,10 @@ export class GameScene extends Phaser.Scene {
 
         // Remove the main timer immediately so it doesn't show over the post-game screen
         document.getElementById('hud-main-timer')?.remove();
+        document.getElementById('hud-danger')?.remove();
+        document.getElementById('hud-dimension-banner')?.remove();
+        document.getElementById('hud-stamina')?.remove();
+        document.getElementById('hud-powerups')?.remove();
 
         // Stop UI scene
         this.scene.stop('UIScene');
@@ -1541,13 +1381,16 @@ export class GameScene extends Phaser.Scene {
             finalScore: this.stats.score,
             orbsCollected: this.stats.orbsCollected,
             playersAbsorbed: this.stats.playersAbsorbed,
+            eatenByHunter: this.stats.eatenByHunter,
             rank: rank,
-            totalPlayers: allEntities.length,
+            totalPlayers: rankings.length,
             rankings: rankings,
             duration: `${mins}:${secs.toString().padStart(2, '0')}`,
             riftsUsed: this.riftStats.riftsUsed,
             dimensionOrbs: this.riftStats.dimensionOrbs,
+            riftReport: this.riftStats.dimensions,
             gameMode: this.gameMode,
+            difficulty: this.difficulty,
             playerName: this.playerName
         });
     }
@@ -1555,5 +1398,6 @@ export class GameScene extends Phaser.Scene {
     shutdown() {
         // Cleanup
         this.gameRunning = false;
+        networkManager.disconnect();
     }
 }
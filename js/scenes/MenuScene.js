@@ -4,6 +4,9 @@
  */
 
 import { CONFIG } from '../config.js';
+import { networkManager } from '../managers/NetworkManager.js';
+import { brainStorage } from '../managers/BrainStorage.js';
+import { sharedBotBrain } from '../ai/BotBrain.js';
 
 export class MenuScene extends Phaser.Scene {
     constructor() {
@@ -74,6 +77,8 @@ export class MenuScene extends Phaser.Scene {
         nameGroup.appendChild(this.playerNameInput);
         menuSection.appendChild(nameGroup);
 
+        menuSection.appendChild(this.createDifficultyPicker());
+
         // Play button
         const playBtn = document.createElement('button');
         playBtn.className = 'btn btn-primary';
@@ -81,18 +86,34 @@ export class MenuScene extends Phaser.Scene {
         playBtn.onclick = () => this.play();
         menuSection.appendChild(playBtn);
 
+        // Online button (only when served by the multiplayer server)
+        if (networkManager.isAvailable()) {
+            const onlineBtn = document.createElement('button');
+            onlineBtn.className = 'btn btn-secondary';
+            onlineBtn.textContent = 'PLAY ONLINE';
+            onlineBtn.onclick = () => this.play('multiplayer');
+            menuSection.appendChild(onlineBtn);
+        }
+
         // Instructions
         const instructions = document.createElement('div');
         instructions.className = 'instructions-label';
         instructions.innerHTML = `
-            <span>Use</span>
             <span class="key-badge">WASD</span>
             <span>or</span>
             <span class="key-badge">ARROWS</span>
-            <span>to move</span>
+            <span>move</span>
+            <span class="key-badge">E</span>
+            <span>eject</span>
+            <span class="key-badge">SPACE</span>
+            <span>split</span>
+            <span class="key-badge">SHIFT</span>
+            <span>boost</span>
         `;
         menuSection.appendChild(instructions);
 
+        menuSection.appendChild(this.createBrainControls());
+
         this.menuContainer.appendChild(menuSection);
 
         // Add to game container
@@ -102,6 +123,126 @@ export class MenuScene extends Phaser.Scene {
         setTimeout(() => this.playerNameInput.focus(), 100);
     }
 
+    /**
+     * Bot difficulty preset buttons (remembered like the name)
+     */
+    createDifficultyPicker() {
+        const saved = localStorage.getItem('orbio_difficulty');
+        this.difficulty = CONFIG.DIFFICULTY[saved] ? saved : CONFIG.DEFAULT_DIFFICULTY;
+
+        const group = document.createElement('div');
+        group.className = 'input-group';
+
+        const label = document.createElement('label');
+        label.textContent = 'BOT DIFFICULTY';
+        group.appendChild(label);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'difficulty-buttons';
+        group.appendChild(buttons);
+
+        const description = document.createElement('div');
+        description.className = 'difficulty-description';
+        group.appendChild(description);
+
+        const select = (id) => {
+            this.difficulty = id;
+            localStorage.setItem('orbio_difficulty', id);
+            buttons.querySelectorAll('button').forEach(btn => {
+                btn.classList.toggle('selected', btn.dataset.difficulty === id);
+            });
+            description.textContent = CONFIG.DIFFICULTY[id].description;
+        };
+
+        Object.entries(CONFIG.DIFFICULTY).forEach(([id, preset]) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary btn-small';
+            btn.textContent = preset.name;
+            btn.style.color = preset.colorHex;
+            btn.dataset.difficulty = id;
+            btn.onclick = () => select(id);
+            buttons.appendChild(btn);
+        });
+
+        select(this.difficulty);
+        return group;
+    }
+
+    /**
+     * Bot brain export / import / reset controls
+     */
+    createBrainControls() {
+        const section = document.createElement('div');
+        section.className = 'brain-controls';
+
+        this.brainStatus = document.createElement('div');
+        this.brainStatus.className = 'brain-status';
+        section.appendChild(this.brainStatus);
+        this.updateBrainStatus();
+
+        const buttons = document.createElement('div');
+        buttons.className = 'brain-buttons';
+
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'btn btn-secondary btn-small';
+        exportBtn.textContent = 'Export AI';
+        exportBtn.onclick = () => brainStorage.exportFile(sharedBotBrain);
+        buttons.appendChild(exportBtn);
+
+        // Hidden file picker behind the import button
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.onchange = () => this.importBrain(fileInput);
+        section.appendChild(fileInput);
+
+        const importBtn = document.createElement('button');
+        importBtn.className = 'btn btn-secondary btn-small';
+        importBtn.textContent = 'Import AI';
+        importBtn.onclick = () => fileInput.click();
+        buttons.appendChild(importBtn);
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'btn btn-secondary btn-small';
+        resetBtn.textContent = 'Reset AI';
+        resetBtn.onclick = () => {
+            if (!window.confirm('Forget everything the bots have learned?')) return;
+            brainStorage.reset(sharedBotBrain);
+            this.updateBrainStatus('Bot AI reset');
+        };
+        buttons.appendChild(resetBtn);
+
+        section.appendChild(buttons);
+        return section;
+    }
+
+    async importBrain(fileInput) {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        try {
+            await brainStorage.importFile(sharedBotBrain, file);
+            this.updateBrainStatus('Bot AI imported');
+        } catch (e) {
+            this.updateBrainStatus(`Import failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Show how much the bots have learned (or the result of the last action)
+     */
+    updateBrainStatus(message = null) {
+        if (!this.brainStatus) return;
+
+        const reward = Math.round(sharedBotBrain.totalReward).toLocaleString();
+        const exploration = (sharedBotBrain.explorationRate * 100).toFixed(1);
+        const summary = `Bot AI: ${reward} reward learned · ${exploration}% exploration`;
+
+        this.brainStatus.textContent = message ? `${message} - ${summary}` : summary;
+    }
+
     /**
      * Get player name from input
      */
@@ -116,16 +257,17 @@ export class MenuScene extends Phaser.Scene {
 
     /**
      * Start the game
+     * @param {string} mode - 'solo' or 'multiplayer'
      */
-    play() {
+    play(mode = 'solo') {
         const name = this.getPlayerName();
 
         // Clean up DOM
         this.cleanupDOM();
 
-        // Start game in solo mode
         this.scene.start('GameScene', {
-            mode: 'solo',
+            mode: mode,
+            difficulty: this.difficulty,
             playerName: name
         });
     }
@@ -3,6 +3,12 @@
  * Shows game results with winner/loser status and full leaderboard
  */
 
+import { CONFIG } from '../config.js';
+import { getArchetypeName } from '../ai/BotArchetypes.js';
+import { getDimensionTypes } from '../core/dimensions/index.js';
+
+const RIFT_BESTS_KEY = 'orbio_rift_bests';
+
 export class PostGameScene extends Phaser.Scene {
     constructor() {
         super({ key: 'PostGameScene' });
@@ -12,13 +18,17 @@ export class PostGameScene extends Phaser.Scene {
         this.finalScore = data.finalScore || 0;
         this.orbsCollected = data.orbsCollected || 0;
         this.playersAbsorbed = data.playersAbsorbed || 0;
+        this.eatenByHunter = data.eatenByHunter || 0;
         this.rank = data.rank || 1;
         this.totalPlayers = data.totalPlayers || 1;
         this.rankings = data.rankings || [];
         this.duration = data.duration || '0:00';
         this.riftsUsed = data.riftsUsed || 0;
         this.dimensionOrbs = data.dimensionOrbs || 0;
+        this.riftReport = data.riftReport || {}; // Dimension type -> { visits, time, orbs, kills, deaths, score }
         this.playerName = data.playerName || 'Player';
+        this.gameMode = data.gameMode || 'solo';
+        this.difficulty = CONFIG.DIFFICULTY[data.difficulty] ? data.difficulty : CONFIG.DEFAULT_DIFFICULTY;
     }
 
     create() {
@@ -60,7 +70,8 @@ export class PostGameScene extends Phaser.Scene {
             li.className = `leaderboard-item ${player.isLocal ? 'is-local' : ''} ${index === 0 ? 'first-place' : ''}`;
 
             const rankBadge = index < 3 ? ['🥇', '🥈', '🥉'][index] : `#${player.rank}`;
-            const botTag = player.isBot ? ' <span class="bot-tag">BOT</span>' : '';
+            const archetype = getArchetypeName(player.archetype);
+            const botTag = player.isBot ? ` <span class="bot-tag">${archetype ? `${archetype} BOT` : 'BOT'}</span>` : '';
 
             li.innerHTML = `
                 <span class="rank-badge">${rankBadge}</span>
@@ -74,12 +85,21 @@ export class PostGameScene extends Phaser.Scene {
         this.postGameContainer.appendChild(leaderboard);
 
         // Stats summary
+        const difficulty = CONFIG.DIFFICULTY[this.difficulty];
+        const { best, isNewBest } = this.recordScore();
         const statsContainer = document.createElement('div');
         statsContainer.className = 'stats-container compact';
         statsContainer.innerHTML = `
             <div class="stat-row">
                 <span class="stat-label">Your Score</span>
-                <span class="stat-value">${this.finalScore.toLocaleString()}</span>
+                <span class="stat-value">
+                    ${this.finalScore.toLocaleString()}
+                    <span class="difficulty-tag" style="color: ${difficulty.colorHex};">${difficulty.name}</span>
+                </span>
+            </div>
+            <div class="stat-row">
+                <span class="stat-label">Best on ${difficulty.name}</span>
+                <span class="stat-value">${isNewBest ? 'NEW BEST! ' : ''}${best.toLocaleString()}</span>
             </div>
             <div class="stat-row">
                 <span class="stat-label">Orbs Collected</span>
@@ -89,6 +109,10 @@ export class PostGameScene extends Phaser.Scene {
                 <span class="stat-label">Players Absorbed</span>
                 <span class="stat-value">${this.playersAbsorbed}</span>
             </div>
+            <div class="stat-row">
+                <span class="stat-label">Eaten by Hunter</span>
+                <span class="stat-value">${this.eatenByHunter}</span>
+            </div>
             <div class="stat-row">
                 <span class="stat-label">Game Duration</span>
                 <span class="stat-value">${this.duration}</span>
@@ -96,6 +120,8 @@ export class PostGameScene extends Phaser.Scene {
         `;
         this.postGameContainer.appendChild(statsContainer);
 
+        this.postGameContainer.appendChild(this.createRiftReport());
+
         // Buttons
         const buttonContainer = document.createElement('div');
         buttonContainer.className = 'button-container';
@@ -116,10 +142,115 @@ export class PostGameScene extends Phaser.Scene {
         container.appendChild(this.postGameContainer);
     }
 
+    /**
+     * Keep the best score per difficulty in localStorage
+     * @returns {{best: number, isNewBest: boolean}}
+     */
+    recordScore() {
+        let bests = {};
+        try {
+            bests = JSON.parse(localStorage.getItem('orbio_best_scores')) || {};
+        } catch (e) {
+            // Storage disabled or corrupt - start fresh
+        }
+
+        const previous = bests[this.difficulty] || 0;
+        if (this.finalScore <= previous) {
+            return { best: previous, isNewBest: false };
+        }
+
+        bests[this.difficulty] = this.finalScore;
+        try {
+            localStorage.setItem('orbio_best_scores', JSON.stringify(bests));
+        } catch (e) {
+            // Storage disabled - still show the score as a best for this session
+        }
+        return { best: this.finalScore, isNewBest: true };
+    }
+
+    /**
+     * Rift Report: this match in every dimension, next to the personal best score there
+     */
+    createRiftReport() {
+        const { bests, newBests } = this.recordRiftBests();
+
+        const report = document.createElement('div');
+        report.className = 'rift-report';
+        report.innerHTML = `
+            <h3 class="leaderboard-title">Rift Report</h3>
+            <div class="rift-report-summary">${this.riftsUsed} rifts used · ${this.dimensionOrbs} dimension orbs</div>
+        `;
+
+        getDimensionTypes().forEach(type => {
+            const config = CONFIG.DIMENSIONS[type];
+            const record = this.riftReport[type];
+            const best = bests[type]?.score || 0;
+
+            const summary = record && record.visits > 0
+                ? `${this.formatTime(record.time)} · ${record.orbs} orbs · ${record.kills}K/${record.deaths}D`
+                : 'Not visited';
+
+            const row = document.createElement('div');
+            row.className = 'rift-report-row';
+            row.innerHTML = `
+                <span class="rift-report-name" style="color: ${config.colorHex};">${config.name}</span>
+                <span class="rift-report-stats">${summary}</span>
+                <span class="rift-report-score">${record?.visits ? '+' + record.score.toLocaleString() : '-'}</span>
+                <span class="rift-report-best">${newBests.has(type) ? 'NEW BEST!' : `Best ${best.toLocaleString()}`}</span>
+            `;
+            report.appendChild(row);
+        });
+
+        return report;
+    }
+
+    /**
+     * Keep personal bests per dimension in localStorage (score earned, orbs, kills
+     * and time spent there in one match)
+     * @returns {{bests: Object, newBests: Set<string>}} bests after this match and
+     * the dimensions whose best score this match beat
+     */
+    recordRiftBests() {
+        let bests = {};
+        try {
+            bests = JSON.parse(localStorage.getItem(RIFT_BESTS_KEY)) || {};
+        } catch (e) {
+            // Storage disabled or corrupt - start fresh
+        }
+
+        const newBests = new Set();
+        Object.entries(this.riftReport).forEach(([type, record]) => {
+            if (!record.visits) return;
+
+            const best = { score: 0, orbs: 0, kills: 0, time: 0, ...bests[type] };
+            if (record.score > best.score) newBests.add(type);
+            ['score', 'orbs', 'kills', 'time'].forEach(key => {
+                best[key] = Math.max(best[key], record[key]);
+            });
+            bests[type] = best;
+        });
+
+        try {
+            localStorage.setItem(RIFT_BESTS_KEY, JSON.stringify(bests));
+        } catch (e) {
+            // Storage disabled - bests only last for this screen
+        }
+        return { bests, newBests };
+    }
+
+    /**
+     * Milliseconds as m:ss
+     */
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
     playAgain() {
         this.cleanupDOM();
         this.scene.start('GameScene', {
-            mode: 'solo',
+            mode: this.gameMode,
+            difficulty: this.difficulty,
             playerName: this.playerName
         });
     }
@@ -4,6 +4,7 @@
  */
 
 import { CONFIG } from '../config.js';
+import { getArchetypeName } from '../ai/BotArchetypes.js';
 
 export class UIScene extends Phaser.Scene {
     constructor() {
@@ -19,6 +20,10 @@ export class UIScene extends Phaser.Scene {
         document.getElementById('hud-main-timer')?.remove();
         document.querySelectorAll('.hud-panel').forEach(el => el.remove());
         document.getElementById('hud-invuln')?.remove();
+        document.getElementById('hud-danger')?.remove();
+        document.getElementById('hud-dimension-banner')?.remove();
+        document.getElementById('hud-stamina')?.remove();
+        document.getElementById('hud-powerups')?.remove();
         document.getElementById('hud-notifications')?.remove();
 
         // Create DOM-based HUD
@@ -98,6 +103,85 @@ export class UIScene extends Phaser.Scene {
         this.invulnIndicator.textContent = 'INVULNERABLE';
         container.appendChild(this.invulnIndicator);
 
+        // Danger zone warning (below the main timer)
+        this.dangerWarning = document.createElement('div');
+        this.dangerWarning.id = 'hud-danger';
+        this.dangerWarning.style.cssText = `
+            position: absolute;
+            top: 72px;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 6px 16px;
+            border-radius: 12px;
+            border: 1px solid rgba(239, 68, 68, 0.6);
+            background: rgba(127, 29, 29, 0.6);
+            font-family: 'Inter', sans-serif;
+            font-size: 16px;
+            font-weight: 700;
+            color: #fca5a5;
+            white-space: nowrap;
+            z-index: 1000;
+            display: none;
+        `;
+        container.appendChild(this.dangerWarning);
+
+        // Dimension banner (same slot: there are no danger zones in a dimension)
+        this.dimensionBanner = document.createElement('div');
+        this.dimensionBanner.id = 'hud-dimension-banner';
+        this.dimensionBanner.style.cssText = `
+            position: absolute;
+            top: 72px;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 6px 16px;
+            border-radius: 12px;
+            border: 1px solid;
+            font-family: 'Inter', sans-serif;
+            font-size: 16px;
+            font-weight: 700;
+            white-space: nowrap;
+            z-index: 1000;
+            display: none;
+        `;
+        container.appendChild(this.dimensionBanner);
+
+        // Boost stamina meter (bottom-centre)
+        this.staminaMeter = document.createElement('div');
+        this.staminaMeter.id = 'hud-stamina';
+        this.staminaMeter.style.cssText = `
+            position: absolute;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 200px;
+            font-family: 'Inter', sans-serif;
+            text-align: center;
+            z-index: 1000;
+        `;
+        this.staminaMeter.innerHTML = `
+            <div id="hud-stamina-label" style="font-size: 11px; font-weight: 700; letter-spacing: 1px; margin-bottom: 4px; text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.8);"></div>
+            <div style="height: 8px; border-radius: 4px; border: 1px solid rgba(250, 204, 21, 0.4); background: rgba(15, 23, 42, 0.7); overflow: hidden;">
+                <div id="hud-stamina-fill" style="height: 100%; width: 100%; transition: width 0.1s;"></div>
+            </div>
+        `;
+        container.appendChild(this.staminaMeter);
+
+        // Active power-ups (above the stamina meter)
+        this.renderedPowerUps = null;
+        this.powerUpBar = document.createElement('div');
+        this.powerUpBar.id = 'hud-powerups';
+        this.powerUpBar.style.cssText = `
+            position: absolute;
+            bottom: 56px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            gap: 8px;
+            font-family: 'Inter', sans-serif;
+            z-index: 1000;
+        `;
+        container.appendChild(this.powerUpBar);
+
         // Notification container
         this.notificationContainer = document.createElement('div');
         this.notificationContainer.className = 'notification-toast';
@@ -193,7 +277,7 @@ export class UIScene extends Phaser.Scene {
             if (dimNameEl) dimNameEl.textContent = config.name;
             if (dimTimerEl) {
                 dimTimerEl.textContent = Math.ceil(gs.dimensionTimer / 1000) + 's';
-                dimTimerEl.style.color = gs.dimensionTimer < 5000 ? '#fca5a5' : '#f472b6';
+                dimTimerEl.style.color = gs.dimensionTimer < 5000 ? '#fca5a5' : config.colorHex;
             }
             if (orbMultEl) orbMultEl.textContent = config.orbBonus + 'x';
         } else {
@@ -208,6 +292,16 @@ export class UIScene extends Phaser.Scene {
             invulnEl?.classList.add('hidden');
         }
 
+        // Danger zone
+        this.updateDangerWarning();
+
+        // Dimension mechanics
+        this.updateDimensionBanner();
+
+        // Boost and power-ups
+        this.updateStaminaMeter();
+        this.updatePowerUpBar();
+
         // Leaderboard
         this.updateLeaderboard();
 
@@ -215,13 +309,127 @@ export class UIScene extends Phaser.Scene {
         this.updateNotifications();
     }
 
+    updateDangerWarning() {
+        const gs = this.gameScene;
+        const el = this.dangerWarning;
+        const zone = gs.dangerZone;
+
+        if (!el) return;
+        if (!zone) {
+            el.style.display = 'none';
+            return;
+        }
+
+        const seconds = Math.ceil(zone.timeLeft / 1000);
+        el.style.display = 'block';
+
+        if (gs.inDangerZone) {
+            // Standing inside an active zone
+            el.textContent = `🔥 SHRINKING! Get out or grab the 4x orbs - ${seconds}s`;
+            el.style.color = '#ffffff';
+            el.style.background = `rgba(220, 38, 38, ${0.6 + Math.sin(Date.now() / 120) * 0.25})`;
+        } else if (zone.phase === 'warning') {
+            el.textContent = `⚠️ Danger zone in ${seconds}s`;
+            el.style.color = '#fca5a5';
+            el.style.background = 'rgba(127, 29, 29, 0.6)';
+        } else {
+            el.textContent = `🔥 Danger zone active - ${seconds}s`;
+            el.style.color = '#fdba74';
+            el.style.background = 'rgba(127, 29, 29, 0.6)';
+        }
+    }
+
+    /**
+     * Banner from the current dimension's registry entry (e.g. Mirror Maze inversions),
+     * in the dimension's colour; pulses for alerts
+     */
+    updateDimensionBanner() {
+        const el = this.dimensionBanner;
+        const gs = this.gameScene;
+        const banner = gs.dimensionBanner;
+
+        if (!el) return;
+        if (!banner || gs.currentDimension === null) {
+            el.style.display = 'none';
+            return;
+        }
+
+        const color = CONFIG.DIMENSIONS[gs.currentDimension].colorHex;
+        el.style.display = 'block';
+        el.textContent = banner.text;
+        el.style.borderColor = color;
+
+        if (banner.alert) {
+            el.style.color = '#ffffff';
+            el.style.background = color;
+            el.style.opacity = 0.75 + Math.sin(Date.now() / 120) * 0.25;
+        } else {
+            el.style.color = color;
+            el.style.background = 'rgba(15, 23, 42, 0.7)';
+            el.style.opacity = 1;
+        }
+    }
+
+    /**
+     * Stamina left for boosting; turns red and pulses while boosting burns mass
+     */
+    updateStaminaMeter() {
+        const gs = this.gameScene;
+        const labelEl = document.getElementById('hud-stamina-label');
+        const fillEl = document.getElementById('hud-stamina-fill');
+        if (!labelEl || !fillEl) return;
+
+        const burning = gs.boosting && gs.stamina <= 0;
+        const color = burning ? '#ef4444' : '#facc15';
+
+        fillEl.style.width = `${(gs.stamina / CONFIG.BOOST.maxStamina) * 100}%`;
+        fillEl.style.background = color;
+        labelEl.style.color = color;
+        labelEl.style.opacity = burning ? 0.75 + Math.sin(Date.now() / 120) * 0.25 : 1;
+
+        if (burning) {
+            labelEl.textContent = '🔥 BURNING MASS';
+        } else if (gs.boosting) {
+            labelEl.textContent = '⚡ BOOSTING';
+        } else {
+            labelEl.textContent = `BOOST [${CONFIG.CONTROLS.boost.join('/')}]`;
+        }
+    }
+
+    /**
+     * One badge per active power-up with its countdown; blinks for the last few seconds
+     */
+    updatePowerUpBar() {
+        const el = this.powerUpBar;
+        if (!el) return;
+
+        const blink = Math.sin(Date.now() / 100) > 0;
+        const badges = (this.gameScene.powerUps || []).map(({ type, timeLeft }) => {
+            const seconds = Math.ceil(timeLeft / 1000);
+            return { type, seconds, opacity: seconds <= 3 && blink ? 0.4 : 1 };
+        });
+
+        // Only touch the DOM when a badge, its countdown or its blink changes
+        const key = badges.map(({ type, seconds, opacity }) => `${type}:${seconds}:${opacity}`).join('|');
+        if (key === this.renderedPowerUps) return;
+        this.renderedPowerUps = key;
+
+        el.innerHTML = badges.map(({ type, seconds, opacity }) => {
+            const powerUp = CONFIG.POWER_UPS.types[type];
+            return `
+                <div title="${powerUp.name}" style="display: flex; align-items: center; gap: 4px; padding: 4px 10px; border-radius: 12px; border: 1px solid ${powerUp.color}; background: rgba(15, 23, 42, 0.7); opacity: ${opacity};">
+                    <span style="font-size: 16px;">${powerUp.icon}</span>
+                    <span style="font-size: 13px; font-weight: 700; color: ${powerUp.color};">${seconds}s</span>
+                </div>
+            `;
+        }).join('');
+    }
+
     updateLeaderboard() {
         const gs = this.gameScene;
         if (!gs) return;
 
-        const allEntities = [...gs.players, ...gs.bots].filter(e => e.alive);
-        allEntities.sort((a, b) => b.score - a.score);
-        const top5 = allEntities.slice(0, 5);
+        const top5 = (gs.leaderboard || []).slice(0, 5);
 
         const listEl = document.getElementById('hud-leaderboard');
         if (!listEl) return;
@@ -233,9 +441,11 @@ export class UIScene extends Phaser.Scene {
             if (entity.id === gs.localPlayer?.id) {
                 li.classList.add('local-player');
             }
+            const archetype = getArchetypeName(entity.archetype);
+            const archetypeTag = archetype ? ` <span class="leaderboard-archetype">${archetype}</span>` : '';
             li.innerHTML = `
                 <span class="leaderboard-rank">${index + 1}.</span>
-                <span class="leaderboard-name">${entity.playerName || entity.name}</span>
+                <span class="leaderboard-name">${entity.name}${archetypeTag}</span>
                 <span class="leaderboard-score">${entity.score}</span>
             `;
             listEl.appendChild(li);
@@ -267,6 +477,10 @@ export class UIScene extends Phaser.Scene {
         this.scorePanel?.remove();
         this.leaderboardPanel?.remove();
         this.invulnIndicator?.remove();
+        this.dimensionBanner?.remove();
+        this.dangerWarning?.remove();
+        this.staminaMeter?.remove();
+        this.powerUpBar?.remove();
         this.notificationContainer?.remove();
         this.mainTimer?.remove();
     }
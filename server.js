@@ -0,0 +1,258 @@
+/**
+ * Orb Battle.io - Multiplayer Server
+ * Serves the game client through Express and runs the authoritative
+ * match simulation over Socket.IO. Clients only send their input.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { Simulation } from './js/core/Simulation.js';
+import { serializeOrb } from './js/core/orbs.js';
+import { FixedTimestep, TICK_MS } from './js/core/FixedTimestep.js';
+import { CONFIG } from './js/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PORT = process.env.PORT || 3000;
+const DIFFICULTY = process.env.DIFFICULTY || CONFIG.DEFAULT_DIFFICULTY;
+const SNAPSHOT_RATE = 20;    // State broadcasts per second
+const TICKS_PER_SNAPSHOT = Math.round(CONFIG.TICK_RATE / SNAPSHOT_RATE);
+
+// ========================================
+// HTTP (static client)
+// ========================================
+
+const app = express();
+app.use(cors());
+
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get('/styles.css', (req, res) => res.sendFile(path.join(__dirname, 'styles.css')));
+app.use('/js', express.static(path.join(__dirname, 'js')));
+app.use('/assets', express.static(path.join(__dirname, 'assets')));
+
+const httpServer = createServer(app);
+const io = new Server(httpServer, {
+    cors: { origin: '*' }
+});
+
+// ========================================
+// GAME ROOM
+// ========================================
+
+/**
+ * Strip characters that could inject markup into other clients' HUD
+ */
+function sanitizeName(name) {
+    const clean = String(name || '').replace(/[<>&"'`]/g, '').trim().substring(0, 12);
+    return clean || 'Player' + Math.floor(Math.random() * 1000);
+}
+
+/**
+ * Clamp a raw input axis to -1, 0 or 1
+ */
+function sanitizeAxis(value) {
+    return Math.sign(Number(value) || 0);
+}
+
+/**
+ * Whether an event names the player (their own events reach them in any space)
+ */
+function concernsPlayer(event, id) {
+    return event.entityId === id || event.absorberId === id || event.absorbedId === id || event.attackerId === id;
+}
+
+class GameRoom {
+    constructor(io) {
+        this.io = io;
+        this.sim = null;
+        this.inputs = {};
+        this.tick = 0;
+
+        // Space (main world or dimension instance id) each client last received
+        this.clientSpaces = {};
+
+        // Orb changes accumulated between snapshots, tagged with their space
+        this.orbsRemoved = [];
+        this.orbsAdded = [];
+        this.pendingEvents = [];
+    }
+
+    /**
+     * Start a new match if none is running (clients drop their socket when a match
+     * ends and join again from the results screen, so a new match starts empty)
+     */
+    ensureMatch() {
+        if (this.sim) return;
+
+        this.sim = new Simulation({ difficulty: DIFFICULTY });
+        this.sim.start();
+        this.inputs = {};
+        this.clientSpaces = {};
+        this.tick = 0;
+        this.orbsRemoved = [];
+        this.orbsAdded = [];
+        this.pendingEvents = [];
+    }
+
+    join(socket, data = {}) {
+        this.ensureMatch();
+
+        // Rejoining from the same socket replaces the old entity
+        this.sim.removePlayer(socket.id);
+        const player = this.sim.addPlayer({
+            id: socket.id,
+            name: sanitizeName(data.name)
+        });
+        this.inputs[socket.id] = { x: 0, y: 0 };
+        delete this.clientSpaces[socket.id];
+
+        socket.emit('welcome', {
+            id: player.id,
+            rifts: this.sim.rifts,
+            difficulty: this.sim.difficultyId,
+            ...this.getSnapshot(player, this.sim.getLeaderboard())
+        });
+    }
+
+    leave(socket) {
+        if (!this.sim) return;
+
+        this.sim.removePlayer(socket.id);
+        delete this.inputs[socket.id];
+        delete this.clientSpaces[socket.id];
+
+        // Stop simulating once everyone has left
+        if (this.sim.players.length === 0) {
+            this.sim = null;
+        }
+    }
+
+    setInput(socket, input = {}) {
+        if (!this.inputs[socket.id]) return;
+        this.inputs[socket.id] = {
+            x: sanitizeAxis(input.x),
+            y: sanitizeAxis(input.y),
+            eject: input.eject === true,
+            split: input.split === true,
+            boost: input.boost === true
+        };
+    }
+
+    update() {
+        if (!this.sim) return;
+
+        this.sim.step(TICK_MS, this.inputs);
+
+        for (const event of this.sim.drainEvents()) {
+            if (event.type === 'orbRemoved') {
+                this.orbsRemoved.push({ space: event.space, id: event.orbId });
+            } else if (event.type === 'orbSpawned') {
+                this.orbsAdded.push({ space: event.space, orb: serializeOrb(event.orb) });
+            } else if (event.type === 'gameOver') {
+                this.endMatch(event.rankings);
+                return;
+            } else {
+                this.pendingEvents.push(event);
+            }
+        }
+
+        this.tick++;
+        if (this.tick % TICKS_PER_SNAPSHOT === 0) {
+            this.broadcastState();
+        }
+    }
+
+    /**
+     * Build the state a player can see. The full space (walls, orbs) is only
+     * sent when the player changed space; otherwise orb deltas (and moving orbs) are sent.
+     */
+    getSnapshot(player, leaderboard) {
+        const space = this.sim.getSpace(player);
+        const snapshot = {
+            time: this.sim.time,
+            remainingTime: this.sim.remainingTime,
+            players: space.entities.map(e => e.serialize()),
+            status: this.sim.getPlayerStatus(player),
+            hazards: this.sim.getHazards(player),
+            leaderboard,
+            orbsRemoved: [],
+            orbsAdded: [],
+            orbsMoved: [],
+            // Only what happened where the player is, or to them
+            events: this.pendingEvents.filter(event => event.space === space.id || concernsPlayer(event, player.id))
+        };
+
+        if (!(player.id in this.clientSpaces) || this.clientSpaces[player.id] !== space.id) {
+            this.clientSpaces[player.id] = space.id;
+            snapshot.space = {
+                id: space.id,
+                dimensionType: space.dimensionType,
+                width: space.width,
+                height: space.height,
+                walls: space.walls,
+                wells: space.wells,
+                gauntlets: space.gauntlets,
+                orbs: space.orbs.map(serializeOrb)
+            };
+            return snapshot;
+        }
+
+        // Orbs collected and respawned within the same window cancel out
+        const removed = this.orbsRemoved.filter(r => r.space === space.id).map(r => r.id);
+        const added = this.orbsAdded.filter(a => a.space === space.id).map(a => a.orb);
+        snapshot.orbsAdded = added.filter(orb => !removed.includes(orb.id));
+        snapshot.orbsRemoved = removed.filter(id => !added.some(orb => orb.id === id));
+
+        // Orbs that move on their own (Void orbits, ejected pellets and magnet-pulled orbs in flight)
+        snapshot.orbsMoved = space.orbs.filter(orb => orb.orbit || orb.velocity).map(({ id, x, y }) => ({ id, x, y }));
+        return snapshot;
+    }
+
+    broadcastState() {
+        const leaderboard = this.sim.getLeaderboard();
+
+        this.sim.players.forEach(player => {
+            this.io.to(player.id).emit('state', this.getSnapshot(player, leaderboard));
+        });
+
+        this.orbsRemoved = [];
+        this.orbsAdded = [];
+        this.pendingEvents = [];
+    }
+
+    endMatch(rankings) {
+        this.io.emit('gameOver', {
+            rankings,
+            players: this.sim.players.map(p => ({ id: p.id, stats: p.stats }))
+        });
+        this.sim = null;
+    }
+}
+
+const room = new GameRoom(io);
+
+io.on('connection', (socket) => {
+    socket.on('join', (data) => room.join(socket, data));
+    socket.on('input', (input) => room.setInput(socket, input));
+    socket.on('disconnect', () => room.leave(socket));
+});
+
+// Timers drift, so run however many fixed ticks the real elapsed time covers
+const timestep = new FixedTimestep();
+let lastLoopTime = performance.now();
+
+setInterval(() => {
+    const now = performance.now();
+    timestep.advance(now - lastLoopTime, () => room.update());
+    lastLoopTime = now;
+}, TICK_MS);
+
+httpServer.listen(PORT, () => {
+    console.log(`🎮 Orb Battle.io Server running on port ${PORT}`);
+    console.log('   WebSocket ready for connections');
+});
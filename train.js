@@ -0,0 +1,203 @@
+/**
+ * Orb Battle.io - Bot Self-Play Trainer
+ * Runs bot-only matches of the headless simulation as fast as possible,
+ * decays exploration between episodes and writes the trained brain plus
+ * per-episode reward curves (CSV and JSON). Each episode plays a new seed, so
+ * its reward swings with the map; after each one a copy of the brain also
+ * replays one held-out seed without exploring, which is the curve to read for
+ * learning progress.
+ *
+ *   node train.js --episodes 50 --out trained-brain.json --log training
+ *
+ * Options are listed in USAGE below (`node train.js --help`).
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+
+import { Simulation } from './js/core/Simulation.js';
+import { TICK_MS } from './js/core/FixedTimestep.js';
+import { BotBrain } from './js/ai/BotBrain.js';
+import { CONFIG } from './js/config.js';
+
+const DEFAULTS = {
+    episodes: 20,
+    duration: CONFIG.TIMED_MODE?.gameDuration || CONFIG.GAME_DURATION,
+    difficulty: CONFIG.DEFAULT_DIFFICULTY,
+    bots: 0,
+    seed: 1,
+    'eval-seed': 0,
+    in: null,
+    out: 'trained-brain.json',
+    log: 'training-log',
+    decay: 0.9,
+    'min-exploration': 0.05
+};
+
+const USAGE = `Usage: node train.js [options]
+
+Options:
+  --episodes N         matches to play (default 20)
+  --duration MS        match length in sim time (default CONFIG.TIMED_MODE.gameDuration)
+  --difficulty ID      bot difficulty preset in CONFIG.DIFFICULTY (default CONFIG.DEFAULT_DIFFICULTY)
+  --bots N             bots per match (default: the difficulty's bot count)
+  --seed N             seed of the first match, incremented per episode (default 1)
+  --eval-seed N        held-out match replayed greedily after every episode (default 0)
+  --in FILE            start from an exported brain instead of the default table
+  --out FILE           trained brain, importable from the menu (default trained-brain.json)
+  --log PREFIX         writes PREFIX.csv and PREFIX.json (default training-log)
+  --decay F            exploration multiplier per episode (default 0.9)
+  --min-exploration F  exploration floor (default 0.05)
+  --help               show this message`;
+
+/**
+ * Parse `--name value` pairs over the defaults (numbers stay numbers)
+ * @returns {Object|null} options, or null when --help was asked for
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    if (argv.includes('--help') || argv.includes('-h')) return null;
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+
+        if (!(name in DEFAULTS) || value === undefined) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}\n\n${USAGE}`);
+        }
+        options[name] = typeof DEFAULTS[name] === 'number' ? Number(value) : value;
+        if (Number.isNaN(options[name])) {
+            throw new Error(`Option ${argv[i]} expects a number`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Reward collected by the shared brain and the archetypes' private ones
+ */
+function totalReward(brain) {
+    return Object.values(brain.privateBrains).reduce((sum, own) => sum + own.totalReward, brain.totalReward);
+}
+
+/**
+ * Play one bot-only match to the end
+ * @returns {Object} the bots' summed orbs, kills and deaths and the top score
+ */
+function playMatch(brain, options, seed) {
+    const sim = new Simulation({
+        seed,
+        brain,
+        difficulty: options.difficulty,
+        botCount: options.bots || undefined,
+        duration: options.duration
+    });
+    sim.start();
+
+    while (sim.running) {
+        sim.step(TICK_MS, {});
+        sim.drainEvents();
+    }
+
+    const totals = { orbs: 0, kills: 0, deaths: 0 };
+    sim.bots.forEach(bot => {
+        totals.orbs += bot.ai.stats.orbs;
+        totals.kills += bot.ai.stats.kills;
+        totals.deaths += bot.ai.stats.deaths;
+    });
+    totals.topScore = Math.max(...sim.bots.map(bot => bot.score));
+
+    return totals;
+}
+
+/**
+ * Replay the held-out seed with a copy of the brain that only exploits what it learned
+ */
+function evaluate(brain, options) {
+    const copy = new BotBrain();
+    copy.load(brain.serialize());
+    [copy, ...Object.values(copy.privateBrains)].forEach(own => { own.explorationRate = 0; });
+
+    const totals = playMatch(copy, options, options['eval-seed']);
+    return { reward: totalReward(copy) - totalReward(brain), ...totals };
+}
+
+/**
+ * Train on one match, then measure on the held-out one
+ */
+function runEpisode(brain, options, episode) {
+    const seed = options.seed + episode;
+    const rewardBefore = totalReward(brain);
+    const totals = playMatch(brain, options, seed);
+    const evaluation = evaluate(brain, options);
+
+    return {
+        episode: episode + 1,
+        seed,
+        reward: totalReward(brain) - rewardBefore,
+        totalReward: totalReward(brain),
+        ...totals,
+        explorationRate: brain.explorationRate,
+        evalReward: evaluation.reward,
+        evalOrbs: evaluation.orbs,
+        evalKills: evaluation.kills,
+        evalDeaths: evaluation.deaths
+    };
+}
+
+function toCsv(rows) {
+    const columns = Object.keys(rows[0]);
+    return [columns.join(','), ...rows.map(row => columns.map(c => row[c]).join(','))].join('\n') + '\n';
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+    if (!CONFIG.DIFFICULTY[options.difficulty]) {
+        throw new Error(`Unknown difficulty: ${options.difficulty} (${Object.keys(CONFIG.DIFFICULTY).join(', ')})`);
+    }
+
+    const brain = new BotBrain();
+    if (options.in) {
+        brain.load(JSON.parse(await readFile(options.in, 'utf8')));
+        console.log(`Loaded brain from ${options.in}`);
+    }
+
+    const episodes = [];
+    const started = Date.now();
+
+    for (let i = 0; i < options.episodes; i++) {
+        const result = runEpisode(brain, options, i);
+        episodes.push(result);
+
+        console.log(
+            `Episode ${result.episode}/${options.episodes}: reward ${result.reward.toFixed(0)}, ` +
+            `kills ${result.kills}, deaths ${result.deaths}, orbs ${result.orbs}, ` +
+            `exploration ${(result.explorationRate * 100).toFixed(1)}%, ` +
+            `held-out reward ${result.evalReward.toFixed(0)}`
+        );
+
+        // Explore less as the table firms up
+        brain.decayExploration(options['min-exploration'], options.decay);
+    }
+
+    await writeFile(options.out, JSON.stringify({ ...brain.serialize(), exportedAt: new Date().toISOString() }, null, 2));
+    await writeFile(`${options.log}.csv`, toCsv(episodes));
+    await writeFile(`${options.log}.json`, JSON.stringify({
+        options,
+        botAi: CONFIG.BOT_AI,
+        botArchetypes: CONFIG.BOT_ARCHETYPES,
+        episodes
+    }, null, 2));
+
+    console.log(`Trained ${options.episodes} episodes in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    console.log(`Brain: ${options.out}, curves: ${options.log}.csv / ${options.log}.json`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});